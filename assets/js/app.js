@@ -9,22 +9,49 @@ import { ContentService } from './content.js';
 import { NavigationService } from './navigation.js';
 import { UIService } from './ui.js';
 import { SearchService } from './search.js';
+import { ChangesetService } from './changeset.js';
+import { RequestService } from './request.js';
+import { PageService } from './pages.js';
+import { TreeService } from './tree.js';
+import { OutboxService } from './outbox.js';
+import { MarkdownService } from './markdown.js';
+import { BacklinkService } from './backlinks.js';
+import { parseFrontMatter, getPageTags } from './frontmatter.js';
+import { slugifyHeading } from './links.js';
+
+// Distance from the top of the window at which a heading starts the current section
+const SCROLLSPY_OFFSET = 80;
+
+// What the header above an article shows unless "articleHeader.fields" says otherwise
+const ARTICLE_HEADER_FIELDS = ['description', 'tags', 'author', 'created', 'updated', 'lastModified', 'editLink'];
 
 class App {
   constructor() {
     // Initialize services
+    this.requests = new RequestService();
     this.auth = new AuthService();
     this.content = new ContentService();
     this.navigation = new NavigationService(this);
     this.ui = new UIService();
     this.search = new SearchService();
+    this.changeset = new ChangesetService(this);
+    this.pages = new PageService(this);
+    this.tree = new TreeService(this);
+    this.outbox = new OutboxService(this);
+    this.markdown = new MarkdownService(this);
+    this.backlinks = new BacklinkService(this);
     
-    // App configuration
+    // App configuration, optionally preset by the hosting page (window.wikiSiteConfig)
     this.config = {
       title: 'GitHub Wiki',
       description: 'A static wiki engine based on GitHub Pages',
+      backend: 'github',
       contentRepo: '',
-      defaultBranch: 'main'
+      defaultBranch: 'main',
+      localContentUrl: '/__content',
+      // 'auto' opens pull requests for users without push access, 'pull-request' always does
+      editMode: 'auto',
+      ...(window.wikiSiteConfig || {})
     };
   }
 
@@ -32,9 +59,13 @@ class App {
    * Initialize the application
    */
   async init() {
+    // Cache the app and visited content for offline reading
+    this.registerServiceWorker();
+    
     try {
-      // Load configuration
-      await this.loadConfig();
+      // Load configuration; the editor waits for it to apply the front matter schema
+      this.configReady = this.loadConfig();
+      await this.configReady;
       
       // Set up UI event listeners
       this.setupEventListeners();
@@ -42,19 +73,30 @@ class App {
       // Check authentication status
       await this.auth.checkAuthStatus();
       
+      // Offer the published versions of the docs
+      if (this.config.versions) {
+        await this.loadVersions();
+      }
+      
       // Update UI based on auth state
       this.updateAuthUI();
       
       // Initialize navigation
       await this.navigation.init();
       
-      // Load current page or home page
+      // Load current page, tag page or home page
       const path = this.navigation.getCurrentPath();
-      if (path) {
+      const tag = this.navigation.getCurrentTag();
+      if (tag) {
+        await this.showTagPage(tag);
+      } else if (path) {
         await this.loadPage(path);
       } else {
         await this.loadHomePage();
       }
+      
+      // Save pages queued while offline
+      await this.replayOutbox();
     } catch (error) {
       console.error('Application initialization error:', error);
       this.showError('Failed to initialize the application. Please try again later.');
@@ -66,8 +108,10 @@ class App {
    */
   async loadConfig() {
     try {
-      // Try to load config from content repository
-      const configData = await this.content.getFile('.wiki-config.json');
+      // Try to load config from content repository; every version uses the default branch's
+      const configData = this.content.getRef()
+        ? await this.content.getFileAtRevision('.wiki-config.json', this.config.defaultBranch)
+        : await this.content.getFile('.wiki-config.json');
       if (configData) {
         const config = JSON.parse(configData);
         this.config = { ...this.config, ...config };
@@ -86,10 +130,67 @@ class App {
     }
   }
 
+  /**
+   * Load the versions of the content repository and show the version switcher
+   */
+  async loadVersions() {
+    try {
+      const versions = await this.content.getVersions();
+      const current = this.content.getRef() || this.config.defaultBranch;
+      this.ui.renderVersionSwitcher(versions, current, ref => this.switchVersion(ref));
+    } catch (error) {
+      console.warn('Could not load versions:', error);
+    }
+  }
+
+  /**
+   * Reload the wiki at another version, staying on the current page
+   * @param {string} ref - The branch or tag to read
+   */
+  switchVersion(ref) {
+    const url = new URL(window.location.href);
+    if (ref === this.config.defaultBranch) {
+      url.searchParams.delete('ref');
+    } else {
+      url.searchParams.set('ref', ref);
+    }
+    
+    window.location.href = url.toString();
+  }
+
   /**
    * Set up event listeners for UI interactions
    */
   setupEventListeners() {
+    // Connection status and offline outbox
+    const updateConnectionStatus = () => {
+      this.ui.updateConnectionStatus(navigator.onLine, this.outbox.getEntries(), () => this.showOutbox());
+    };
+    
+    window.addEventListener('online', () => {
+      updateConnectionStatus();
+      this.replayOutbox();
+    });
+    window.addEventListener('offline', updateConnectionStatus);
+    this.outbox.onChange(updateConnectionStatus);
+    updateConnectionStatus();
+    
+    // Rate limit status indicator
+    this.requests.onRateLimitChange(rateLimit => {
+      this.ui.updateRateLimitStatus(rateLimit);
+    });
+    
+    // Highlight the section being read; the article scrolls within its container
+    let scrollSpyPending = false;
+    document.addEventListener('scroll', () => {
+      if (scrollSpyPending) return;
+      scrollSpyPending = true;
+      requestAnimationFrame(() => {
+        scrollSpyPending = false;
+        this.updateActiveSection();
+      });
+    }, true);
+    
     // Sidebar toggle
     const sidebarToggle = document.getElementById('sidebar-toggle');
     if (sidebarToggle) {
@@ -118,8 +219,7 @@ class App {
     if (logoutButton) {
       logoutButton.addEventListener('click', (e) => {
         e.preventDefault();
-        this.auth.logout();
-        this.updateAuthUI();
+        this.logout();
       });
     }
     
@@ -151,7 +251,27 @@ class App {
       editButton.addEventListener('click', () => {
         const path = this.navigation.getCurrentPath();
         if (path) {
-          window.location.href = `/edit.html?path=${encodeURIComponent(path)}`;
+          window.location.href = this.navigation.getPageUrl(path, '/edit.html');
+        }
+      });
+    }
+    
+    const moveButton = document.getElementById('move-button');
+    if (moveButton) {
+      moveButton.addEventListener('click', () => {
+        const path = this.navigation.getCurrentPath();
+        if (path) {
+          this.showMoveDialog(path);
+        }
+      });
+    }
+    
+    const deleteButton = document.getElementById('delete-button');
+    if (deleteButton) {
+      deleteButton.addEventListener('click', () => {
+        const path = this.navigation.getCurrentPath();
+        if (path) {
+          this.showDeleteDialog(path);
         }
       });
     }
@@ -166,18 +286,83 @@ class App {
             this.ui.showHistoryDialog(history, path);
           } catch (error) {
             console.error('Failed to get file history:', error);
-            this.showError('Could not retrieve file history.');
+            this.showError(this.getErrorMessage(error, 'Could not retrieve file history.'));
           }
         }
       });
     }
   }
 
+  /**
+   * Register the service worker that caches the app and content for offline use
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  /**
+   * Save the pages queued in the outbox while offline and report the outcome
+   */
+  async replayOutbox() {
+    if (this.outbox.getEntries().length === 0 || !this.content.canWrite()) return;
+    
+    try {
+      const { saved, conflicts } = await this.outbox.replay();
+      
+      if (saved > 0) {
+        this.ui.showToast(`Saved ${saved} page${saved === 1 ? '' : 's'} edited while offline`, 'success');
+      }
+      if (conflicts > 0) {
+        this.ui.showToast(`${conflicts} page${conflicts === 1 ? ' was' : 's were'} changed by someone else while you were offline. Open the outbox to resolve.`, 'warning', 6000);
+      }
+    } catch (error) {
+      console.error('Failed to replay the outbox:', error);
+    }
+  }
+
+  /**
+   * Show the pages waiting in the outbox
+   */
+  showOutbox() {
+    this.ui.showOutboxDialog(this.outbox.getEntries(), {
+      onRetry: () => this.replayOutbox(),
+      onDiscard: (path) => this.outbox.remove(path)
+    });
+  }
+
+  /**
+   * Sign out and forget the content read or written with the user's token, which
+   * may include private pages and would stay readable on a shared machine
+   */
+  async logout() {
+    const pending = this.outbox.getEntries().length + this.changeset.getChanges().length;
+    if (pending > 0 && !confirm(`Signing out discards ${pending} unsaved change${pending === 1 ? '' : 's'}. Sign out anyway?`)) {
+      return;
+    }
+    
+    this.auth.logout();
+    this.outbox.discard();
+    this.changeset.discard();
+    
+    try {
+      await Promise.all([this.content.clearStoredCache(), this.backlinks.clear()]);
+    } catch (error) {
+      console.warn('Could not clear the stored content:', error);
+    }
+    
+    this.updateAuthUI();
+  }
+
   /**
    * Update UI based on authentication state
    */
   updateAuthUI() {
     const isAuthenticated = this.auth.isAuthenticated();
+    const canWrite = this.content.canWrite(this.navigation.getCurrentPath() || '');
     const loginButton = document.getElementById('login-button');
     const userProfile = document.getElementById('user-profile');
     
@@ -192,22 +377,100 @@ class App {
           userAvatar.src = this.auth.getUserInfo().avatar_url || '';
         }
         
-        // Show edit/admin buttons
-        const editButton = document.getElementById('edit-button');
-        if (editButton) {
-          editButton.classList.remove('hidden');
-        }
       } else {
         loginButton.classList.remove('hidden');
         userProfile.classList.add('hidden');
-        
-        // Hide edit/admin buttons
-        const editButton = document.getElementById('edit-button');
-        if (editButton) {
-          editButton.classList.add('hidden');
+      }
+    }
+    
+    // Show edit/admin buttons only when saving is possible
+    const editButton = document.getElementById('edit-button');
+    if (editButton) {
+      editButton.classList.toggle('hidden', !canWrite);
+    }
+    
+    const moveButton = document.getElementById('move-button');
+    if (moveButton) {
+      moveButton.classList.toggle('hidden', !canWrite);
+    }
+    
+    const deleteButton = document.getElementById('delete-button');
+    if (deleteButton) {
+      deleteButton.classList.toggle('hidden', !canWrite);
+    }
+  }
+
+  /**
+   * Let the user move the current page, previewing the link updates first
+   * @param {string} path - The current page path
+   */
+  showMoveDialog(path) {
+    this.ui.showMoveDialog(
+      path,
+      (newPath, options) => this.pages.planMove(path, newPath, options),
+      async (plan) => {
+        try {
+          const result = await this.pages.movePage(plan);
+          
+          if (result.pullRequest) {
+            this.ui.showPullRequestDialog(result.pullRequest);
+            return;
+          }
+          
+          this.ui.showToast(`Moved to ${plan.to}`, 'success');
+          setTimeout(() => {
+            window.location.href = this.navigation.getPageUrl(plan.to.replace(/\.md$/, ''));
+          }, 1000);
+        } catch (error) {
+          console.error('Failed to move page:', error);
+          
+          if (error.name === 'ConflictError') {
+            this.showError(`${error.path} was changed while the move was prepared. Please try again.`);
+          } else {
+            this.showError(this.getErrorMessage(error, `Could not move the page. ${error.message}`));
+          }
         }
       }
+    );
+  }
+
+  /**
+   * Let the user delete the current page after reviewing the pages that link to it
+   * @param {string} path - The current page path
+   */
+  async showDeleteDialog(path) {
+    let backlinks;
+    try {
+      backlinks = await this.pages.findBacklinks(path);
+    } catch (error) {
+      console.error('Failed to find links to the page:', error);
+      this.showError(this.getErrorMessage(error, 'Could not check which pages link to this page.'));
+      return;
     }
+    
+    this.ui.showDeleteDialog(path, backlinks, async (options) => {
+      try {
+        const result = await this.pages.deletePage(path, options);
+        
+        if (result.pullRequest) {
+          this.ui.showPullRequestDialog(result.pullRequest);
+          return;
+        }
+        
+        this.ui.showToast(options.tombstone ? 'Page replaced with a tombstone' : 'Page deleted', 'success');
+        setTimeout(() => {
+          window.location.href = this.navigation.getPageUrl(options.tombstone ? path : '');
+        }, 1000);
+      } catch (error) {
+        console.error('Failed to delete page:', error);
+        
+        if (error.name === 'ConflictError') {
+          this.showError('The page was changed by someone else. Please reload it and try again.');
+        } else {
+          this.showError(this.getErrorMessage(error, `Could not delete the page. ${error.message}`));
+        }
+      }
+    });
   }
 
   /**
@@ -220,25 +483,32 @@ class App {
       
       // Load home page content
       const content = await this.content.getFile('home.md');
+      await this.markdown.loadPages();
       if (content) {
-        this.renderContent(content);
+        await this.renderContent(content);
       } else {
-        this.renderContent(`# Welcome to ${this.config.title}\n\nThis is a new wiki. Get started by creating content!`);
+        await this.renderContent(`# Welcome to ${this.config.title}\n\nThis is a new wiki. Get started by creating content!`);
       }
     } catch (error) {
       console.error('Failed to load home page:', error);
-      this.showError('Could not load the home page content.');
+      this.showError(this.getErrorMessage(error, 'Could not load the home page content.'));
     }
   }
 
   /**
    * Load a specific page
    * @param {string} path - The path to the page
+   * @param {string} redirectedFrom - The page that redirected here, if any
    */
-  async loadPage(path) {
+  async loadPage(path, redirectedFrom = null) {
+    // A mount point shows the home page of the mounted repository
+    if (this.content.getMountAt(path)) {
+      path = `${path.replace(/^\/+|\/+$/g, '')}/home`;
+    }
+    
     try {
-      // Update navigation
-      this.navigation.setActivePath(path);
+      // Update navigation; a redirect replaces the URL of the stub
+      this.navigation.setActivePath(path, true, !!redirectedFrom);
       
       // Generate breadcrumbs
       if (typeof this.navigation.updateBreadcrumbs === 'function') {
@@ -248,13 +518,33 @@ class App {
       // Load page content
       const content = await this.content.getFile(path);
       if (content) {
-        this.renderContent(content);
+        // Follow redirect stubs left behind by moved pages, one hop only
+        const { metadata } = parseFrontMatter(content);
+        if (typeof metadata.redirect === 'string' && !redirectedFrom) {
+          await this.loadPage(metadata.redirect.replace(/^\/+|\.md$/g, ''), path);
+          return;
+        }
+        
+        await this.markdown.loadPages();
+        await this.renderContent(content);
+        
+        // Deep links land on their section once it exists
+        if (window.location.hash) {
+          this.navigation.scrollToSection(window.location.hash.substring(1));
+        }
+        
+        // The index may need to read changed pages first; the article does not wait for it
+        this.renderBacklinks(path);
+        
+        if (redirectedFrom) {
+          this.ui.showToast(`Redirected from ${redirectedFrom}`, 'info');
+        }
       } else {
         this.showPageNotFound(path);
       }
     } catch (error) {
       console.error(`Failed to load page ${path}:`, error);
-      this.showError(`Could not load the requested page "${path}".`);
+      this.showError(this.getErrorMessage(error, `Could not load the requested page "${path}".`));
     }
   }
 
@@ -262,9 +552,9 @@ class App {
    * Render markdown content to HTML and update the DOM
    * @param {string} markdownContent - The markdown content to render
    */
-  renderContent(markdownContent) {
+  async renderContent(markdownContent) {
     // Parse front matter if present
-    const { content, metadata } = this.parseFrontMatter(markdownContent);
+    const { content, metadata } = parseFrontMatter(markdownContent);
     
     // Get content container
     const contentElement = document.getElementById('article-content') || document.getElementById('content');
@@ -277,7 +567,7 @@ class App {
       const titleMatch = content.match(/^# (.+)$/m);
       if (titleMatch) {
         title = titleMatch[1];
-      } else if (metadata && metadata.title) {
+      } else if (metadata.title) {
         title = metadata.title;
       }
       
@@ -286,11 +576,18 @@ class App {
         document.title = `${title} - ${this.config.title}`;
       }
       
-      // Render markdown
-      contentElement.innerHTML = marked.parse(content);
+      // Pull in included pages, then render markdown
+      const path = this.navigation.getCurrentPath();
+      const expanded = await this.markdown.resolveIncludes(content, path);
+      if (this.navigation.getCurrentPath() !== path) return;
+      
+      contentElement.innerHTML = this.markdown.render(expanded, { path });
       contentElement.classList.add('markdown-content');
+      this.markdown.loadFiles(contentElement);
+      this.renderArticleHeader(contentElement, metadata, path);
       
-      // Generate table of contents
+      // Give headings stable ids, then list them in the table of contents
+      this.addHeadingAnchors(contentElement);
       this.generateTableOfContents(contentElement);
       
       // Apply syntax highlighting if available
@@ -304,56 +601,69 @@ class App {
   }
 
   /**
-   * Parse front matter from markdown content
-   * @param {string} content - The markdown content
-   * @returns {Object} - Object containing the content and metadata
+   * Give the headings of an article the ids GitHub would, so that links to a section keep
+   * working when headings are added above it, and a link that copies the section's URL
+   * @param {HTMLElement} contentElement - The content element
    */
-  parseFrontMatter(content) {
-    const frontMatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-    const match = content.match(frontMatterRegex);
+  addHeadingAnchors(contentElement) {
+    const used = new Set();
+    const isTaken = (id) => {
+      // Ids of the page around the article are taken too
+      const element = document.getElementById(id);
+      return used.has(id) || (element && !contentElement.contains(element));
+    };
     
-    if (match) {
-      try {
-        // Simple YAML front matter parsing
-        const yamlText = match[1];
-        const metadata = {};
-        
-        // Parse each line
-        yamlText.split('\n').forEach(line => {
-          const keyValue = line.split(':');
-          if (keyValue.length >= 2) {
-            const key = keyValue[0].trim();
-            const value = keyValue.slice(1).join(':').trim();
-            
-            // Handle arrays in the format key: [value1, value2]
-            if (value.startsWith('[') && value.endsWith(']')) {
-              const arrayValues = value.slice(1, -1).split(',');
-              metadata[key] = arrayValues.map(v => v.trim());
-            } else {
-              metadata[key] = value;
-            }
-          }
-        });
-        
-        return {
-          metadata,
-          content: match[2]
-        };
-      } catch (error) {
-        console.warn('Error parsing front matter, treating as regular content:', error);
-        return { content };
+    for (const heading of contentElement.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+      // Repeated headings are numbered: setup, setup-1, setup-2
+      if (!heading.id) {
+        const slug = slugifyHeading(heading.textContent) || 'section';
+        let id = slug;
+        for (let count = 1; isTaken(id); count++) {
+          id = `${slug}-${count}`;
+        }
+        heading.id = id;
       }
+      used.add(heading.id);
+      
+      const anchor = document.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.href = `#${encodeURIComponent(heading.id)}`;
+      anchor.title = 'Copy link to this section';
+      anchor.setAttribute('aria-label', 'Copy link to this section');
+      anchor.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.copySectionLink(heading);
+      });
+      heading.appendChild(anchor);
     }
+  }
+
+  /**
+   * Go to a section and copy its URL to the clipboard
+   * @param {HTMLElement} heading - The heading of the section
+   */
+  async copySectionLink(heading) {
+    const url = new URL(window.location.href);
+    url.hash = heading.id;
+    window.history.pushState({}, '', url.toString());
+    heading.scrollIntoView();
     
-    return { content };
+    try {
+      await navigator.clipboard.writeText(url.toString());
+      this.ui.showToast('Link to this section copied', 'success');
+    } catch (error) {
+      console.warn('Could not copy the link:', error);
+      this.ui.showToast('Could not copy the link; it is in the address bar', 'error');
+    }
   }
 
   /**
-   * Generate table of contents from content headings
+   * Generate table of contents from content headings, nested by heading level
    * @param {HTMLElement} contentElement - The content element
    */
   generateTableOfContents(contentElement) {
     const tocElement = document.getElementById('toc-content');
+    this.tocEntries = [];
     if (!tocElement) return;
     
     // Get all headings
@@ -367,28 +677,334 @@ class App {
     const toc = document.createElement('ul');
     toc.className = 'toc-list';
     
-    // Process headings
-    headings.forEach((heading, index) => {
-      // Add ID to heading if not present
-      if (!heading.id) {
-        heading.id = `heading-${index}`;
+    // Open lists from the outermost in; a list for subsections is created with its first entry
+    const stack = [{ level: 0, list: toc }];
+    
+    headings.forEach(heading => {
+      const level = parseInt(heading.tagName.substring(1));
+      while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      
+      const parent = stack[stack.length - 1];
+      if (!parent.list) {
+        parent.list = document.createElement('ul');
+        parent.list.className = 'toc-list';
+        parent.item.appendChild(parent.list);
       }
       
       // Create TOC item
-      const level = parseInt(heading.tagName.substring(1));
       const listItem = document.createElement('li');
       listItem.className = `toc-list-item toc-level-${level}`;
       
       const link = document.createElement('a');
-      link.href = `#${heading.id}`;
+      link.href = `#${encodeURIComponent(heading.id)}`;
       link.textContent = heading.textContent;
       
       listItem.appendChild(link);
-      toc.appendChild(listItem);
+      parent.list.appendChild(listItem);
+      stack.push({ level, item: listItem, list: null });
+      this.tocEntries.push({ heading, item: listItem });
     });
     
     tocElement.innerHTML = '';
     tocElement.appendChild(toc);
+    this.updateActiveSection();
+  }
+
+  /**
+   * Highlight the table of contents entry of the section being read
+   */
+  updateActiveSection() {
+    const entries = this.tocEntries || [];
+    if (entries.length === 0) return;
+    
+    // The current section is the last one whose heading has scrolled up to the top
+    let active = entries[0];
+    for (const entry of entries) {
+      if (entry.heading.getBoundingClientRect().top > SCROLLSPY_OFFSET) break;
+      active = entry;
+    }
+    
+    entries.forEach(entry => entry.item.classList.toggle('is-active-li', entry === active));
+  }
+
+  /**
+   * List the pages linking to a page in the "What links here" panel
+   * @param {string} path - The page path
+   */
+  async renderBacklinks(path) {
+    const backlinksElement = document.getElementById('backlinks-content');
+    if (!backlinksElement) return;
+    
+    backlinksElement.innerHTML = '<p class="backlinks-empty">Looking for links...</p>';
+    
+    let backlinks;
+    try {
+      backlinks = await this.backlinks.getBacklinks(path);
+    } catch (error) {
+      console.error('Failed to find links to the page:', error);
+      backlinksElement.innerHTML = '<p class="backlinks-empty">Could not check which pages link here.</p>';
+      return;
+    }
+    
+    // The reader may have moved on while the index was updated
+    if (this.navigation.getCurrentPath() !== path) return;
+    
+    // Every page is in the sidebar; only links from articles are of interest
+    backlinks = backlinks.filter(backlink => backlink.path !== 'sidebar.md' && !backlink.path.endsWith('/sidebar.md'));
+    if (backlinks.length === 0) {
+      backlinksElement.innerHTML = '<p class="backlinks-empty">No pages link here.</p>';
+      return;
+    }
+    
+    const list = document.createElement('ul');
+    list.className = 'backlinks-list';
+    
+    for (const backlink of backlinks) {
+      const listItem = document.createElement('li');
+      listItem.className = 'backlinks-list-item';
+      
+      const pagePath = backlink.path.replace(/\.md$/, '');
+      const link = document.createElement('a');
+      link.href = this.navigation.getPageUrl(pagePath);
+      link.textContent = backlink.title;
+      link.title = backlink.path;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.navigation.navigateTo(pagePath);
+      });
+      listItem.appendChild(link);
+      
+      for (const context of backlink.contexts) {
+        const sentence = document.createElement('p');
+        sentence.className = 'backlinks-context';
+        sentence.textContent = context;
+        listItem.appendChild(sentence);
+      }
+      
+      list.appendChild(listItem);
+    }
+    
+    backlinksElement.innerHTML = '';
+    backlinksElement.appendChild(list);
+  }
+
+  /**
+   * Get the fields shown above articles, as set by "articleHeader" in the configuration
+   * @returns {Array} - The field names; empty if the header is turned off
+   */
+  getArticleHeaderFields() {
+    const setting = this.config.articleHeader;
+    if (setting === false) {
+      return [];
+    }
+    
+    return setting && Array.isArray(setting.fields) ? setting.fields : ARTICLE_HEADER_FIELDS;
+  }
+
+  /**
+   * Show the front matter of an article above it: its description, tags linking to their
+   * tag pages, author and dates, the commit that last changed the page and a link to the
+   * page in the web editor of the hosting service
+   * @param {HTMLElement} contentElement - The content element
+   * @param {Object} metadata - The front matter fields of the page
+   * @param {string} path - The page path
+   */
+  renderArticleHeader(contentElement, metadata, path) {
+    const fields = new Set(this.getArticleHeaderFields());
+    if (fields.size === 0) return;
+    
+    const header = document.createElement('header');
+    header.className = 'article-header';
+    
+    if (fields.has('description') && metadata.description) {
+      const description = document.createElement('p');
+      description.className = 'article-description';
+      description.textContent = formatFieldValue(metadata.description);
+      header.appendChild(description);
+    }
+    
+    const tags = fields.has('tags') ? getPageTags(metadata) : [];
+    if (tags.length > 0) {
+      const tagList = document.createElement('div');
+      tagList.className = 'article-tags';
+      for (const tag of tags) {
+        tagList.appendChild(this.createTagLink(tag));
+      }
+      header.appendChild(tagList);
+    }
+    
+    // Author, dates and the edit link share a line
+    const details = document.createElement('div');
+    details.className = 'article-details';
+    const addDetail = (className, text) => {
+      const detail = document.createElement('span');
+      detail.className = className;
+      detail.textContent = text;
+      details.appendChild(detail);
+    };
+    
+    if (fields.has('author') && metadata.author) {
+      addDetail('article-author', `By ${formatFieldValue(metadata.author)}`);
+    }
+    if (fields.has('created') && metadata.created) {
+      addDetail('article-created', `Created ${formatFieldValue(metadata.created)}`);
+    }
+    if (fields.has('updated') && metadata.updated) {
+      addDetail('article-updated', `Updated ${formatFieldValue(metadata.updated)}`);
+    }
+    
+    const editLink = fields.has('editLink') ? this.content.getEditLink(path) : null;
+    if (editLink) {
+      const link = document.createElement('a');
+      link.className = 'article-edit-link';
+      link.href = editLink.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = `Edit on ${editLink.hostName}`;
+      details.appendChild(link);
+    }
+    
+    if (details.childNodes.length > 0) {
+      header.appendChild(details);
+    }
+    
+    // The last change is added once the history has loaded; until then the header may be empty
+    if (header.childNodes.length > 0 || fields.has('lastModified')) {
+      contentElement.prepend(header);
+    }
+    if (fields.has('lastModified')) {
+      this.renderLastModified(header, path);
+    }
+  }
+
+  /**
+   * Add the commit that last changed a page to its article header
+   * @param {HTMLElement} header - The article header
+   * @param {string} path - The page path
+   */
+  async renderLastModified(header, path) {
+    let commit;
+    try {
+      [commit] = await this.content.getFileHistory(path);
+    } catch (error) {
+      // The header just leaves the last change out
+      return;
+    }
+    
+    // The reader may have moved on while the history loaded
+    if (!commit || !header.isConnected || this.navigation.getCurrentPath() !== path) return;
+    
+    const author = commit.author.name || commit.author.login || 'someone';
+    const date = new Date(commit.date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    
+    const lastModified = document.createElement('p');
+    lastModified.className = 'article-last-modified';
+    lastModified.textContent = `Last changed by ${author} on ${date}: `;
+    
+    const message = document.createElement('span');
+    message.className = 'article-commit-message';
+    message.textContent = commit.message.split('\n')[0];
+    message.title = commit.message;
+    lastModified.appendChild(message);
+    
+    header.appendChild(lastModified);
+  }
+
+  /**
+   * Create a link to the page listing the pages with a tag
+   * @param {string} tag - The tag
+   * @returns {HTMLElement} - The link, styled as a chip
+   */
+  createTagLink(tag) {
+    const link = document.createElement('a');
+    link.className = 'tag-chip';
+    link.href = this.navigation.getTagUrl(tag);
+    link.textContent = tag;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.navigation.showTag(tag);
+    });
+    
+    return link;
+  }
+
+  /**
+   * List the pages with a tag in place of an article
+   * @param {string} tag - The tag
+   */
+  async showTagPage(tag) {
+    const contentElement = document.getElementById('article-content') || document.getElementById('content');
+    if (!contentElement) return;
+    
+    document.title = `Tagged "${tag}" - ${this.config.title}`;
+    if (typeof this.navigation.updateBreadcrumbs === 'function') {
+      this.navigation.updateBreadcrumbs('');
+    }
+    
+    contentElement.innerHTML = `
+      <div class="tag-page">
+        <h1>Pages tagged "${this.ui.escapeHtml(tag)}"</h1>
+        <p class="tag-page-status">Looking for pages...</p>
+      </div>
+    `;
+    this.generateTableOfContents(contentElement);
+    
+    // The backlinks of the previous article do not apply
+    const backlinksElement = document.getElementById('backlinks-content');
+    if (backlinksElement) {
+      backlinksElement.innerHTML = '';
+    }
+    
+    const status = contentElement.querySelector('.tag-page-status');
+    let pages;
+    try {
+      pages = await this.backlinks.getTaggedPages(tag);
+    } catch (error) {
+      console.error(`Failed to find pages tagged ${tag}:`, error);
+      status.textContent = this.getErrorMessage(error, 'Could not look for tagged pages.');
+      return;
+    }
+    
+    // The reader may have moved on while the index was updated
+    if (this.navigation.getCurrentTag() !== tag) return;
+    
+    if (pages.length === 0) {
+      status.textContent = 'No pages have this tag.';
+      return;
+    }
+    status.textContent = `${pages.length} page${pages.length === 1 ? '' : 's'}`;
+    
+    const list = document.createElement('ul');
+    list.className = 'tag-page-list';
+    
+    for (const page of pages) {
+      const listItem = document.createElement('li');
+      listItem.className = 'tag-page-list-item';
+      
+      const pagePath = page.path.replace(/\.md$/, '');
+      const link = document.createElement('a');
+      link.href = this.navigation.getPageUrl(pagePath);
+      link.textContent = page.title;
+      link.title = page.path;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.navigation.navigateTo(pagePath);
+      });
+      listItem.appendChild(link);
+      
+      // The other tags of the page lead on to related pages
+      for (const other of page.tags) {
+        if (other.toLowerCase() !== tag.toLowerCase()) {
+          listItem.appendChild(this.createTagLink(other));
+        }
+      }
+      
+      list.appendChild(listItem);
+    }
+    
+    contentElement.querySelector('.tag-page').appendChild(list);
   }
 
   /**
@@ -402,19 +1018,40 @@ class App {
     contentElement.innerHTML = `
       <div class="not-found">
         <h1>Page Not Found</h1>
-        <p>The page "${path}" does not exist yet.</p>
-        ${this.auth.isAuthenticated() ? 
-          `<p><a href="/edit.html?path=${encodeURIComponent(path)}" class="action-button">Create this page</a></p>` : 
-          '<p>Sign in to create this page.</p>'}
+        <p>The page "${this.ui.escapeHtml(path)}" does not exist yet.</p>
+        ${this.content.canWrite(path) ? 
+          `<p><a href="${this.navigation.getPageUrl(path, '/edit.html')}" class="action-button">Create this page</a></p>` : 
+          `<p>${this.content.isEditableVersion(path) ? 'Sign in to create this page.' : 'This version of the wiki is read-only.'}</p>`}
       </div>
     `;
     
     document.title = `Page Not Found - ${this.config.title}`;
   }
 
+  /**
+   * Get a user-facing message for an error, explaining rate limiting
+   * @param {Error} error - The error
+   * @param {string} fallback - The message for other errors
+   * @returns {string} - The message to display
+   */
+  getErrorMessage(error, fallback) {
+    if (!navigator.onLine) {
+      return `${fallback} You are offline and this content has not been cached yet.`;
+    }
+    
+    if (error && error.name === 'RateLimitError') {
+      const resetTime = error.resetAt ? ` Try again after ${error.resetAt.toLocaleTimeString()}.` : '';
+      const signInHint = this.auth.isAuthenticated() ? '' : ' Signing in raises the limit.';
+      return `The GitHub API rate limit has been reached.${resetTime}${signInHint}`;
+    }
+    
+    return fallback;
+  }
+
   /**
    * Show error message
-   * @param {string} message - The error message to display
+   * @param {string} message - The error message to display, as plain text since it may
+   *   contain page paths and server responses
    */
   showError(message) {
     const contentElement = document.getElementById('article-content') || document.getElementById('content');
@@ -423,12 +1060,34 @@ class App {
     contentElement.innerHTML = `
       <div class="error-message">
         <h1>Error</h1>
-        <p>${message}</p>
+        <p></p>
       </div>
     `;
+    contentElement.querySelector('.error-message p').textContent = message;
   }
 }
 
+/**
+ * Format a front matter value for display
+ * @param {*} value - The value, e.g. a string, a list or a date
+ * @returns {string} - The text
+ */
+function formatFieldValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatFieldValue).join(', ');
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return value.name ? String(value.name) : Object.values(value).map(formatFieldValue).join(', ');
+  }
+  
+  // Dates without a time are midnight UTC, which is the day before in the Americas
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+  
+  return String(value);
+}
+
 // Initialize the application when the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   const app = new App();
@@ -439,8 +1098,21 @@ document.addEventListener('DOMContentLoaded', () => {
 // Handle navigation within the SPA
 window.addEventListener('popstate', (event) => {
   if (window.wikiApp) {
-    const path = window.wikiApp.navigation.getCurrentPath();
-    if (path) {
+    const { navigation } = window.wikiApp;
+    const previousPath = navigation.getCurrentPath();
+    const previousTag = navigation.getCurrentTag();
+    navigation.parseUrl();
+    
+    // Moving between sections of the same page only scrolls
+    const path = navigation.getCurrentPath();
+    const tag = navigation.getCurrentTag();
+    if (tag) {
+      window.wikiApp.showTagPage(tag);
+    } else if (path === previousPath && !previousTag) {
+      if (window.location.hash) {
+        navigation.scrollToSection(window.location.hash.substring(1));
+      }
+    } else if (path) {
       window.wikiApp.loadPage(path);
     } else {
       window.wikiApp.loadHomePage();
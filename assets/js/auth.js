@@ -1,15 +1,44 @@
 /**
  * Authentication Service
  * 
- * Handles GitHub OAuth authentication and token management
+ * Handles OAuth authentication (GitHub, GitLab or Gitea) and token management
  */
 
+import { getServerUrl } from './content.js';
+
+// Cache the service worker (sw.js) keeps API responses in for offline reading
+const CONTENT_CACHE = 'wiki-content-v1';
+
+// OAuth and user endpoints of each backend; GitLab and Gitea are relative to the instance URL
+const PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    authorizeUrl: () => 'https://github.com/login/oauth/authorize',
+    userUrl: () => 'https://api.github.com/user',
+    scope: 'repo',
+    authScheme: 'token'
+  },
+  gitlab: {
+    name: 'GitLab',
+    authorizeUrl: serverUrl => `${serverUrl}/oauth/authorize`,
+    userUrl: serverUrl => `${serverUrl}/api/v4/user`,
+    scope: 'api',
+    authScheme: 'Bearer'
+  },
+  gitea: {
+    name: 'Gitea',
+    authorizeUrl: serverUrl => `${serverUrl}/login/oauth/authorize`,
+    userUrl: serverUrl => `${serverUrl}/api/v1/user`,
+    scope: '',
+    authScheme: 'token'
+  }
+};
+
 export class AuthService {
   constructor() {
-    // GitHub OAuth configuration
+    // OAuth configuration; .wiki-config.json can set oauthClientId and oauthProxyUrl
     this.clientId = 'YOUR_GITHUB_CLIENT_ID'; // Replace with your actual client ID
     this.redirectUri = `${window.location.origin}/callback.html`;
-    this.scope = 'repo';
     this.proxyUrl = 'https://your-token-exchange-proxy.com/exchange'; // Replace with your proxy URL
     
     // Authentication state
@@ -17,6 +46,47 @@ export class AuthService {
     this.userInfo = null;
   }
 
+  /**
+   * Get the wiki configuration from the main application
+   * @returns {Object} - The configuration
+   */
+  getConfig() {
+    return (window.wikiApp && window.wikiApp.config) || { backend: 'github' };
+  }
+
+  /**
+   * Get the name of the OAuth provider: the backend of the content repository
+   * @returns {string} - 'github', 'gitlab' or 'gitea'
+   */
+  getProviderName() {
+    const backend = this.getConfig().backend;
+    return PROVIDERS[backend] ? backend : 'github';
+  }
+
+  /**
+   * Get the OAuth endpoints of the configured backend
+   * @returns {Object} - { name, authorizeUrl, userUrl, scope, authScheme } with resolved URLs
+   */
+  getProvider() {
+    const provider = PROVIDERS[this.getProviderName()];
+    const serverUrl = getServerUrl(this.getConfig());
+    
+    return {
+      ...provider,
+      authorizeUrl: provider.authorizeUrl(serverUrl),
+      userUrl: provider.userUrl(serverUrl)
+    };
+  }
+
+  /**
+   * Get the localStorage key of the token, one per provider
+   * @param {string} provider - The provider name
+   * @returns {string} - The key
+   */
+  getTokenKey(provider = this.getProviderName()) {
+    return `${provider}_token`;
+  }
+
   /**
    * Check if the user is authenticated
    * @returns {boolean} - True if the user is authenticated
@@ -46,7 +116,7 @@ export class AuthService {
    */
   async checkAuthStatus() {
     // Try to get token from localStorage
-    const token = localStorage.getItem('github_token');
+    const token = localStorage.getItem(this.getTokenKey());
     if (!token) return;
     
     // Check token expiration
@@ -72,31 +142,51 @@ export class AuthService {
   }
 
   /**
-   * Initiate the GitHub OAuth login process
+   * Initiate the OAuth login process with the configured backend
    */
   initiateLogin() {
-    const authUrl = `https://github.com/login/oauth/authorize?client_id=${this.clientId}&redirect_uri=${encodeURIComponent(this.redirectUri)}&scope=${this.scope}`;
-    window.location.href = authUrl;
+    const provider = this.getProvider();
+    const params = new URLSearchParams({
+      client_id: this.getConfig().oauthClientId || this.clientId,
+      redirect_uri: this.redirectUri,
+      response_type: 'code'
+    });
+    if (provider.scope) {
+      params.set('scope', provider.scope);
+    }
+    
+    // The callback page stores the token under this provider's key
+    sessionStorage.setItem('oauth_provider', this.getProviderName());
+    
+    window.location.href = `${provider.authorizeUrl}?${params}`;
   }
 
   /**
-   * Fetch user information from GitHub API
+   * Fetch user information from the backend's API
    */
   async fetchUserInfo() {
     if (!this.token) return;
     
     try {
-      const response = await fetch('https://api.github.com/user', {
+      // Go through the shared request layer so the rate limit is tracked
+      const request = window.wikiApp && window.wikiApp.requests
+        ? (url, options) => window.wikiApp.requests.fetch(url, options)
+        : fetch;
+      
+      const provider = this.getProvider();
+      const response = await request(provider.userUrl, {
         headers: {
-          'Authorization': `token ${this.token}`
+          'Authorization': `${provider.authScheme} ${this.token}`
         }
       });
       
       if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status}`);
+        throw new Error(`${provider.name} API error: ${response.status}`);
       }
       
-      this.userInfo = await response.json();
+      // GitLab calls the login "username"
+      const user = await response.json();
+      this.userInfo = { ...user, login: user.login || user.username };
     } catch (error) {
       console.error('Error fetching user info:', error);
       throw error;
@@ -105,17 +195,18 @@ export class AuthService {
 
   /**
    * Exchange OAuth code for access token using the proxy
-   * @param {string} code - The authorization code from GitHub
+   * @param {string} code - The authorization code from the OAuth provider
    * @returns {Promise<string>} - The access token
    */
   async exchangeCodeForToken(code) {
     try {
-      const response = await fetch(this.proxyUrl, {
+      const response = await fetch(this.getConfig().oauthProxyUrl || this.proxyUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ code })
+        // GitLab and Gitea check that the redirect URI matches the one of the authorization
+        body: JSON.stringify({ code, provider: this.getProviderName(), redirect_uri: this.redirectUri })
       });
       
       if (!response.ok) {
@@ -144,7 +235,14 @@ export class AuthService {
     this.userInfo = null;
     
     // Clear localStorage
-    localStorage.removeItem('github_token');
+    localStorage.removeItem(this.getTokenKey());
     localStorage.removeItem('auth_time');
+    
+    // Responses fetched with the token may include private pages
+    if ('caches' in window) {
+      caches.delete(CONTENT_CACHE).catch(error => {
+        console.warn('Could not clear the offline content cache:', error);
+      });
+    }
   }
 }
\ No newline at end of file
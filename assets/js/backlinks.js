@@ -0,0 +1,345 @@
+/**
+ * Backlink Service
+ * 
+ * Index of the links between pages, answering "what links here" for any page,
+ * and of their tags, listing the pages with a tag.
+ * The index is stored in IndexedDB and brought up to date by reading only the
+ * pages whose blob SHA changed since they were indexed.
+ */
+
+import { CacheStore } from './cache.js';
+import { parseFrontMatter, getPageTags } from './frontmatter.js';
+import { resolvePageLink, resolveWikiLink } from './links.js';
+
+// Stored indexes of another format are discarded and rebuilt
+const INDEX_VERSION = 2;
+
+// Longest sentence shown around a link, in characters
+const MAX_CONTEXT_LENGTH = 200;
+
+export class BacklinkService {
+  constructor(app) {
+    this.app = app;
+    this.cache = new CacheStore('wiki-backlinks');
+    
+    // Index of the current repositories: { key, pages } where pages maps every page path
+    // to { sha, title, tags, links } and links is an array of { type: 'link'|'wiki', target, context }
+    this.index = null;
+    this.syncing = null;
+  }
+
+  /**
+   * Get the index of the current repositories, as stored by an earlier visit
+   * @returns {Promise<Object>} - The index, possibly outdated
+   */
+  async loadIndex() {
+    const key = this.app.content.getKey();
+    
+    if (!this.index || this.index.key !== key) {
+      const stored = await this.cache.get(key);
+      this.index = {
+        key,
+        pages: stored && stored.version === INDEX_VERSION ? stored.pages : {}
+      };
+    }
+    
+    return this.index;
+  }
+
+  /**
+   * Forget the stored index of every repository
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.index = null;
+    await this.cache.clear();
+  }
+
+  /**
+   * Bring the index up to date with the repository tree
+   * @returns {Promise<Object>} - The index
+   */
+  async sync() {
+    // Share one pass between concurrent callers
+    if (!this.syncing) {
+      this.syncing = this.syncIndex().finally(() => {
+        this.syncing = null;
+      });
+    }
+    
+    return this.syncing;
+  }
+
+  /**
+   * Index new and changed pages and drop deleted ones
+   * @returns {Promise<Object>} - The index
+   */
+  async syncIndex() {
+    const index = await this.loadIndex();
+    const tree = await this.app.tree.load();
+    let changed = false;
+    
+    try {
+      for (const item of tree.byPath.values()) {
+        if (item.type !== 'file' || !item.path.endsWith('.md')) continue;
+        
+        const page = index.pages[item.path];
+        if (page && item.sha && page.sha === item.sha) continue;
+        
+        try {
+          const content = await this.app.content.getFile(item.path);
+          if (content === null) continue;
+          
+          index.pages[item.path] = this.indexPage(item.path, content, item.sha);
+          changed = true;
+        } catch (error) {
+          // Keep what is known about the page; it is read again on the next pass
+          if (error.name === 'RateLimitError') {
+            throw error;
+          }
+          console.warn(`Failed to index links of ${item.path}:`, error);
+        }
+      }
+      
+      for (const path of Object.keys(index.pages)) {
+        if (!tree.byPath.has(path)) {
+          delete index.pages[path];
+          changed = true;
+        }
+      }
+    } finally {
+      // Pages indexed before running out of API requests need not be read again
+      if (changed) {
+        await this.save();
+      }
+    }
+    
+    return index;
+  }
+
+  /**
+   * Extract the links of a page
+   * @param {string} path - The page path
+   * @param {string} markdown - The page source
+   * @param {string} sha - The blob SHA of the source, if known
+   * @returns {Object} - { sha, title, tags, links }
+   */
+  indexPage(path, markdown, sha) {
+    const { content, metadata } = parseFrontMatter(markdown);
+    const tokens = this.app.markdown.getParser().lexer(content);
+    
+    return {
+      sha: sha || null,
+      title: metadata.title ? String(metadata.title) : this.app.search.getFileTitle(path, content),
+      tags: getPageTags(metadata),
+      links: findLinks(tokens, [])
+    };
+  }
+
+  /**
+   * Re-index a page that was just saved
+   * @param {string} path - The page path
+   * @param {string} content - The saved content
+   * @param {string} sha - The blob SHA of the saved content, if known
+   */
+  async updatePage(path, content, sha = null) {
+    const index = await this.loadIndex();
+    
+    try {
+      index.pages[path] = this.indexPage(path, content, sha);
+    } catch (error) {
+      // Without a markdown parser (e.g. on the settings page) the next pass reads the page
+      console.warn(`Failed to index links of ${path}:`, error);
+      delete index.pages[path];
+    }
+    
+    await this.save();
+  }
+
+  /**
+   * Drop a deleted page from the index
+   * @param {string} path - The page path
+   */
+  async removePage(path) {
+    const index = await this.loadIndex();
+    
+    if (index.pages[path]) {
+      delete index.pages[path];
+      await this.save();
+    }
+  }
+
+  /**
+   * Store the index for later visits
+   */
+  async save() {
+    await this.cache.set(this.index.key, { version: INDEX_VERSION, pages: this.index.pages });
+  }
+
+  /**
+   * Find the pages that link to a page
+   * @param {string} pagePath - The page path, with or without .md
+   * @returns {Promise<Array>} - Array of { path, title, count, contexts } sorted by title,
+   *   where contexts are the distinct sentences around the links
+   */
+  async getBacklinks(pagePath) {
+    const target = this.app.content.normalizePath(pagePath);
+    const index = await this.sync();
+    
+    // Wiki links are resolved against the pages that exist now, not when they were indexed
+    const pagePaths = Object.keys(index.pages);
+    const backlinks = [];
+    
+    for (const [path, page] of Object.entries(index.pages)) {
+      if (path === target) continue;
+      
+      const links = page.links.filter(link => resolveLink(link, path, pagePaths) === target);
+      if (links.length > 0) {
+        backlinks.push({
+          path,
+          title: page.title,
+          count: links.length,
+          contexts: [...new Set(links.map(link => link.context).filter(Boolean))]
+        });
+      }
+    }
+    
+    return backlinks.sort((a, b) => a.title.localeCompare(b.title) || a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Find the pages with a tag
+   * @param {string} tag - The tag, in any case
+   * @returns {Promise<Array>} - Array of { path, title, tags } sorted by title
+   */
+  async getTaggedPages(tag) {
+    const index = await this.sync();
+    const name = tag.trim().toLowerCase();
+    
+    return Object.entries(index.pages)
+      .filter(([, page]) => page.tags.some(other => other.toLowerCase() === name))
+      .map(([path, page]) => ({ path, title: page.title, tags: page.tags }))
+      .sort((a, b) => a.title.localeCompare(b.title) || a.path.localeCompare(b.path));
+  }
+}
+
+/**
+ * Resolve an indexed link to the path of the page it points to
+ * @param {Object} link - { type, target }
+ * @param {string} sourcePath - Path of the page containing the link
+ * @param {Array} pagePaths - Paths of all pages
+ * @returns {string|null} - The page path or null for links outside the wiki
+ */
+function resolveLink(link, sourcePath, pagePaths) {
+  if (link.type === 'wiki') {
+    const resolved = resolveWikiLink(link.target, sourcePath, pagePaths);
+    return resolved ? resolved.path : null;
+  }
+  
+  return resolvePageLink(link.target, sourcePath);
+}
+
+/**
+ * Collect the links of block tokens from the marked lexer
+ * @param {Array} tokens - The block tokens
+ * @param {Array} links - Receives { type, target, context } for every link
+ * @returns {Array} - The links
+ */
+function findLinks(tokens, links) {
+  for (const token of tokens) {
+    if (token.type === 'list') {
+      token.items.forEach(item => findLinks(item.tokens, links));
+    } else if (token.type === 'table') {
+      [...token.header, ...token.rows.flat()].forEach(cell => findInlineLinks(cell.tokens, links));
+    } else if (['paragraph', 'heading', 'text'].includes(token.type) && token.tokens) {
+      findInlineLinks(token.tokens, links);
+    } else if (token.tokens) {
+      findLinks(token.tokens, links);
+    }
+  }
+  
+  return links;
+}
+
+/**
+ * Collect the links of one run of inline tokens, e.g. a paragraph, with their sentences
+ * @param {Array} tokens - The inline tokens
+ * @param {Array} links - Receives { type, target, context } for every link
+ */
+function findInlineLinks(tokens, links) {
+  const state = { text: '', found: [] };
+  appendText(tokens, state);
+  
+  for (const { link, start, end } of state.found) {
+    links.push({ ...link, context: getSentence(state.text, start, end) });
+  }
+}
+
+/**
+ * Append the plain text of inline tokens, noting where links start and end
+ * @param {Array} tokens - The inline tokens
+ * @param {Object} state - { text, found } with the text so far and the links found
+ */
+function appendText(tokens, state) {
+  for (const token of tokens) {
+    // Images and inline HTML add nothing readable to the sentence
+    if (token.type === 'image' || token.type === 'html') continue;
+    
+    const start = state.text.length;
+    if (token.tokens) {
+      appendText(token.tokens, state);
+    } else {
+      state.text += token.type === 'br' ? ' ' : (token.text || '');
+    }
+    
+    if (token.type === 'link') {
+      state.found.push({ link: { type: 'link', target: token.href }, start, end: state.text.length });
+    } else if (token.type === 'wikiLink' && token.target) {
+      state.found.push({ link: { type: 'wiki', target: token.target }, start, end: state.text.length });
+    }
+  }
+}
+
+/**
+ * Get the sentence around a part of a text, shortened to MAX_CONTEXT_LENGTH
+ * @param {string} text - The text
+ * @param {number} start - Start of the part
+ * @param {number} end - End of the part
+ * @returns {string} - The sentence
+ */
+function getSentence(text, start, end) {
+  let from = 0;
+  let to = text.length;
+  
+  // Sentences end with ., ! or ? followed by whitespace; punctuation within the link does not count
+  for (const match of text.matchAll(/[.!?]+(?=\s|$)/g)) {
+    const stop = match.index + match[0].length;
+    if (stop <= start) {
+      from = stop;
+    } else if (match.index >= end) {
+      to = stop;
+      break;
+    }
+  }
+  
+  if (to - from <= MAX_CONTEXT_LENGTH) {
+    return text.substring(from, to).replace(/\s+/g, ' ').trim();
+  }
+  
+  // Keep the link in the middle of what is shown
+  const margin = Math.max(0, Math.floor((MAX_CONTEXT_LENGTH - (end - start)) / 2));
+  const cutFrom = Math.max(from, start - margin);
+  const cutTo = Math.min(to, Math.max(end + margin, cutFrom + MAX_CONTEXT_LENGTH));
+  let excerpt = text.substring(cutFrom, cutTo);
+  
+  // Do not show parts of words at the cuts
+  if (cutFrom > from) {
+    excerpt = excerpt.replace(/^\S*\s/, '');
+  }
+  if (cutTo < to) {
+    excerpt = excerpt.replace(/\s\S*$/, '');
+  }
+  excerpt = excerpt.replace(/\s+/g, ' ').trim();
+  
+  return `${cutFrom > from ? '...' : ''}${excerpt}${cutTo < to ? '...' : ''}`;
+}
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Cache Store
+ * 
+ * Persistent key/value cache backed by IndexedDB, used to keep API responses
+ * (with their ETags) across page loads. Falls back to memory when IndexedDB
+ * is unavailable.
+ */
+
+export class CacheStore {
+  /**
+   * @param {string} name - The IndexedDB database name
+   */
+  constructor(name = 'wiki-cache') {
+    this.name = name;
+    this.storeName = 'entries';
+    this.dbPromise = null;
+    
+    // Fallback storage when IndexedDB cannot be used
+    this.memory = new Map();
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase|null>} - The database or null if unavailable
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        if (!window.indexedDB) {
+          resolve(null);
+          return;
+        }
+        
+        const request = indexedDB.open(this.name, 1);
+        
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, caching in memory only:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} - The request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get a cached entry
+   * @param {string} key - The cache key
+   * @returns {Promise<*>} - The entry or null if not cached
+   */
+  async get(key) {
+    if (!(await this.open())) {
+      return this.memory.has(key) ? this.memory.get(key) : null;
+    }
+    
+    try {
+      const value = await this.run('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    } catch (error) {
+      console.warn(`Failed to read cache entry ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - The cache key
+   * @param {*} value - The value (must be structured-cloneable)
+   */
+  async set(key, value) {
+    if (!(await this.open())) {
+      this.memory.set(key, value);
+      return;
+    }
+    
+    try {
+      await this.run('readwrite', store => store.put(value, key));
+    } catch (error) {
+      console.warn(`Failed to write cache entry ${key}:`, error);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - The cache key
+   */
+  async delete(key) {
+    if (!(await this.open())) {
+      this.memory.delete(key);
+      return;
+    }
+    
+    try {
+      await this.run('readwrite', store => store.delete(key));
+    } catch (error) {
+      console.warn(`Failed to delete cache entry ${key}:`, error);
+    }
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix
+   * @param {string} prefix - The key prefix
+   */
+  async deleteByPrefix(prefix) {
+    if (!(await this.open())) {
+      Array.from(this.memory.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => this.memory.delete(key));
+      return;
+    }
+    
+    try {
+      await this.run('readwrite', store => store.delete(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+    } catch (error) {
+      console.warn(`Failed to delete cache entries ${prefix}*:`, error);
+    }
+  }
+
+  /**
+   * Remove all entries
+   */
+  async clear() {
+    this.memory.clear();
+    
+    if (await this.open()) {
+      await this.run('readwrite', store => store.clear());
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Changeset Service
+ * 
+ * Staging area for file creates, updates and deletes that are committed
+ * together as a single commit
+ */
+
+export class ChangesetService {
+  constructor(app) {
+    this.app = app;
+    this.storageKey = 'wiki_changeset';
+    this.changes = new Map();
+    this.listeners = [];
+    
+    this.load();
+  }
+
+  /**
+   * Stage a file create or update
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {Object} options - { encoding: 'utf-8'|'base64', sha } where sha is the version
+   *   the change is based on (null for a new file); the commit fails if the file changed since
+   */
+  stage(path, content, options = {}) {
+    path = this.app.content.normalizePath(path);
+    this.changes.set(path, {
+      type: 'write',
+      path,
+      content,
+      encoding: options.encoding || 'utf-8',
+      sha: options.sha
+    });
+    this.persist();
+  }
+
+  /**
+   * Stage a file deletion
+   * @param {string} path - The path to the file
+   * @param {string} sha - The version being deleted, if known
+   */
+  stageDelete(path, sha) {
+    path = this.app.content.normalizePath(path);
+    this.changes.set(path, { type: 'delete', path, sha });
+    this.persist();
+  }
+
+  /**
+   * Remove a file from the changeset
+   * @param {string} path - The path to the file
+   */
+  unstage(path) {
+    path = this.app.content.normalizePath(path);
+    if (this.changes.delete(path)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Get the staged change for a path
+   * @param {string} path - The path to the file
+   * @returns {Object|null} - The staged change or null
+   */
+  get(path) {
+    return this.changes.get(this.app.content.normalizePath(path)) || null;
+  }
+
+  /**
+   * Get all staged changes
+   * @returns {Array} - Array of staged changes
+   */
+  getChanges() {
+    return Array.from(this.changes.values());
+  }
+
+  /**
+   * Check whether anything is staged
+   * @returns {boolean} - True if the changeset is empty
+   */
+  isEmpty() {
+    return this.changes.size === 0;
+  }
+
+  /**
+   * Commit all staged changes as a single commit, or propose them as a pull request
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit } SHA of the new commit or { pullRequest }
+   */
+  async commit(message) {
+    // Users without push access (or all users, if configured) get a pull request
+    const result = await this.app.content.submitChanges(this.getChanges(), message);
+    
+    this.discard();
+    
+    return result;
+  }
+
+  /**
+   * Drop all staged changes
+   */
+  discard() {
+    this.changes.clear();
+    this.persist();
+  }
+
+  /**
+   * Register a callback invoked whenever the changeset changes
+   * @param {Function} callback - Called with the array of staged changes
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Save the changeset to localStorage and notify listeners
+   */
+  persist() {
+    if (this.changes.size > 0) {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.getChanges()));
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+    
+    const changes = this.getChanges();
+    this.listeners.forEach(callback => callback(changes));
+  }
+
+  /**
+   * Restore the changeset from localStorage
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      saved.forEach(change => this.changes.set(change.path, change));
+    } catch (error) {
+      console.error('Failed to load changeset:', error);
+      localStorage.removeItem(this.storageKey);
+    }
+  }
+}
\ No newline at end of file
@@ -1,14 +1,47 @@
 /**
  * Content Service
  * 
- * Handles content retrieval and management from GitHub repository
+ * Handles content retrieval and management through a pluggable storage backend
  */
 
+import { GitHubStorageAdapter } from './storage/github-storage.js';
+import { GitLabStorageAdapter } from './storage/gitlab-storage.js';
+import { GiteaStorageAdapter } from './storage/gitea-storage.js';
+import { LocalDirectoryStorageAdapter } from './storage/local-storage.js';
+import { CacheStore } from './cache.js';
+
+// Types of images shown in pages; raw API responses do not always name them. Every
+// other file gets a type browsers only download, as its object URL shares the wiki's
+// origin and an HTML or SVG document opened from it could read the user's token
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon'
+};
+
 export class ContentService {
   constructor() {
+    // Storage adapters of the content repository and its mounts, by adapter key
+    this.adapters = new Map();
+    this.storageKey = null;
+    
     // Storage for caching
     this.cache = new Map();
     this.cacheTTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+    
+    // Object URLs of files shown in pages, such as images, by adapter key and path
+    this.fileUrls = new Map();
+    
+    // Persistent cache of API responses, revalidated with ETags
+    this.persistentCache = new CacheStore('wiki-content-cache');
+    
+    // Branches and tags of the content repository, loaded by getVersions()
+    this.refs = null;
   }
 
   /**
@@ -20,6 +53,7 @@ export class ContentService {
     }
     
     return {
+      backend: 'github',
       contentRepo: '',
       defaultBranch: 'main'
     };
@@ -37,61 +71,344 @@ export class ContentService {
   }
 
   /**
-   * Generate API URL for the GitHub content API
-   * @param {string} path - The path to the file
-   * @returns {string} - The API URL
+   * Fetch an API URL through the shared, rate-limit aware request layer
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - The response
+   */
+  fetchFromApi(url, options) {
+    if (window.wikiApp && window.wikiApp.requests) {
+      return window.wikiApp.requests.fetch(url, options);
+    }
+    
+    return fetch(url, options);
+  }
+
+  /**
+   * Get the version of the content repository selected with ?ref= in the URL
+   * @returns {string} - The branch or tag name, or '' for the default branch
+   */
+  getRef() {
+    return new URLSearchParams(window.location.search).get('ref') || '';
+  }
+
+  /**
+   * List the versions of the content repository that can be selected, filtered by
+   * the "versions.pattern" regular expression of the configuration
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }, the default branch first
+   */
+  async getVersions() {
+    const config = this.getConfig();
+    
+    await this.loadRefs();
+    if (this.refs.length === 0) {
+      return [];
+    }
+    
+    const pattern = config.versions && config.versions.pattern ? new RegExp(config.versions.pattern) : null;
+    const versions = this.refs.filter(ref =>
+      ref.name !== config.defaultBranch && (!pattern || pattern.test(ref.name)));
+    
+    return [{ name: config.defaultBranch, type: 'branch' }, ...versions];
+  }
+
+  /**
+   * Load the branches and tags of the content repository, once
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }
+   */
+  async loadRefs() {
+    if (!this.refs) {
+      this.refs = await this.getStorage().listRefs();
+    }
+    return this.refs;
+  }
+
+  /**
+   * Check whether the selected version of a path can be edited. Versions other than the
+   * default branch are read-only unless "versions.editing" is 'branch'; tags never are,
+   * and neither is any other version until loadRefs has shown it to be a branch.
+   * @param {string} path - The wiki path; defaults to the root content repository
+   * @returns {boolean} - True if edits can be committed to the selected version
+   */
+  isEditableVersion(path = '') {
+    const { mount, storage } = this.route(this.normalizePath(path));
+    if (storage.readOnly) {
+      return false;
+    }
+    
+    // Mounted repositories always show their configured branch
+    const config = this.getConfig();
+    const ref = this.getRef();
+    if (mount.prefix || !ref || ref === config.defaultBranch) {
+      return true;
+    }
+    
+    const version = (this.refs || []).find(candidate => candidate.name === ref);
+    return (config.versions || {}).editing === 'branch' && !!version && version.type === 'branch';
+  }
+
+  /**
+   * Load the refs if a version is selected, so isEditableVersion can tell a branch from a tag;
+   * the version stays read-only if they cannot be loaded
    */
-  getApiUrl(path) {
+  async resolveVersion() {
+    if (this.getRef() && !this.refs) {
+      try {
+        await this.loadRefs();
+      } catch (error) {
+        console.warn('Could not load versions:', error);
+      }
+    }
+  }
+
+  /**
+   * Throw unless the current user can write every path at the selected version
+   * @param {Array<string>} paths - The normalized wiki paths
+   */
+  async checkWritable(paths) {
+    await this.resolveVersion();
+    if (paths.some(path => !this.isEditableVersion(path))) {
+      throw new Error('This version of the wiki is read-only');
+    }
+    if (paths.some(path => !this.canWrite(path))) {
+      throw new Error('User is not authenticated');
+    }
+  }
+
+  /**
+   * Get the storage adapter for a path
+   * @param {string} path - The wiki path; defaults to the root content repository
+   * @returns {StorageAdapter} - The storage adapter of the repository owning the path
+   */
+  getStorage(path = '') {
+    return this.route(path).storage;
+  }
+
+  /**
+   * Get the mounted repositories, longest prefix first. The root mount ('') is the
+   * content repository itself; .wiki-config.json adds others under "mounts", e.g.
+   * { "eng": "org/eng-docs@main", "ops": { "repo": "org/runbooks", "branch": "prod", "title": "Runbooks" } }
+   * @returns {Array} - Array of { prefix, title, config } where config is the wiki
+   *   configuration with the mount's repository and branch
+   */
+  getMounts() {
     const config = this.getConfig();
-    if (!config.contentRepo) {
-      throw new Error('Content repository is not configured');
+    const ref = this.getRef();
+    
+    // The selected version only applies to the content repository itself
+    const mounts = [{
+      prefix: '',
+      title: config.title,
+      config: ref ? { ...config, defaultBranch: ref, ref } : config
+    }];
+    
+    for (const [prefix, target] of Object.entries(config.mounts || {})) {
+      const mount = parseMount(target);
+      mounts.push({
+        prefix: prefix.replace(/^\/+|\/+$/g, ''),
+        title: mount.title || prefix,
+        config: { ...config, ...mount }
+      });
     }
     
-    return `https://api.github.com/repos/${config.contentRepo}/contents/${path}?ref=${config.defaultBranch}`;
+    return mounts.sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+
+  /**
+   * Get the mount whose prefix is exactly a path
+   * @param {string} path - The wiki path
+   * @returns {Object|null} - { prefix, title, config } or null if the path is no mount point
+   */
+  getMountAt(path) {
+    path = path.replace(/^\/+|\/+$/g, '');
+    return path ? this.getMounts().find(mount => mount.prefix === path) || null : null;
+  }
+
+  /**
+   * Find the repository owning a path
+   * @param {string} path - The normalized wiki path
+   * @returns {Object} - { mount, storage, path } where path is relative to the mounted repository
+   */
+  route(path) {
+    const mount = this.getMounts().find(candidate =>
+      !candidate.prefix || path === candidate.prefix || path.startsWith(`${candidate.prefix}/`));
+    
+    return {
+      mount,
+      storage: this.getAdapter(mount.config),
+      path: mount.prefix ? path.substring(mount.prefix.length + 1) : path
+    };
   }
 
   /**
-   * Fetch a file from GitHub
+   * Get the storage adapter for a repository configuration, reusing existing adapters
+   * @param {Object} config - The wiki configuration of the repository
+   * @returns {StorageAdapter} - The storage adapter
+   */
+  getAdapter(config) {
+    // Start over when the set of repositories changes
+    const key = this.getKey();
+    if (this.storageKey !== key) {
+      this.storageKey = key;
+      this.adapters.clear();
+      this.clearCache();
+    }
+    
+    const adapter = this.createStorageAdapter(config);
+    if (!this.adapters.has(adapter.getKey())) {
+      this.adapters.set(adapter.getKey(), adapter);
+    }
+    
+    return this.adapters.get(adapter.getKey());
+  }
+
+  /**
+   * Get a key identifying all repositories and branches the wiki reads from
+   * @returns {string} - The storage key
+   */
+  getKey() {
+    return this.getMounts()
+      .map(mount => `${mount.prefix}=${this.createStorageAdapter(mount.config).getKey()}`)
+      .join('|');
+  }
+
+  /**
+   * Turn a path inside a mounted repository into a wiki path
+   * @param {Object} mount - The mount
+   * @param {string} path - The path inside the repository
+   * @returns {string} - The wiki path
+   */
+  toWikiPath(mount, path) {
+    if (!mount.prefix) {
+      return path;
+    }
+    return path ? `${mount.prefix}/${path}` : mount.prefix;
+  }
+
+  /**
+   * Split changes by the repository they belong to
+   * @param {Array} changes - Array of changes with normalized wiki paths
+   * @returns {Array} - Array of { mount, storage, changes } with repository-relative paths
+   */
+  groupByRepository(changes) {
+    const groups = new Map();
+    
+    for (const change of changes) {
+      const { mount, storage, path } = this.route(change.path);
+      if (!groups.has(mount.prefix)) {
+        groups.set(mount.prefix, { mount, storage, changes: [] });
+      }
+      groups.get(mount.prefix).changes.push({ ...change, path });
+    }
+    
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Create a storage adapter for a configuration
+   * @param {Object} config - The wiki configuration
+   * @returns {StorageAdapter} - The storage adapter
+   */
+  createStorageAdapter(config) {
+    switch (config.backend || 'github') {
+      case 'github':
+        return new GitHubStorageAdapter({
+          repo: config.contentRepo,
+          branch: config.defaultBranch,
+          getToken: () => this.getAuthToken(),
+          cache: this.persistentCache,
+          fetch: (url, options) => this.fetchFromApi(url, options)
+        });
+        
+      case 'gitlab':
+        return new GitLabStorageAdapter({
+          repo: config.contentRepo,
+          branch: config.defaultBranch,
+          apiUrl: `${getServerUrl(config)}/api/v4`,
+          getToken: () => this.getAuthToken(),
+          fetch: (url, options) => this.fetchFromApi(url, options)
+        });
+        
+      case 'gitea':
+        return new GiteaStorageAdapter({
+          repo: config.contentRepo,
+          branch: config.defaultBranch,
+          apiUrl: `${getServerUrl(config)}/api/v1`,
+          getToken: () => this.getAuthToken(),
+          fetch: (url, options) => this.fetchFromApi(url, options)
+        });
+        
+      case 'local':
+        return new LocalDirectoryStorageAdapter({
+          baseUrl: config.localContentUrl,
+          ref: config.ref
+        });
+        
+      default:
+        throw new Error(`Unknown storage backend: ${config.backend}`);
+    }
+  }
+
+  /**
+   * Check whether the current user can write content
+   * @param {string} path - The wiki path; defaults to the root content repository
+   * @returns {boolean} - True if saving is possible
+   */
+  canWrite(path = '') {
+    if (!this.isEditableVersion(path)) {
+      return false;
+    }
+    return !this.getStorage(this.normalizePath(path)).requiresAuth || !!this.getAuthToken();
+  }
+
+  /**
+   * Get a link to a page in the web editor of the service hosting its repository
+   * @param {string} path - The wiki path of the page
+   * @returns {Object|null} - { url, hostName } or null if the backend has no web editor
+   */
+  getEditLink(path) {
+    const route = this.route(this.normalizePath(path));
+    const url = route.storage.getEditUrl(route.path);
+    return url ? { url, hostName: route.storage.hostName } : null;
+  }
+
+  /**
+   * Fetch a file from storage
    * @param {string} path - The path to the file
    * @returns {Promise<string>} - The file content
    */
   async getFile(path) {
+    const file = await this.getFileInfo(path);
+    return file ? file.content : null;
+  }
+
+  /**
+   * Fetch a file together with its blob SHA
+   * @param {string} path - The path to the file
+   * @param {Object} options - { fresh: true } to bypass the cache
+   * @returns {Promise<Object|null>} - { content, sha } or null if the file does not exist
+   */
+  async getFileInfo(path, options = {}) {
     // Normalize path
     path = this.normalizePath(path);
     
     // Check cache first
-    const cachedContent = this.getFromCache(path);
-    if (cachedContent) {
-      return cachedContent;
+    const cached = options.fresh ? null : this.getFromCache(path);
+    if (cached) {
+      return cached;
     }
     
     try {
-      const url = this.getApiUrl(path);
-      const headers = {
-        'Accept': 'application/vnd.github.v3.raw'
-      };
-      
-      // Add authentication if available
-      const token = this.getAuthToken();
-      if (token) {
-        headers['Authorization'] = `token ${token}`;
-      }
-      
-      const response = await fetch(url, { headers });
-      
-      if (!response.ok) {
-        if (response.status === 404) {
-          return null; // File not found
-        }
-        throw new Error(`GitHub API error: ${response.status}`);
+      const route = this.route(path);
+      const file = await route.storage.readFile(route.path);
+      if (!file) {
+        return null; // File not found
       }
       
-      const content = await response.text();
-      
       // Cache the content
-      this.addToCache(path, content);
+      this.addToCache(path, file.content, file.sha);
       
-      return content;
+      return { content: file.content, sha: file.sha };
     } catch (error) {
       console.error(`Error fetching file ${path}:`, error);
       throw error;
@@ -99,85 +416,180 @@ export class ContentService {
   }
 
   /**
-   * Save a file to GitHub
+   * Save a file to storage
    * @param {string} path - The path to the file
    * @param {string} content - The file content
    * @param {string} message - The commit message
-   * @returns {Promise<Object>} - The response from GitHub
+   * @param {Object} options - { sha } of the version the edit is based on (null for a new file);
+   *   the save fails with a ConflictError if the file changed since
+   * @returns {Promise<Object>} - { path, sha, commit } of the saved file
    */
-  async saveFile(path, content, message = 'Update file') {
+  async saveFile(path, content, message = 'Update file', options = {}) {
     // Normalize path
     path = this.normalizePath(path);
     
-    // Check if user is authenticated
-    const token = this.getAuthToken();
-    if (!token) {
-      throw new Error('User is not authenticated');
-    }
+    // Check if user is allowed to write
+    await this.checkWritable([path]);
     
     try {
-      const config = this.getConfig();
-      const url = this.getApiUrl(path);
-      
-      // First, try to get the file to check if it exists and get its SHA
-      let sha = null;
-      try {
-        const fileResponse = await fetch(url, {
-          headers: {
-            'Authorization': `token ${token}`
-          }
-        });
-        
-        if (fileResponse.ok) {
-          const fileData = await fileResponse.json();
-          sha = fileData.sha;
-        }
-      } catch (error) {
-        // File doesn't exist, which is fine for creating a new file
-        console.log(`Creating new file at ${path}`);
-      }
+      // Commit to the repository that owns the page
+      const route = this.route(path);
+      const result = await route.storage.writeFile(route.path, content, message, options);
       
-      // Prepare request body
-      const requestBody = {
-        message,
-        content: btoa(content), // Base64 encode content
-        branch: config.defaultBranch
-      };
+      // Update cache
+      await this.invalidate(path);
+      this.addToCache(path, content, result.sha);
+      await this.updateBacklinks([{ type: 'write', path, content, sha: result.sha }]);
       
-      // Include SHA if updating existing file
-      if (sha) {
-        requestBody.sha = sha;
+      return { ...result, path };
+    } catch (error) {
+      // A conflict is expected and handled by the caller
+      if (error.name !== 'ConflictError') {
+        console.error(`Error saving file ${path}:`, error);
       }
+      await this.invalidate(path);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file from storage
+   * @param {string} path - The path to the file
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being deleted;
+   *   the delete fails with a ConflictError if the file changed since
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async deleteFile(path, message = 'Delete file', options = {}) {
+    // Normalize path
+    path = this.normalizePath(path);
+    
+    // Check if user is allowed to write
+    await this.checkWritable([path]);
+    
+    try {
+      const route = this.route(path);
+      const result = await route.storage.deleteFile(route.path, message, options);
+      await this.updateBacklinks([{ type: 'delete', path }]);
       
-      // Make request to update or create file
-      const response = await fetch(url, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `token ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+      return result;
+    } catch (error) {
+      if (error.name !== 'ConflictError') {
+        console.error(`Error deleting file ${path}:`, error);
+      }
+      throw error;
+    } finally {
+      await this.invalidate(path);
+    }
+  }
+
+  /**
+   * Commit several file changes at once. Changes spanning mounted repositories
+   * are committed to each repository in turn, one commit per repository.
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding }
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit, commits } SHA of the (last) new commit and of all of them
+   */
+  async commitChanges(changes, message = 'Update files') {
+    if (!changes || changes.length === 0) {
+      throw new Error('There are no changes to commit');
+    }
+    
+    const normalizedChanges = changes.map(change => ({
+      ...change,
+      path: this.normalizePath(change.path)
+    }));
+    
+    // Check if user is allowed to write
+    await this.checkWritable(normalizedChanges.map(change => change.path));
+    
+    try {
+      const commits = [];
+      for (const group of this.groupByRepository(normalizedChanges)) {
+        const result = await group.storage.commitChanges(group.changes, message);
+        commits.push(result.commit);
       }
       
-      const responseData = await response.json();
-      
-      // Update cache
-      this.addToCache(path, content);
+      // Drop cached copies; their new blob SHAs are not known here
+      await Promise.all(normalizedChanges.map(change => this.invalidate(change.path)));
+      await this.updateBacklinks(normalizedChanges.map(change => ({ ...change, sha: null })));
       
-      return responseData;
+      return { commit: commits[commits.length - 1], commits };
     } catch (error) {
-      console.error(`Error saving file ${path}:`, error);
+      console.error('Error committing changes:', error);
       throw error;
     }
   }
 
   /**
-   * Get file history from GitHub
+   * Commit changes, or propose them as a pull request when edits require review
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding, sha }
+   * @param {string} message - The commit message and pull request title
+   * @param {Object} options - { body } of a pull request
+   * @returns {Promise<Object>} - { commit } SHA of the new commit or { pullRequest }
+   */
+  async submitChanges(changes, message, options = {}) {
+    if (await this.shouldProposeChanges(changes[0] ? changes[0].path : '')) {
+      return { pullRequest: await this.proposeChanges(changes, { title: message, body: options.body }) };
+    }
+    
+    return this.commitChanges(changes, message);
+  }
+
+  /**
+   * Check whether edits should be proposed as pull requests instead of committed.
+   * That is the case when the wiki config forces it (editMode: 'pull-request')
+   * or, with editMode 'auto', when the user cannot push to the content repository.
+   * @param {string} path - The wiki path being edited; decides the repository
+   * @returns {Promise<boolean>} - True if saving should open a pull request
+   */
+  async shouldProposeChanges(path = '') {
+    const storage = this.getStorage(this.normalizePath(path));
+    if (!storage.supportsPullRequests) {
+      return false;
+    }
+    
+    const editMode = this.getConfig().editMode || 'auto';
+    if (editMode === 'pull-request') {
+      return true;
+    }
+    if (editMode === 'direct') {
+      return false;
+    }
+    
+    return !(await storage.canPush());
+  }
+
+  /**
+   * Propose changes as a pull request against the content branch
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding }
+   * @param {Object} options - { title, body } of the pull request
+   * @returns {Promise<Object>} - { url, number, branch, commit } of the pull request
+   */
+  async proposeChanges(changes, options = {}) {
+    const normalizedChanges = changes.map(change => ({
+      ...change,
+      path: this.normalizePath(change.path)
+    }));
+    
+    // Check if user is allowed to write
+    await this.checkWritable(normalizedChanges.map(change => change.path));
+    
+    const groups = this.groupByRepository(normalizedChanges);
+    if (groups.length > 1) {
+      throw new Error('Changes to pages in different repositories cannot be proposed in one pull request');
+    }
+    
+    try {
+      return await groups[0].storage.createPullRequest(groups[0].changes, options);
+    } catch (error) {
+      console.error('Error creating pull request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get file history from storage
    * @param {string} path - The path to the file
    * @returns {Promise<Array>} - The commit history
    */
@@ -186,26 +598,8 @@ export class ContentService {
     path = this.normalizePath(path);
     
     try {
-      const config = this.getConfig();
-      const url = `https://api.github.com/repos/${config.contentRepo}/commits?path=${path}&sha=${config.defaultBranch}`;
-      
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json'
-      };
-      
-      // Add authentication if available
-      const token = this.getAuthToken();
-      if (token) {
-        headers['Authorization'] = `token ${token}`;
-      }
-      
-      const response = await fetch(url, { headers });
-      
-      if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status}`);
-      }
-      
-      return await response.json();
+      const route = this.route(path);
+      return await route.storage.getHistory(route.path);
     } catch (error) {
       console.error(`Error getting history for ${path}:`, error);
       throw error;
@@ -213,41 +607,133 @@ export class ContentService {
   }
 
   /**
-   * Get directory contents from GitHub
+   * Get a file as it was at a given revision
+   * @param {string} path - The path to the file
+   * @param {string} revision - The commit SHA, branch or tag
+   * @returns {Promise<string|null>} - The file content
+   */
+  async getFileAtRevision(path, revision) {
+    // Normalize path
+    path = this.normalizePath(path);
+    
+    try {
+      const route = this.route(path);
+      return await route.storage.readFileAtRevision(route.path, revision);
+    } catch (error) {
+      console.error(`Error getting ${path} at ${revision}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a URL that shows a file of the repository, such as an image. The file is read
+   * through the storage backend with the user's token, so private repositories work too.
+   * @param {string} path - The wiki path of the file
+   * @param {Object} options - { image: true } for the source of an <img>; other files
+   *   are typed to be downloaded rather than opened
+   * @returns {Promise<string|null>} - An object URL of the file or null if it does not exist
+   */
+  async getFileUrl(path, options = {}) {
+    path = path.replace(/^\/+|\/+$/g, '');
+    const route = this.route(path);
+    const kind = options.image ? 'image' : 'file';
+    const key = `${kind}:${route.storage.getKey()}:${route.path}`;
+    
+    if (!this.fileUrls.has(key)) {
+      const request = route.storage.readBlob(route.path).then(blob => {
+        if (!blob) {
+          return null;
+        }
+        
+        // The type never comes from the server: browsers only show SVG images typed as such
+        const extension = path.substring(path.lastIndexOf('.') + 1).toLowerCase();
+        const type = (options.image && IMAGE_TYPES[extension]) || 'application/octet-stream';
+        return URL.createObjectURL(type !== blob.type ? new Blob([blob], { type }) : blob);
+      });
+      
+      // Failed requests are tried again next time
+      request.catch(() => this.fileUrls.delete(key));
+      this.fileUrls.set(key, request);
+    }
+    
+    return this.fileUrls.get(key);
+  }
+
+  /**
+   * Get directory contents from storage
    * @param {string} path - The directory path
    * @returns {Promise<Array>} - The directory contents
    */
   async getDirectoryContents(path = '') {
-    // Normalize path
-    path = this.normalizePath(path);
+    // Remove leading and trailing slashes (directories get no .md extension)
+    path = path.replace(/^\/+|\/+$/g, '');
     
     try {
-      const url = this.getApiUrl(path);
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json'
-      };
+      const route = this.route(path);
+      const entries = (await route.storage.listDirectory(route.path)).map(entry => ({
+        ...entry,
+        path: this.toWikiPath(route.mount, entry.path)
+      }));
       
-      // Add authentication if available
-      const token = this.getAuthToken();
-      if (token) {
-        headers['Authorization'] = `token ${token}`;
+      // Mount points show up as directories of their parent
+      for (const mount of this.getMounts()) {
+        const parent = mount.prefix.includes('/') ? mount.prefix.substring(0, mount.prefix.lastIndexOf('/')) : '';
+        if (mount.prefix && parent === path && !entries.some(entry => entry.path === mount.prefix)) {
+          entries.push({ name: mount.prefix.substring(parent ? parent.length + 1 : 0), path: mount.prefix, type: 'dir', sha: null, size: 0 });
+        }
       }
       
-      const response = await fetch(url, { headers });
+      return entries;
+    } catch (error) {
+      console.error(`Error getting directory contents for ${path}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full tree of the content repository and all mounted repositories
+   * @returns {Promise<Object>} - { sha, entries } where sha combines the tree SHAs
+   *   (null if any is unknown) and entry paths are wiki paths
+   */
+  async getTree() {
+    try {
+      const mounts = this.getMounts();
+      const trees = await Promise.all(mounts.map(mount => this.getAdapter(mount.config).getTree()));
       
-      if (!response.ok) {
-        if (response.status === 404) {
-          return []; // Directory not found
+      const entries = [];
+      const directories = new Set();
+      
+      mounts.forEach((mount, index) => {
+        // Paths inside a more specific mount belong to that mount
+        const isShadowed = (path) => mounts.some(other =>
+          other.prefix.length > mount.prefix.length && (path === other.prefix || path.startsWith(`${other.prefix}/`)));
+        
+        for (const entry of trees[index].entries) {
+          const path = this.toWikiPath(mount, entry.path);
+          if (isShadowed(path)) continue;
+          
+          entries.push({ ...entry, path });
+          if (entry.type === 'dir') {
+            directories.add(path);
+          }
         }
-        throw new Error(`GitHub API error: ${response.status}`);
-      }
+        
+        // The mount point and its parents are directories
+        const segments = mount.prefix.split('/').filter(Boolean);
+        segments.forEach((segment, depth) => {
+          const path = segments.slice(0, depth + 1).join('/');
+          if (!directories.has(path)) {
+            directories.add(path);
+            entries.push({ path, type: 'dir', sha: null, size: 0 });
+          }
+        });
+      });
       
-      const contents = await response.json();
+      const sha = trees.every(tree => tree.sha) ? trees.map(tree => tree.sha).join(':') : null;
       
-      // Filter out non-markdown files and directories
-      return Array.isArray(contents) ? contents : [contents];
+      return { sha, entries };
     } catch (error) {
-      console.error(`Error getting directory contents for ${path}:`, error);
+      console.error('Error getting repository tree:', error);
       throw error;
     }
   }
@@ -273,10 +759,12 @@ export class ContentService {
    * Add content to cache
    * @param {string} path - The file path
    * @param {string} content - The file content
+   * @param {string} sha - The blob SHA of the content, if known
    */
-  addToCache(path, content) {
+  addToCache(path, content, sha = null) {
     this.cache.set(path, {
       content,
+      sha,
       timestamp: Date.now()
     });
   }
@@ -284,7 +772,7 @@ export class ContentService {
   /**
    * Get content from cache
    * @param {string} path - The file path
-   * @returns {string|null} - The cached content or null if not in cache or expired
+   * @returns {Object|null} - The cached { content, sha } or null if not in cache or expired
    */
   getFromCache(path) {
     const cached = this.cache.get(path);
@@ -299,7 +787,50 @@ export class ContentService {
       return null;
     }
     
-    return cached.content;
+    return { content: cached.content, sha: cached.sha };
+  }
+
+  /**
+   * Drop all cached data about a file, in memory and in the persistent cache
+   * @param {string} path - The file path
+   */
+  async invalidate(path) {
+    path = this.normalizePath(path);
+    this.cache.delete(path);
+    
+    // The repository tree no longer matches either
+    if (window.wikiApp && window.wikiApp.tree) {
+      window.wikiApp.tree.invalidate();
+    }
+    
+    try {
+      const route = this.route(path);
+      this.dropFileUrl(`image:${route.storage.getKey()}:${route.path}`);
+      this.dropFileUrl(`file:${route.storage.getKey()}:${route.path}`);
+      await route.storage.invalidate(route.path);
+    } catch (error) {
+      console.warn(`Failed to invalidate cache for ${path}:`, error);
+    }
+  }
+
+  /**
+   * Update the backlinks index with committed changes, without reading the pages again
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding, sha }
+   *   where sha is the blob SHA of the new content, if known
+   */
+  async updateBacklinks(changes) {
+    const backlinks = window.wikiApp && window.wikiApp.backlinks;
+    if (!backlinks) return;
+    
+    for (const change of changes) {
+      if (!change.path.endsWith('.md')) continue;
+      
+      if (change.type === 'delete') {
+        await backlinks.removePage(change.path);
+      } else if (change.encoding !== 'base64') {
+        await backlinks.updatePage(change.path, change.content, change.sha);
+      }
+    }
   }
 
   /**
@@ -307,5 +838,59 @@ export class ContentService {
    */
   clearCache() {
     this.cache.clear();
+    
+    for (const key of Array.from(this.fileUrls.keys())) {
+      this.dropFileUrl(key);
+    }
+  }
+
+  /**
+   * Clear the cache, including the API responses kept between visits
+   * @returns {Promise<void>}
+   */
+  async clearStoredCache() {
+    this.clearCache();
+    await this.persistentCache.clear();
+  }
+
+  /**
+   * Forget the object URL of a file and release its data
+   * @param {string} key - The kind ('image' or 'file'), adapter key and path of the file
+   */
+  dropFileUrl(key) {
+    const request = this.fileUrls.get(key);
+    if (!request) return;
+    
+    this.fileUrls.delete(key);
+    request.then(url => url && URL.revokeObjectURL(url), () => {});
   }
+}
+
+/**
+ * Parse a mount declaration
+ * @param {string|Object} target - 'owner/repo@branch' or { repo, branch, title, backend, localContentUrl }
+ * @returns {Object} - Configuration overrides for the mounted repository
+ */
+function parseMount(target) {
+  if (typeof target === 'string') {
+    const [repo, branch] = target.split('@');
+    return branch ? { contentRepo: repo, defaultBranch: branch } : { contentRepo: repo };
+  }
+  
+  const { repo, branch, ...rest } = target;
+  return {
+    ...rest,
+    ...(repo ? { contentRepo: repo } : {}),
+    ...(branch ? { defaultBranch: branch } : {})
+  };
+}
+
+/**
+ * Get the base URL of the GitLab or Gitea instance hosting a repository
+ * @param {Object} config - The wiki configuration
+ * @returns {string} - The instance URL without a trailing slash
+ */
+export function getServerUrl(config) {
+  const defaults = { gitlab: 'https://gitlab.com', gitea: '' };
+  return (config.serverUrl || defaults[config.backend] || '').replace(/\/+$/, '');
 }
\ No newline at end of file
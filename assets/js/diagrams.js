@@ -0,0 +1,1338 @@
+/**
+ * Diagrams
+ * 
+ * Renders flowcharts and sequence diagrams written in mermaid syntax, and graphs
+ * written in Graphviz DOT, as inline SVG. Covers the commonly used part of both
+ * languages with a simple layered layout; styling comes from the wiki's CSS.
+ */
+
+// Label text metrics in pixels; widths are estimated so rendering needs no DOM
+const LINE_HEIGHT = 18;
+const CHAR_WIDTH = 7;
+const WIDE_CHAR_WIDTH = 14;
+
+const MARGIN = 16;
+const NODE_PADDING_X = 16;
+const NODE_PADDING_Y = 10;
+const NODE_GAP = 32;
+const RANK_GAP = 56;
+const SELF_LOOP_SIZE = 36;
+
+// First line of a mermaid flowchart: graph or flowchart, then the direction
+const FLOWCHART_HEADER = /^(?:graph|flowchart)(?:\s+(TB|TD|BT|LR|RL))?$/i;
+
+// Flowchart statements that only affect styling or grouping, drawn without them
+const IGNORED_FLOWCHART_STATEMENT = /^(?:subgraph|end|classDef|class|style|linkStyle|click|direction)\b/;
+
+// Node id, with single hyphens allowed inside (A-->B is a link, api-gateway an id)
+const FLOW_NODE_ID = /^[\p{L}\p{N}_]+(?:-(?![-.=>ox])[\p{L}\p{N}_]+)*/u;
+
+// Node shapes by opening bracket, longest first: [opening, closing, shape]
+const FLOW_NODE_SHAPES = [
+  ['([', '])', 'stadium'],
+  ['((', '))', 'circle'],
+  ['[[', ']]', 'rect'],
+  ['[(', ')]', 'rect'],
+  ['{{', '}}', 'hexagon'],
+  ['[', ']', 'rect'],
+  ['(', ')', 'round'],
+  ['{', '}', 'diamond'],
+  ['>', ']', 'rect']
+];
+
+// A -- text --> B, A == text ==> B and A -. text .-> B
+const FLOW_LINK_WITH_TEXT = /^(<?)(--|==|-\.)\s+(.+?)\s*(-{2,}|={2,}|\.+-)([>ox]?)/;
+
+// A --> B, A --- B, A ==> B and A -.-> B, optionally followed by |text|
+const FLOW_LINK = /^(<?)(-{2,}|={2,}|-\.+-)([>ox]?)(?:\s*\|([^|]*)\|)?/;
+
+const FLOW_LINK_HEADS = { '>': 'arrow', o: 'circle', x: 'cross' };
+
+// Sequence diagram lines
+const SEQUENCE_PARTICIPANT = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i;
+const SEQUENCE_MESSAGE = /^([^:]+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*[+-]?\s*([^:]+?)\s*(?::\s*(.*))?$/;
+const SEQUENCE_NOTE = /^note\s+(left of|right of|over)\s+([^:,]+?)(?:\s*,\s*([^:]+?))?\s*:\s*(.*)$/i;
+const SEQUENCE_BLOCK = /^(loop|alt|opt|par|critical|break|rect|box)\b\s*(.*)$/i;
+const SEQUENCE_BLOCK_SECTION = /^(else|and|option)\b\s*(.*)$/i;
+const IGNORED_SEQUENCE_STATEMENT = /^(?:autonumber|activate|deactivate|title|links?|properties|details)\b/i;
+
+// Sequence messages by arrow: [line style, arrow head]
+const SEQUENCE_ARROWS = {
+  '->>': ['solid', 'arrow'],
+  '-->>': ['dashed', 'arrow'],
+  '->': ['solid', 'none'],
+  '-->': ['dashed', 'none'],
+  '-x': ['solid', 'cross'],
+  '--x': ['dashed', 'cross'],
+  '-)': ['solid', 'open'],
+  '--)': ['dashed', 'open']
+};
+
+const SEQUENCE_ROW_GAP = 16;
+const SEQUENCE_MIN_BOX_WIDTH = 80;
+const SEQUENCE_SELF_MESSAGE_WIDTH = 32;
+
+// DOT tokens: whitespace, comments, strings, HTML strings, edge operators, punctuation and ids
+const DOT_TOKEN = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"(?:\\[\s\S]|[^"\\])*"|<[^<>]*>|->|--|[{}[\];,=:]|[\p{L}\p{N}_.-]+/uy;
+
+// DOT node shapes drawn with one of the shapes above
+const DOT_SHAPES = {
+  box: 'rect', rect: 'rect', rectangle: 'rect', square: 'rect', record: 'rect', plaintext: 'rect',
+  plain: 'rect', none: 'rect', underline: 'rect', Mrecord: 'round', ellipse: 'ellipse', oval: 'ellipse',
+  egg: 'ellipse', circle: 'circle', doublecircle: 'circle', point: 'circle', diamond: 'diamond',
+  hexagon: 'hexagon'
+};
+
+// Gives arrow markers ids that are unique on the page
+let diagramCount = 0;
+
+/**
+ * Raised for diagram source that cannot be rendered
+ */
+export class DiagramError extends Error {
+  constructor(message, line = null) {
+    super(message);
+    this.name = 'DiagramError';
+    this.line = line;
+  }
+}
+
+/**
+ * Render a mermaid flowchart or sequence diagram
+ * @param {string} source - The diagram source
+ * @returns {string} - The SVG markup
+ */
+export function renderMermaid(source) {
+  const statements = splitMermaidStatements(source);
+  if (statements.length === 0) {
+    throw new DiagramError('The diagram is empty');
+  }
+  
+  const [header, ...body] = statements;
+  const flowchart = header.text.match(FLOWCHART_HEADER);
+  if (flowchart) {
+    const direction = (flowchart[1] || 'TB').toUpperCase();
+    return renderGraph(parseFlowchart(body, direction === 'TD' ? 'TB' : direction), 'flowchart');
+  }
+  if (/^sequenceDiagram$/i.test(header.text)) {
+    return renderSequence(parseSequence(body));
+  }
+  
+  throw new DiagramError(`"${header.text.split(/\s+/)[0]}" diagrams are not supported; use a flowchart or a sequenceDiagram`, header.line);
+}
+
+/**
+ * Render a graph written in Graphviz DOT
+ * @param {string} source - The diagram source
+ * @returns {string} - The SVG markup
+ */
+export function renderGraphviz(source) {
+  return renderGraph(parseDot(source), 'graphviz');
+}
+
+/**
+ * Split mermaid source into statements, dropping comments and blank lines
+ * @param {string} source - The diagram source
+ * @returns {Array} - Array of { text, line } with 1-based line numbers
+ */
+function splitMermaidStatements(source) {
+  const statements = [];
+  
+  source.split('\n').forEach((text, index) => {
+    // Semicolons outside brackets and quotes separate statements on one line
+    let depth = 0;
+    let quoted = false;
+    let start = 0;
+    const parts = [];
+    
+    for (let position = 0; position < text.length; position++) {
+      const char = text[position];
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && '([{'.includes(char)) {
+        depth++;
+      } else if (!quoted && ')]}'.includes(char)) {
+        depth = Math.max(0, depth - 1);
+      } else if (!quoted && depth === 0 && char === ';') {
+        parts.push(text.substring(start, position));
+        start = position + 1;
+      }
+    }
+    parts.push(text.substring(start));
+    
+    for (const part of parts) {
+      const statement = part.trim();
+      if (statement && !statement.startsWith('%%')) {
+        statements.push({ text: statement, line: index + 1 });
+      }
+    }
+  });
+  
+  return statements;
+}
+
+/**
+ * Parse the statements of a mermaid flowchart
+ * @param {Array} statements - Array of { text, line } after the header
+ * @param {string} direction - TB, BT, LR or RL
+ * @returns {Object} - The graph: { direction, nodes, edges }
+ */
+function parseFlowchart(statements, direction) {
+  const graph = { direction, nodes: new Map(), edges: [] };
+  
+  for (const { text, line } of statements) {
+    if (IGNORED_FLOWCHART_STATEMENT.test(text)) continue;
+    
+    const reader = { text, position: 0, line };
+    let sources = readFlowNodeGroup(reader, graph);
+    
+    while (skipSpaces(reader) < text.length) {
+      const link = readFlowLink(reader);
+      if (!link) {
+        throw new DiagramError(`Expected an arrow such as --> before "${text.substring(reader.position)}"`, line);
+      }
+      
+      const targets = readFlowNodeGroup(reader, graph);
+      for (const from of sources) {
+        for (const to of targets) {
+          graph.edges.push({ from, to, ...link });
+        }
+      }
+      sources = targets;
+    }
+  }
+  
+  return graph;
+}
+
+/**
+ * Skip spaces in a statement
+ * @param {Object} reader - { text, position, line }
+ * @returns {number} - The new position
+ */
+function skipSpaces(reader) {
+  while (reader.position < reader.text.length && /\s/.test(reader.text[reader.position])) {
+    reader.position++;
+  }
+  
+  return reader.position;
+}
+
+/**
+ * Read one node, or several joined with &, creating or updating them in the graph
+ * @param {Object} reader - { text, position, line }
+ * @param {Object} graph - The graph
+ * @returns {Array} - The node ids
+ */
+function readFlowNodeGroup(reader, graph) {
+  skipSpaces(reader);
+  const ids = [readFlowNode(reader, graph)];
+  
+  while (skipSpaces(reader) < reader.text.length && reader.text[reader.position] === '&') {
+    reader.position++;
+    skipSpaces(reader);
+    ids.push(readFlowNode(reader, graph));
+  }
+  
+  return ids;
+}
+
+/**
+ * Read a node reference such as A, A[Label] or A{"Quoted label"}
+ * @param {Object} reader - { text, position, line }
+ * @param {Object} graph - The graph
+ * @returns {string} - The node id
+ */
+function readFlowNode(reader, graph) {
+  const rest = reader.text.substring(reader.position);
+  const match = rest.match(FLOW_NODE_ID);
+  if (!match) {
+    throw new DiagramError(`Expected a node name at "${rest}"`, reader.line);
+  }
+  
+  const id = match[0];
+  reader.position += id.length;
+  
+  if (!graph.nodes.has(id)) {
+    graph.nodes.set(id, { id, label: id, shape: 'rect' });
+  }
+  
+  const shape = FLOW_NODE_SHAPES.find(([opening]) => reader.text.startsWith(opening, reader.position));
+  if (shape) {
+    const [opening, closing, name] = shape;
+    let start = reader.position + opening.length;
+    let label;
+    
+    if (reader.text[start] === '"') {
+      const quote = reader.text.indexOf('"', start + 1);
+      if (quote === -1) {
+        throw new DiagramError(`The label of ${id} has no closing quote`, reader.line);
+      }
+      label = reader.text.substring(start + 1, quote);
+      start = quote + 1;
+    }
+    
+    const end = reader.text.indexOf(closing, start);
+    if (end === -1) {
+      throw new DiagramError(`The label of ${id} has no closing "${closing}"`, reader.line);
+    }
+    
+    if (label === undefined) {
+      // [/text/] and [\text\] shapes are drawn as rectangles
+      label = reader.text.substring(start, end).trim().replace(/^[/\\]|[/\\]$/g, '');
+    }
+    
+    Object.assign(graph.nodes.get(id), { label, shape: name });
+    reader.position = end + closing.length;
+  }
+  
+  return id;
+}
+
+/**
+ * Read a link between nodes
+ * @param {Object} reader - { text, position, line }
+ * @returns {Object|null} - { label, style, head, tail } or null if there is no link
+ */
+function readFlowLink(reader) {
+  const rest = reader.text.substring(reader.position);
+  const withText = rest.match(FLOW_LINK_WITH_TEXT);
+  const match = withText || rest.match(FLOW_LINK);
+  if (!match) {
+    return null;
+  }
+  
+  reader.position += match[0].length;
+  
+  const line = match[2] + (withText ? match[4] : '');
+  return {
+    label: ((withText ? match[3] : match[4]) || '').trim(),
+    style: line.includes('=') ? 'thick' : line.includes('.') ? 'dotted' : 'solid',
+    head: FLOW_LINK_HEADS[withText ? match[5] : match[3]] || 'none',
+    tail: match[1] ? 'arrow' : 'none'
+  };
+}
+
+/**
+ * Parse a Graphviz DOT graph
+ * @param {string} source - The diagram source
+ * @returns {Object} - The graph: { direction, nodes, edges }
+ */
+function parseDot(source) {
+  const tokens = tokenizeDot(source);
+  const graph = { direction: 'TB', nodes: new Map(), edges: [] };
+  let index = 0;
+  
+  const peek = () => tokens[index] || { value: '', line: tokens.length ? tokens[tokens.length - 1].line : 1 };
+  const next = () => {
+    const token = peek();
+    if (index >= tokens.length) {
+      throw new DiagramError('The graph ends unexpectedly; is a "}" missing?', token.line);
+    }
+    index++;
+    return token;
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value || token.quoted) {
+      throw new DiagramError(`Expected "${value}" but found "${token.value}"`, token.line);
+    }
+  };
+  const readAttributes = () => {
+    const attributes = {};
+    while (peek().value === '[' && !peek().quoted) {
+      next();
+      while (peek().value !== ']' || peek().quoted) {
+        const name = next().value;
+        let value = 'true';
+        if (peek().value === '=' && !peek().quoted) {
+          next();
+          value = next().value;
+        }
+        attributes[name] = value;
+        if ((peek().value === ',' || peek().value === ';') && !peek().quoted) {
+          next();
+        }
+      }
+      next();
+    }
+    return attributes;
+  };
+  
+  if (peek().value.toLowerCase() === 'strict') {
+    next();
+  }
+  
+  const kind = next();
+  if (!['graph', 'digraph'].includes(kind.value.toLowerCase())) {
+    throw new DiagramError(`A DOT diagram starts with "graph" or "digraph", not "${kind.value}"`, kind.line);
+  }
+  const directed = kind.value.toLowerCase() === 'digraph';
+  const edgeOperator = directed ? '->' : '--';
+  
+  if (peek().value !== '{') {
+    next();
+  }
+  expect('{');
+  
+  const nodeDefaults = {};
+  const edgeDefaults = {};
+  const addNode = (id, attributes = {}) => {
+    if (!graph.nodes.has(id)) {
+      graph.nodes.set(id, { id, label: id, shape: DOT_SHAPES[nodeDefaults.shape] || 'ellipse' });
+      if (nodeDefaults.label) {
+        graph.nodes.get(id).label = formatDotLabel(nodeDefaults.label);
+      }
+    }
+    
+    const node = graph.nodes.get(id);
+    if (attributes.label !== undefined) {
+      node.label = formatDotLabel(attributes.label);
+    }
+    if (attributes.shape) {
+      node.shape = DOT_SHAPES[attributes.shape] || 'rect';
+    }
+  };
+  
+  // Subgraphs only group nodes; their statements are read as if they were at the top level
+  let depth = 1;
+  while (depth > 0) {
+    const token = next();
+    const value = token.quoted ? null : token.value;
+    
+    if (value === '}') {
+      depth--;
+    } else if (value === '{') {
+      depth++;
+    } else if (value === ';' || value === ',') {
+      continue;
+    } else if (value === 'subgraph') {
+      if (peek().value !== '{') {
+        next();
+      }
+      expect('{');
+      depth++;
+    } else if (value === 'graph' || value === 'node' || value === 'edge') {
+      const attributes = readAttributes();
+      if (value === 'node') {
+        Object.assign(nodeDefaults, attributes);
+      } else if (value === 'edge') {
+        Object.assign(edgeDefaults, attributes);
+      } else if (attributes.rankdir) {
+        graph.direction = parseDotDirection(attributes.rankdir, token.line);
+      }
+    } else if (peek().value === '=' && !peek().quoted) {
+      next();
+      const setting = next();
+      if (token.value === 'rankdir') {
+        graph.direction = parseDotDirection(setting.value, setting.line);
+      }
+    } else if (/^[{}[\];,=:]$|^(->|--)$/.test(value || '')) {
+      throw new DiagramError(`Unexpected "${token.value}"`, token.line);
+    } else {
+      // A node, or a chain of edges: a -> b -> c [label="..."]
+      const chain = [token.value];
+      skipDotPort(peek, next);
+      
+      while (['->', '--'].includes(peek().value) && !peek().quoted) {
+        const operator = next();
+        if (operator.value !== edgeOperator) {
+          throw new DiagramError(`Use "${edgeOperator}" for edges in a ${kind.value}`, operator.line);
+        }
+        
+        const target = next();
+        if (!target.quoted && /^[{}[\];,=:]$/.test(target.value)) {
+          throw new DiagramError(`Expected a node after "${edgeOperator}"${target.value === '{' ? '; edges to subgraphs are not supported' : ''}`, target.line);
+        }
+        chain.push(target.value);
+        skipDotPort(peek, next);
+      }
+      
+      const attributes = readAttributes();
+      if (chain.length === 1) {
+        addNode(chain[0], attributes);
+        continue;
+      }
+      
+      const edge = { ...edgeDefaults, ...attributes };
+      const style = edge.style || '';
+      const dir = edge.dir || (directed ? 'forward' : 'none');
+      const head = edge.arrowhead === 'none' ? 'none' : 'arrow';
+      
+      chain.forEach(id => addNode(id));
+      for (let position = 1; position < chain.length; position++) {
+        graph.edges.push({
+          from: chain[position - 1],
+          to: chain[position],
+          label: edge.label !== undefined ? formatDotLabel(edge.label) : '',
+          style: /dashed|dotted/.test(style) ? 'dotted' : /bold/.test(style) ? 'thick' : 'solid',
+          head: dir === 'forward' || dir === 'both' ? head : 'none',
+          tail: dir === 'back' || dir === 'both' ? 'arrow' : 'none'
+        });
+      }
+    }
+  }
+  
+  if (index < tokens.length) {
+    throw new DiagramError(`Unexpected "${tokens[index].value}" after the end of the graph`, tokens[index].line);
+  }
+  
+  return graph;
+}
+
+/**
+ * Split DOT source into tokens, dropping whitespace and comments
+ * @param {string} source - The diagram source
+ * @returns {Array} - Array of { value, quoted, line }
+ */
+function tokenizeDot(source) {
+  const tokens = [];
+  let line = 1;
+  
+  DOT_TOKEN.lastIndex = 0;
+  while (DOT_TOKEN.lastIndex < source.length) {
+    const start = DOT_TOKEN.lastIndex;
+    const match = DOT_TOKEN.exec(source);
+    if (!match) {
+      throw new DiagramError(`Unexpected "${source[start]}"`, line);
+    }
+    
+    const text = match[0];
+    if (text.startsWith('"')) {
+      tokens.push({ value: text.slice(1, -1).replace(/\\"/g, '"'), quoted: true, line });
+    } else if (text.startsWith('<')) {
+      // HTML labels are shown as their text
+      tokens.push({ value: text.slice(1, -1).replace(/<[^>]*>/g, ''), quoted: true, line });
+    } else if (!/^(\s|\/\/|#|\/\*)/.test(text)) {
+      tokens.push({ value: text, quoted: false, line });
+    }
+    
+    line += text.split('\n').length - 1;
+  }
+  
+  return tokens;
+}
+
+/**
+ * Skip the :port and :port:compass parts of a DOT node reference
+ * @param {Function} peek - Returns the next token
+ * @param {Function} next - Consumes the next token
+ */
+function skipDotPort(peek, next) {
+  while (peek().value === ':' && !peek().quoted) {
+    next();
+    next();
+  }
+}
+
+/**
+ * Read a DOT rankdir value
+ * @param {string} value - TB, BT, LR or RL
+ * @param {number} line - The line of the value
+ * @returns {string} - The direction
+ */
+function parseDotDirection(value, line) {
+  const direction = value.toUpperCase();
+  if (!['TB', 'BT', 'LR', 'RL'].includes(direction)) {
+    throw new DiagramError(`rankdir must be TB, BT, LR or RL, not "${value}"`, line);
+  }
+  
+  return direction;
+}
+
+/**
+ * Turn DOT line break escapes (\n, \l, \r) into line breaks
+ * @param {string} label - The label as written
+ * @returns {string} - The label
+ */
+function formatDotLabel(label) {
+  return label.replace(/\\[nlr]/g, '\n').replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse the statements of a mermaid sequence diagram
+ * @param {Array} statements - Array of { text, line } after the header
+ * @returns {Object} - { participants, items } where items are messages, notes and blocks
+ */
+function parseSequence(statements) {
+  const participants = new Map();
+  const items = [];
+  const blocks = [];
+  
+  const addParticipant = (id, label = id, kind = 'participant') => {
+    if (!participants.has(id)) {
+      participants.set(id, { id, label, kind });
+    }
+    return id;
+  };
+  
+  for (const { text, line } of statements) {
+    let match;
+    
+    if ((match = text.match(SEQUENCE_PARTICIPANT))) {
+      const id = match[2].trim();
+      addParticipant(id, match[3] ? match[3].trim() : id, match[1].toLowerCase());
+      Object.assign(participants.get(id), { label: match[3] ? match[3].trim() : participants.get(id).label, kind: match[1].toLowerCase() });
+    } else if ((match = text.match(SEQUENCE_NOTE))) {
+      const over = [addParticipant(match[2].trim())];
+      if (match[3]) {
+        over.push(addParticipant(match[3].trim()));
+      }
+      items.push({ type: 'note', position: match[1].toLowerCase(), participants: over, text: match[4].trim() });
+    } else if ((match = text.match(SEQUENCE_BLOCK))) {
+      const kind = match[1].toLowerCase();
+      blocks.push({ kind, line });
+      // Boxes group participants in mermaid; here they only need their "end"
+      if (kind !== 'box') {
+        items.push({ type: 'start', kind, text: match[2].trim() });
+      }
+    } else if ((match = text.match(SEQUENCE_BLOCK_SECTION))) {
+      if (blocks.length === 0) {
+        throw new DiagramError(`"${match[1]}" outside of an alt, par or critical block`, line);
+      }
+      items.push({ type: 'section', text: match[2].trim() });
+    } else if (/^end$/i.test(text)) {
+      const block = blocks.pop();
+      if (!block) {
+        throw new DiagramError('"end" without a block to close', line);
+      }
+      if (block.kind !== 'box') {
+        items.push({ type: 'end' });
+      }
+    } else if ((match = text.match(SEQUENCE_MESSAGE))) {
+      const [style, head] = SEQUENCE_ARROWS[match[2]];
+      items.push({
+        type: 'message',
+        from: addParticipant(match[1].replace(/[+-]$/, '').trim()),
+        to: addParticipant(match[3].trim()),
+        text: (match[4] || '').trim(),
+        style,
+        head
+      });
+    } else if (!IGNORED_SEQUENCE_STATEMENT.test(text)) {
+      throw new DiagramError(`Expected a message such as "A->>B: text" at "${text}"`, line);
+    }
+  }
+  
+  if (blocks.length > 0) {
+    const block = blocks[blocks.length - 1];
+    throw new DiagramError(`"${block.kind}" has no matching "end"`, block.line);
+  }
+  
+  return { participants, items };
+}
+
+/**
+ * Split a label into lines at <br> tags and line breaks
+ * @param {string} label - The label
+ * @returns {Array} - The lines
+ */
+function splitLabel(label) {
+  return String(label).split(/<br\s*\/?>|\n/i).map(line => line.trim());
+}
+
+/**
+ * Estimate the width of a line of label text
+ * @param {string} text - The text
+ * @returns {number} - The width in pixels
+ */
+function measureText(text) {
+  let width = 0;
+  for (const char of text) {
+    width += char.codePointAt(0) >= 0x2e80 ? WIDE_CHAR_WIDTH : CHAR_WIDTH;
+  }
+  
+  return width;
+}
+
+/**
+ * Measure a multi-line label
+ * @param {string} label - The label
+ * @returns {Object} - { lines, width, height }
+ */
+function measureLabel(label) {
+  const lines = label ? splitLabel(label) : [];
+  return {
+    lines,
+    width: Math.max(0, ...lines.map(measureText)),
+    height: lines.length * LINE_HEIGHT
+  };
+}
+
+/**
+ * Lay out a graph in ranks: every edge points to a later rank except those closing cycles
+ * @param {Object} graph - { direction, nodes, edges }
+ * @returns {Object} - { nodes, edges, horizontal, width, height } with positioned nodes and
+ *   edges that must pass through a waypoint
+ */
+function layoutGraph(graph) {
+  const nodes = [...graph.nodes.values()].map(node => {
+    const label = measureLabel(node.label);
+    let width = label.width + 2 * NODE_PADDING_X;
+    let height = label.height + 2 * NODE_PADDING_Y;
+    
+    if (node.shape === 'diamond') {
+      width = height = Math.max(width, height) * 1.4;
+    } else if (node.shape === 'circle') {
+      width = height = Math.max(width, height);
+    } else if (node.shape === 'ellipse') {
+      width *= 1.25;
+      height *= 1.3;
+    } else if (node.shape === 'hexagon') {
+      width += height / 2;
+    }
+    
+    return { ...node, lines: label.lines, width, height, rank: 0, x: 0, y: 0 };
+  });
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  
+  // Edges that close a cycle are left out when ranking
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  graph.edges.forEach(edge => outgoing.get(edge.from).push(edge));
+  
+  const state = new Map();
+  const finished = [];
+  const backEdges = new Set();
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    for (const edge of outgoing.get(id)) {
+      if (edge.to === id) continue;
+      if (state.get(edge.to) === 'visiting') {
+        backEdges.add(edge);
+      } else if (!state.has(edge.to)) {
+        visit(edge.to);
+      }
+    }
+    state.set(id, 'done');
+    finished.push(id);
+  };
+  nodes.forEach(node => {
+    if (!state.has(node.id)) {
+      visit(node.id);
+    }
+  });
+  
+  for (const id of finished.reverse()) {
+    for (const edge of outgoing.get(id)) {
+      if (edge.to !== id && !backEdges.has(edge)) {
+        byId.get(edge.to).rank = Math.max(byId.get(edge.to).rank, byId.get(id).rank + 1);
+      }
+    }
+  }
+  
+  const ranks = [];
+  nodes.forEach(node => (ranks[node.rank] = ranks[node.rank] || []).push(node));
+  
+  // Order each rank by the average position of its neighbours in the rank before or after
+  const neighbours = new Map(nodes.map(node => [node.id, []]));
+  graph.edges.forEach(edge => {
+    neighbours.get(edge.from).push(byId.get(edge.to));
+    neighbours.get(edge.to).push(byId.get(edge.from));
+  });
+  const order = new Map();
+  const updateOrder = (rank) => rank.forEach((node, index) => order.set(node.id, index));
+  ranks.forEach(updateOrder);
+  
+  const sortRank = (rank, adjacentRank) => {
+    const barycenters = new Map(rank.map(node => {
+      const adjacent = neighbours.get(node.id).filter(other => other.rank === adjacentRank);
+      return [node.id, adjacent.length
+        ? adjacent.reduce((sum, other) => sum + order.get(other.id), 0) / adjacent.length
+        : order.get(node.id)];
+    }));
+    rank.sort((a, b) => barycenters.get(a.id) - barycenters.get(b.id));
+    updateOrder(rank);
+  };
+  for (let pass = 0; pass < 4; pass++) {
+    for (let index = 1; index < ranks.length; index++) {
+      sortRank(ranks[index], index - 1);
+    }
+    for (let index = ranks.length - 2; index >= 0; index--) {
+      sortRank(ranks[index], index + 1);
+    }
+  }
+  
+  // Work in a top-to-bottom frame: "along" follows the ranks, "across" the nodes of a rank
+  const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+  const along = node => horizontal ? node.width : node.height;
+  const across = node => horizontal ? node.height : node.width;
+  
+  // Ranks move apart to make room for the labels of the edges between them
+  const gaps = ranks.map(() => RANK_GAP);
+  for (const edge of graph.edges) {
+    const first = Math.min(byId.get(edge.from).rank, byId.get(edge.to).rank);
+    if (edge.label && Math.abs(byId.get(edge.from).rank - byId.get(edge.to).rank) === 1) {
+      const label = measureLabel(edge.label);
+      gaps[first] = Math.max(gaps[first], (horizontal ? label.width : label.height) + RANK_GAP - LINE_HEIGHT / 2);
+    }
+  }
+  
+  const alongPositions = [];
+  let offset = MARGIN;
+  ranks.forEach((rank, index) => {
+    const depth = Math.max(...rank.map(along));
+    alongPositions.push(offset + depth / 2);
+    offset += depth + gaps[index];
+  });
+  const alongSize = offset - gaps[ranks.length - 1] + MARGIN;
+  
+  const acrossPositions = new Map();
+  const rankWidth = rank => rank.reduce((sum, node) => sum + across(node), 0) + NODE_GAP * (rank.length - 1);
+  const widest = Math.max(...ranks.map(rankWidth));
+  
+  ranks.forEach((rank, index) => {
+    let position = MARGIN + (widest - rankWidth(rank)) / 2;
+    for (const node of rank) {
+      acrossPositions.set(node.id, position + across(node) / 2);
+      position += across(node) + NODE_GAP;
+    }
+    
+    // Move nodes towards their parents, keeping their order and spacing
+    if (index > 0) {
+      const wanted = rank.map(node => {
+        const parents = neighbours.get(node.id).filter(other => other.rank < node.rank);
+        return parents.length
+          ? parents.reduce((sum, other) => sum + acrossPositions.get(other.id), 0) / parents.length
+          : acrossPositions.get(node.id);
+      });
+      const minGap = (a, b) => (across(a) + across(b)) / 2 + NODE_GAP;
+      
+      const pushedRight = [];
+      rank.forEach((node, i) => {
+        pushedRight[i] = i === 0 ? wanted[i] : Math.max(wanted[i], pushedRight[i - 1] + minGap(rank[i - 1], node));
+      });
+      const pushedLeft = [];
+      for (let i = rank.length - 1; i >= 0; i--) {
+        pushedLeft[i] = i === rank.length - 1 ? wanted[i] : Math.min(wanted[i], pushedLeft[i + 1] - minGap(rank[i], rank[i + 1]));
+      }
+      rank.forEach((node, i) => acrossPositions.set(node.id, (pushedRight[i] + pushedLeft[i]) / 2));
+    }
+  });
+  
+  // Edges that would cross nodes of the ranks in between go around them, through a waypoint
+  const waypoints = new Map();
+  for (const edge of graph.edges) {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    const low = Math.min(from.rank, to.rank);
+    const high = Math.max(from.rank, to.rank);
+    if (high - low < 2) continue;
+    
+    const between = nodes.filter(node => node.rank > low && node.rank < high);
+    const crosses = between.some(node => {
+      const share = (alongPositions[node.rank] - alongPositions[from.rank]) / (alongPositions[to.rank] - alongPositions[from.rank]);
+      const position = acrossPositions.get(from.id) + share * (acrossPositions.get(to.id) - acrossPositions.get(from.id));
+      return Math.abs(position - acrossPositions.get(node.id)) < across(node) / 2 + NODE_GAP / 4;
+    });
+    if (!crosses) continue;
+    
+    const middle = (acrossPositions.get(from.id) + acrossPositions.get(to.id)) / 2;
+    const before = Math.min(...between.map(node => acrossPositions.get(node.id) - across(node) / 2)) - NODE_GAP / 2;
+    const after = Math.max(...between.map(node => acrossPositions.get(node.id) + across(node) / 2)) + NODE_GAP / 2;
+    waypoints.set(edge, {
+      along: (alongPositions[from.rank] + alongPositions[to.rank]) / 2,
+      across: middle - before < after - middle ? before : after
+    });
+  }
+  
+  // Shift everything so the leftmost node, loop or waypoint starts at the margin
+  const loops = new Set(graph.edges.filter(edge => edge.from === edge.to).map(edge => edge.from));
+  const acrossExtents = [
+    ...nodes.map(node => [
+      acrossPositions.get(node.id) - across(node) / 2 - (horizontal && loops.has(node.id) ? SELF_LOOP_SIZE : 0),
+      acrossPositions.get(node.id) + across(node) / 2 + (!horizontal && loops.has(node.id) ? SELF_LOOP_SIZE : 0)
+    ]),
+    ...[...waypoints.values()].map(waypoint => [waypoint.across, waypoint.across])
+  ];
+  const minimum = Math.min(...acrossExtents.map(([start]) => start));
+  const acrossSize = Math.max(...acrossExtents.map(([, end]) => end)) - minimum + 2 * MARGIN;
+  const place = (alongPosition, acrossPosition) => {
+    if (graph.direction === 'BT' || graph.direction === 'RL') {
+      alongPosition = alongSize - alongPosition;
+    }
+    acrossPosition += MARGIN - minimum;
+    return horizontal ? { x: alongPosition, y: acrossPosition } : { x: acrossPosition, y: alongPosition };
+  };
+  
+  for (const node of nodes) {
+    Object.assign(node, place(alongPositions[node.rank], acrossPositions.get(node.id)));
+  }
+  
+  return {
+    nodes,
+    edges: graph.edges.map(edge => ({
+      ...edge,
+      from: byId.get(edge.from),
+      to: byId.get(edge.to),
+      waypoint: waypoints.has(edge) ? place(waypoints.get(edge).along, waypoints.get(edge).across) : null
+    })),
+    horizontal,
+    width: horizontal ? alongSize : acrossSize,
+    height: horizontal ? acrossSize : alongSize
+  };
+}
+
+/**
+ * Find where a line from the centre of a node towards a point leaves the node
+ * @param {Object} node - The positioned node
+ * @param {number} x - The point's x
+ * @param {number} y - The point's y
+ * @returns {Object} - { x, y } on the node's outline
+ */
+function clipToNode(node, x, y) {
+  const dx = x - node.x;
+  const dy = y - node.y;
+  if (dx === 0 && dy === 0) {
+    return { x, y };
+  }
+  
+  const halfWidth = node.width / 2;
+  const halfHeight = node.height / 2;
+  let scale;
+  
+  if (node.shape === 'circle') {
+    scale = halfWidth / Math.hypot(dx, dy);
+  } else if (node.shape === 'ellipse') {
+    scale = 1 / Math.sqrt((dx * dx) / (halfWidth * halfWidth) + (dy * dy) / (halfHeight * halfHeight));
+  } else if (node.shape === 'diamond') {
+    scale = 1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight);
+  } else {
+    scale = Math.min(dx ? halfWidth / Math.abs(dx) : Infinity, dy ? halfHeight / Math.abs(dy) : Infinity);
+  }
+  
+  return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+/**
+ * Render a flowchart or DOT graph
+ * @param {Object} graph - { direction, nodes, edges }
+ * @param {string} type - 'flowchart' or 'graphviz', used in the class name
+ * @returns {string} - The SVG markup
+ */
+function renderGraph(graph, type) {
+  if (graph.nodes.size === 0) {
+    throw new DiagramError('The diagram has no nodes');
+  }
+  
+  const layout = layoutGraph(graph);
+  const id = `diagram-${++diagramCount}`;
+  const edges = [];
+  const labels = [];
+  
+  for (const edge of layout.edges) {
+    const { from, to } = edge;
+    let path;
+    let labelX;
+    let labelY;
+    
+    if (from === to && layout.horizontal) {
+      // Loops go beside the flow: above nodes in rows, right of nodes in columns
+      const y = from.y - from.height / 2;
+      path = `M ${round(from.x - 6)} ${round(y)} C ${round(from.x - 30)} ${round(y - SELF_LOOP_SIZE)} ${round(from.x + 30)} ${round(y - SELF_LOOP_SIZE)} ${round(from.x + 6)} ${round(y)}`;
+      labelX = from.x;
+      labelY = y - SELF_LOOP_SIZE * 0.75;
+    } else if (from === to) {
+      const x = from.x + from.width / 2;
+      path = `M ${round(x)} ${round(from.y - 6)} C ${round(x + SELF_LOOP_SIZE)} ${round(from.y - 30)} ${round(x + SELF_LOOP_SIZE)} ${round(from.y + 30)} ${round(x)} ${round(from.y + 6)}`;
+      labelX = x + SELF_LOOP_SIZE * 0.75;
+      labelY = from.y;
+    } else if (edge.waypoint) {
+      // A quadratic curve through the waypoint: its control point is twice as far out
+      const { waypoint } = edge;
+      const start = clipToNode(from, waypoint.x, waypoint.y);
+      const end = clipToNode(to, waypoint.x, waypoint.y);
+      const controlX = 2 * waypoint.x - (start.x + end.x) / 2;
+      const controlY = 2 * waypoint.y - (start.y + end.y) / 2;
+      path = `M ${round(start.x)} ${round(start.y)} Q ${round(controlX)} ${round(controlY)} ${round(end.x)} ${round(end.y)}`;
+      labelX = waypoint.x;
+      labelY = waypoint.y;
+    } else {
+      // Edges in both directions between two nodes curve apart
+      const paired = layout.edges.some(other => other.from === to && other.to === from);
+      const bend = paired ? 24 : 0;
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const controlX = (from.x + to.x) / 2 + bend * (to.y - from.y) / length;
+      const controlY = (from.y + to.y) / 2 - bend * (to.x - from.x) / length;
+      
+      const start = clipToNode(from, controlX, controlY);
+      const end = clipToNode(to, controlX, controlY);
+      path = bend
+        ? `M ${round(start.x)} ${round(start.y)} Q ${round(controlX)} ${round(controlY)} ${round(end.x)} ${round(end.y)}`
+        : `M ${round(start.x)} ${round(start.y)} L ${round(end.x)} ${round(end.y)}`;
+      labelX = bend ? (start.x + 2 * controlX + end.x) / 4 : (start.x + end.x) / 2;
+      labelY = bend ? (start.y + 2 * controlY + end.y) / 4 : (start.y + end.y) / 2;
+    }
+    
+    const markers = [
+      edge.head !== 'none' ? ` marker-end="url(#${id}-${edge.head})"` : '',
+      edge.tail !== 'none' ? ` marker-start="url(#${id}-${edge.tail}-start)"` : ''
+    ].join('');
+    edges.push(`<path class="diagram-edge diagram-edge-${edge.style}" d="${path}"${markers}/>`);
+    
+    if (edge.label) {
+      labels.push(renderLabelWithBackground(edge.label, labelX, labelY));
+    }
+  }
+  
+  const nodes = layout.nodes.map(node => `<g class="diagram-node">${renderShape(node)}${renderLines(node.lines, node.x, node.y)}</g>`);
+  
+  return renderSvg(id, `diagram-${type}`, layout.width, layout.height, [
+    `<g class="diagram-edges">${edges.join('')}</g>`,
+    `<g class="diagram-edge-labels">${labels.join('')}</g>`,
+    `<g class="diagram-nodes">${nodes.join('')}</g>`
+  ]);
+}
+
+/**
+ * Render the outline of a node
+ * @param {Object} node - The positioned node
+ * @returns {string} - The SVG element
+ */
+function renderShape(node) {
+  const left = node.x - node.width / 2;
+  const top = node.y - node.height / 2;
+  const box = `x="${round(left)}" y="${round(top)}" width="${round(node.width)}" height="${round(node.height)}"`;
+  
+  switch (node.shape) {
+    case 'round':
+      return `<rect class="diagram-shape" ${box} rx="8"/>`;
+    case 'stadium':
+      return `<rect class="diagram-shape" ${box} rx="${round(node.height / 2)}"/>`;
+    case 'circle':
+      return `<circle class="diagram-shape" cx="${round(node.x)}" cy="${round(node.y)}" r="${round(node.width / 2)}"/>`;
+    case 'ellipse':
+      return `<ellipse class="diagram-shape" cx="${round(node.x)}" cy="${round(node.y)}" rx="${round(node.width / 2)}" ry="${round(node.height / 2)}"/>`;
+    case 'diamond':
+      return `<polygon class="diagram-shape" points="${points([[node.x, top], [left + node.width, node.y], [node.x, top + node.height], [left, node.y]])}"/>`;
+    case 'hexagon': {
+      const inset = node.height / 4;
+      return `<polygon class="diagram-shape" points="${points([[left + inset, top], [left + node.width - inset, top], [left + node.width, node.y], [left + node.width - inset, top + node.height], [left + inset, top + node.height], [left, node.y]])}"/>`;
+    }
+    default:
+      return `<rect class="diagram-shape" ${box}/>`;
+  }
+}
+
+/**
+ * Render a sequence diagram
+ * @param {Object} diagram - { participants, items }
+ * @returns {string} - The SVG markup
+ */
+function renderSequence(diagram) {
+  const participants = [...diagram.participants.values()];
+  if (participants.length === 0) {
+    throw new DiagramError('The diagram has no participants');
+  }
+  
+  const id = `diagram-${++diagramCount}`;
+  const column = new Map(participants.map((participant, index) => [participant.id, index]));
+  
+  // Participant boxes
+  const boxes = participants.map(participant => {
+    const label = measureLabel(participant.label);
+    return {
+      ...participant,
+      lines: label.lines,
+      width: Math.max(SEQUENCE_MIN_BOX_WIDTH, label.width + 2 * NODE_PADDING_X),
+      height: label.height + 2 * NODE_PADDING_Y + (participant.kind === 'actor' ? 36 : 0)
+    };
+  });
+  const boxHeight = Math.max(...boxes.map(box => box.height));
+  
+  // Space the lifelines so every message label fits between its two participants
+  const centers = [];
+  boxes.forEach((box, index) => {
+    centers[index] = index === 0
+      ? MARGIN + box.width / 2
+      : centers[index - 1] + (boxes[index - 1].width + box.width) / 2 + NODE_GAP;
+  });
+  const spans = [];
+  for (const item of diagram.items) {
+    if (item.type === 'message') {
+      const from = column.get(item.from);
+      const to = column.get(item.to);
+      const width = measureLabel(item.text).width;
+      if (from === to) {
+        spans.push({ left: from, right: from + 1, width: width + SEQUENCE_SELF_MESSAGE_WIDTH + NODE_GAP });
+      } else {
+        spans.push({ left: Math.min(from, to), right: Math.max(from, to), width: width + NODE_GAP });
+      }
+    } else if (item.type === 'note') {
+      const columns = item.participants.map(participant => column.get(participant));
+      const width = measureLabel(item.text).width + 2 * NODE_PADDING_X;
+      if (item.position === 'right of') {
+        spans.push({ left: columns[0], right: columns[0] + 1, width: width + NODE_GAP });
+      } else if (item.position === 'left of') {
+        spans.push({ left: columns[0] - 1, right: columns[0], width: width + NODE_GAP });
+      } else if (columns.length === 2) {
+        spans.push({ left: Math.min(...columns), right: Math.max(...columns), width: width - SEQUENCE_MIN_BOX_WIDTH });
+      }
+    }
+  }
+  spans.sort((a, b) => a.right - b.right);
+  for (const span of spans) {
+    if (span.left < 0 || span.right >= centers.length) continue;
+    const missing = span.width - (centers[span.right] - centers[span.left]);
+    if (missing > 0) {
+      for (let index = span.right; index < centers.length; index++) {
+        centers[index] += missing;
+      }
+    }
+  }
+  
+  const elements = [];
+  const frames = [];
+  const openFrames = [];
+  let y = MARGIN + boxHeight + SEQUENCE_ROW_GAP;
+  let right = centers[centers.length - 1] + boxes[boxes.length - 1].width / 2;
+  let left = MARGIN;
+  
+  // Frames cover the participants their items involve
+  const involve = (...indexes) => openFrames.forEach(frame => frame.columns.push(...indexes));
+  
+  for (const item of diagram.items) {
+    if (item.type === 'message') {
+      const from = column.get(item.from);
+      const to = column.get(item.to);
+      const label = measureLabel(item.text);
+      const x1 = centers[from];
+      const x2 = centers[to];
+      const arrowY = y + label.height + 4;
+      const markers = item.head !== 'none' ? ` marker-end="url(#${id}-${item.head})"` : '';
+      
+      if (from === to) {
+        const loop = SEQUENCE_SELF_MESSAGE_WIDTH;
+        elements.push(`<path class="diagram-message diagram-message-${item.style}" d="M ${round(x1)} ${round(arrowY)} H ${round(x1 + loop)} V ${round(arrowY + 20)} H ${round(x1)}"${markers}/>`);
+        elements.push(renderLines(label.lines, x1 + 4, y + label.height / 2, 'start'));
+        right = Math.max(right, x1 + loop + label.width + NODE_GAP);
+        y = arrowY + 20 + SEQUENCE_ROW_GAP;
+      } else {
+        elements.push(`<line class="diagram-message diagram-message-${item.style}" x1="${round(x1)}" y1="${round(arrowY)}" x2="${round(x2)}" y2="${round(arrowY)}"${markers}/>`);
+        elements.push(renderLines(label.lines, (x1 + x2) / 2, y + label.height / 2));
+        y = arrowY + SEQUENCE_ROW_GAP;
+      }
+      involve(from, to);
+    } else if (item.type === 'note') {
+      const columns = item.participants.map(participant => column.get(participant));
+      const label = measureLabel(item.text);
+      const width = label.width + 2 * NODE_PADDING_X;
+      const height = label.height + 2 * NODE_PADDING_Y;
+      let noteLeft;
+      let noteWidth = width;
+      
+      if (item.position === 'right of') {
+        noteLeft = centers[columns[0]] + 8;
+      } else if (item.position === 'left of') {
+        noteLeft = centers[columns[0]] - 8 - width;
+      } else {
+        const first = Math.min(...columns.map(index => centers[index]));
+        const last = Math.max(...columns.map(index => centers[index]));
+        noteWidth = Math.max(width, last - first + SEQUENCE_MIN_BOX_WIDTH / 2);
+        noteLeft = (first + last) / 2 - noteWidth / 2;
+      }
+      
+      elements.push(`<rect class="diagram-note" x="${round(noteLeft)}" y="${round(y)}" width="${round(noteWidth)}" height="${round(height)}"/>`);
+      elements.push(renderLines(label.lines, noteLeft + noteWidth / 2, y + height / 2));
+      left = Math.min(left, noteLeft - MARGIN);
+      right = Math.max(right, noteLeft + noteWidth);
+      y += height + SEQUENCE_ROW_GAP;
+      involve(...columns);
+    } else if (item.type === 'start') {
+      const frame = { kind: item.kind, text: item.text, top: y, sections: [], columns: [], children: [] };
+      openFrames.push(frame);
+      frames.push(frame);
+      y += LINE_HEIGHT + 2 * NODE_PADDING_Y;
+    } else if (item.type === 'section') {
+      openFrames[openFrames.length - 1].sections.push({ text: item.text, y });
+      y += LINE_HEIGHT + NODE_PADDING_Y;
+    } else if (item.type === 'end') {
+      const frame = openFrames.pop();
+      frame.bottom = y;
+      if (openFrames.length > 0) {
+        openFrames[openFrames.length - 1].children.push(frame);
+      }
+      y += SEQUENCE_ROW_GAP;
+    }
+  }
+  
+  // Frames are placed from the inside out so that outer frames enclose inner ones
+  const placeFrame = (frame) => {
+    frame.children.forEach(placeFrame);
+    const columns = frame.columns.length ? frame.columns : [0, centers.length - 1];
+    frame.left = Math.min(...columns.map(index => centers[index] - boxes[index].width / 2), ...frame.children.map(child => child.left - 8));
+    frame.right = Math.max(...columns.map(index => centers[index] + boxes[index].width / 2), ...frame.children.map(child => child.right + 8));
+  };
+  frames.filter(frame => !frames.some(other => other.children.includes(frame))).forEach(placeFrame);
+  
+  const frameElements = frames.map(frame => {
+    const width = frame.right - frame.left;
+    const tab = measureText(frame.kind) + 2 * 8;
+    const parts = [
+      `<rect class="diagram-frame" x="${round(frame.left)}" y="${round(frame.top)}" width="${round(width)}" height="${round(frame.bottom - frame.top)}"/>`,
+      `<path class="diagram-frame-tab" d="M ${round(frame.left)} ${round(frame.top)} H ${round(frame.left + tab)} V ${round(frame.top + LINE_HEIGHT)} L ${round(frame.left + tab - 6)} ${round(frame.top + LINE_HEIGHT + 6)} H ${round(frame.left)} Z"/>`,
+      renderText(frame.kind, frame.left + 8, frame.top + LINE_HEIGHT / 2 + 2, 'start', 'diagram-frame-kind')
+    ];
+    if (frame.text) {
+      parts.push(renderText(`[${frame.text}]`, frame.left + tab + 8, frame.top + LINE_HEIGHT / 2 + 2, 'start'));
+    }
+    for (const section of frame.sections) {
+      parts.push(`<line class="diagram-frame-divider" x1="${round(frame.left)}" y1="${round(section.y)}" x2="${round(frame.right)}" y2="${round(section.y)}"/>`);
+      if (section.text) {
+        parts.push(renderText(`[${section.text}]`, frame.left + width / 2, section.y + LINE_HEIGHT / 2 + 2));
+      }
+    }
+    right = Math.max(right, frame.right);
+    left = Math.min(left, frame.left - MARGIN);
+    return parts.join('');
+  });
+  
+  // Participants at the top and bottom, joined by their lifelines
+  const footerY = y + SEQUENCE_ROW_GAP;
+  const participantElements = boxes.map((box, index) => {
+    const x = centers[index];
+    return [
+      `<line class="diagram-lifeline" x1="${round(x)}" y1="${round(MARGIN + boxHeight)}" x2="${round(x)}" y2="${round(footerY)}"/>`,
+      renderParticipant(box, x, MARGIN, boxHeight),
+      renderParticipant(box, x, footerY, boxHeight)
+    ].join('');
+  });
+  
+  // Notes left of the first participant may reach past the left margin
+  const shift = MARGIN - left > MARGIN ? MARGIN - left - MARGIN : 0;
+  const content = [
+    `<g class="diagram-frames">${frameElements.join('')}</g>`,
+    `<g class="diagram-participants">${participantElements.join('')}</g>`,
+    `<g class="diagram-messages">${elements.join('')}</g>`
+  ].join('');
+  
+  return renderSvg(id, 'diagram-sequence', right + shift + MARGIN, footerY + boxHeight + MARGIN, [
+    shift ? `<g transform="translate(${round(shift)} 0)">${content}</g>` : content
+  ]);
+}
+
+/**
+ * Render a participant box, or a stick figure for actors
+ * @param {Object} box - The measured participant
+ * @param {number} x - The lifeline's x
+ * @param {number} top - Top of the participant row
+ * @param {number} height - Height of the participant row
+ * @returns {string} - The SVG elements
+ */
+function renderParticipant(box, x, top, height) {
+  if (box.kind === 'actor') {
+    const head = top + 8;
+    return [
+      `<g class="diagram-actor">`,
+      `<circle class="diagram-shape" cx="${round(x)}" cy="${round(head)}" r="7"/>`,
+      `<path class="diagram-actor-body" d="M ${round(x)} ${round(head + 7)} V ${round(head + 22)} M ${round(x - 10)} ${round(head + 12)} H ${round(x + 10)} M ${round(x - 9)} ${round(head + 32)} L ${round(x)} ${round(head + 22)} L ${round(x + 9)} ${round(head + 32)}"/>`,
+      renderLines(box.lines, x, top + height - (box.lines.length * LINE_HEIGHT) / 2 - 2),
+      '</g>'
+    ].join('');
+  }
+  
+  const left = x - box.width / 2;
+  return `<g class="diagram-node"><rect class="diagram-shape" x="${round(left)}" y="${round(top)}" width="${round(box.width)}" height="${round(height)}"/>${renderLines(box.lines, x, top + height / 2)}</g>`;
+}
+
+/**
+ * Render an edge label on a background that hides the edge behind it
+ * @param {string} label - The label
+ * @param {number} x - The centre's x
+ * @param {number} y - The centre's y
+ * @returns {string} - The SVG elements
+ */
+function renderLabelWithBackground(label, x, y) {
+  const { lines, width, height } = measureLabel(label);
+  return [
+    `<rect class="diagram-label-background" x="${round(x - width / 2 - 4)}" y="${round(y - height / 2)}" width="${round(width + 8)}" height="${round(height)}"/>`,
+    renderLines(lines, x, y)
+  ].join('');
+}
+
+/**
+ * Render lines of text centred vertically on a point
+ * @param {Array} lines - The lines
+ * @param {number} x - The anchor's x
+ * @param {number} y - The centre's y
+ * @param {string} anchor - 'middle' or 'start'
+ * @returns {string} - The SVG elements
+ */
+function renderLines(lines, x, y, anchor = 'middle') {
+  return lines
+    .map((line, index) => renderText(line, x, y + (index - (lines.length - 1) / 2) * LINE_HEIGHT, anchor))
+    .join('');
+}
+
+/**
+ * Render one line of text
+ * @param {string} text - The text
+ * @param {number} x - The anchor's x
+ * @param {number} y - The centre's y
+ * @param {string} anchor - 'middle' or 'start'
+ * @param {string} className - Extra class name
+ * @returns {string} - The SVG element
+ */
+function renderText(text, x, y, anchor = 'middle', className = '') {
+  return `<text class="diagram-text${className ? ` ${className}` : ''}" x="${round(x)}" y="${round(y)}" text-anchor="${anchor}" dominant-baseline="central">${escapeXml(text)}</text>`;
+}
+
+/**
+ * Wrap diagram elements in an SVG element with the arrow head markers
+ * @param {string} id - The diagram id, prefixing the marker ids
+ * @param {string} className - The diagram type's class name
+ * @param {number} width - The width
+ * @param {number} height - The height
+ * @param {Array} content - The SVG elements
+ * @returns {string} - The SVG markup
+ */
+function renderSvg(id, className, width, height, content) {
+  const marker = (name, shape, orient = 'auto') =>
+    `<marker id="${id}-${name}" viewBox="0 0 10 10" refX="9" refY="5" markerUnits="userSpaceOnUse" markerWidth="10" markerHeight="10" orient="${orient}">${shape}</marker>`;
+  const arrow = '<path class="diagram-arrowhead" d="M 0 0 L 10 5 L 0 10 Z"/>';
+  
+  const defs = [
+    marker('arrow', arrow),
+    marker('arrow-start', arrow, 'auto-start-reverse'),
+    marker('open', '<path class="diagram-arrowhead-open" d="M 0 0 L 10 5 L 0 10"/>'),
+    marker('circle', '<circle class="diagram-arrowhead" cx="5" cy="5" r="4"/>'),
+    marker('cross', '<path class="diagram-arrowhead-open" d="M 1 1 L 9 9 M 1 9 L 9 1"/>')
+  ];
+  
+  return [
+    `<svg class="diagram ${className}" xmlns="http://www.w3.org/2000/svg" role="img" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+    `<defs>${defs.join('')}</defs>`,
+    ...content,
+    '</svg>'
+  ].join('');
+}
+
+/**
+ * Format a list of points for a polygon
+ * @param {Array} list - Array of [x, y]
+ * @returns {string} - The points attribute
+ */
+function points(list) {
+  return list.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+}
+
+/**
+ * Round a coordinate to one decimal
+ * @param {number} value - The coordinate
+ * @returns {number} - The rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Escape text for SVG
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
\ No newline at end of file
@@ -4,6 +4,19 @@
  * Handles the markdown editor functionality for creating and editing wiki pages
  */
 
+import { ConflictError } from './storage/storage-adapter.js';
+import { mergePage, joinPage } from './merge.js';
+import {
+  parseFrontMatter,
+  stringifyFrontMatter,
+  parseFrontMatterValue,
+  formatFrontMatterValue,
+  validateFrontMatter
+} from './frontmatter.js';
+
+// Front matter fields with their own inputs or set by the editor; the others are custom fields
+const EDITOR_FIELDS = ['title', 'description', 'tags', 'created', 'updated', 'author'];
+
 document.addEventListener('DOMContentLoaded', () => {
   const editor = new WikiEditor();
   window.wikiEditor = editor;
@@ -18,13 +31,26 @@ class WikiEditor {
     this.titleInput = null;
     this.descriptionInput = null;
     this.tagsInput = null;
+    this.summaryInput = null;
     
     // Current edited page path
     this.currentPath = '';
     
+    // Version of the page the edit started from (null for a new page)
+    this.baseSha = null;
+    this.baseContent = '';
+    
     // Markdown content
     this.content = '';
     
+    // Front matter as loaded, from parseFrontMatter (null for a new page)
+    this.frontMatter = null;
+    this.metadata = {};
+    
+    // Rows of the custom fields panel: { key, value, text, element, keyInput, valueInput }
+    this.customFields = [];
+    this.customFieldList = null;
+    
     // Draft autosave
     this.autosaveInterval = null;
     this.autosaveKey = 'wiki_draft';
@@ -33,6 +59,7 @@ class WikiEditor {
     this.saveButton = null;
     this.previewButton = null;
     this.saveDraftButton = null;
+    this.stageButton = null;
     this.cancelButton = null;
     
     // Editor state
@@ -51,11 +78,14 @@ class WikiEditor {
     this.titleInput = document.getElementById('page-title');
     this.descriptionInput = document.getElementById('page-description');
     this.tagsInput = document.getElementById('page-tags');
+    this.summaryInput = document.getElementById('edit-summary');
+    this.customFieldList = document.getElementById('custom-field-list');
     
     // Get buttons
     this.saveButton = document.getElementById('save-button');
     this.previewButton = document.getElementById('preview-button');
     this.saveDraftButton = document.getElementById('save-draft-button');
+    this.stageButton = document.getElementById('stage-button');
     this.cancelButton = document.getElementById('cancel-button');
     
     if (!this.editorTextarea || !this.previewDiv) {
@@ -70,13 +100,25 @@ class WikiEditor {
     if (this.currentPath) {
       this.loadPage(this.currentPath);
     } else {
-      // Check for saved draft
-      this.loadDraft();
+      // Check for saved draft once the fields of the wiki's schema are shown
+      this.waitForConfig().then(() => {
+        this.renderCustomFields();
+        this.loadDraft();
+      });
+      this.updateSaveMode();
     }
     
     // Set up event listeners
     this.setupEventListeners();
     
+    // Resolve wiki links in the preview once the list of pages is known
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (wikiApp && wikiApp.markdown) {
+      this.waitForConfig()
+        .then(() => wikiApp.markdown.loadPages())
+        .then(() => this.updatePreview());
+    }
+    
     // Start autosave
     this.startAutosave();
   }
@@ -148,6 +190,32 @@ class WikiEditor {
       this.cancelButton.addEventListener('click', () => this.confirmCancel());
     }
     
+    if (this.stageButton) {
+      this.stageButton.addEventListener('click', () => this.stagePage());
+    }
+    
+    const addFieldButton = document.getElementById('add-field-button');
+    if (addFieldButton) {
+      addFieldButton.addEventListener('click', () => this.addCustomField().keyInput.focus());
+    }
+    
+    // Pending changeset panel
+    const commitChangesetButton = document.getElementById('changeset-commit-button');
+    if (commitChangesetButton) {
+      commitChangesetButton.addEventListener('click', () => this.commitChangeset());
+    }
+    
+    const discardChangesetButton = document.getElementById('changeset-discard-button');
+    if (discardChangesetButton) {
+      discardChangesetButton.addEventListener('click', () => this.discardChangeset());
+    }
+    
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (wikiApp && wikiApp.changeset) {
+      wikiApp.changeset.onChange(changes => this.renderChangeset(changes));
+      this.renderChangeset(wikiApp.changeset.getChanges());
+    }
+    
     // Toolbar buttons
     const toolbarButtons = document.querySelectorAll('.editor-toolbar button');
     toolbarButtons.forEach(button => {
@@ -196,40 +264,38 @@ class WikiEditor {
         throw new Error('Wiki application not initialized');
       }
       
-      // Get file content
-      const content = await wikiApp.content.getFile(path);
+      // The custom fields panel needs the front matter schema from the configuration
+      await this.waitForConfig();
+      
+      // A save queued while offline stays based on the version it was queued against
+      const queued = wikiApp.outbox ? wikiApp.outbox.get(path) : null;
+      if (queued) {
+        this.baseSha = queued.sha;
+        this.baseContent = queued.baseContent;
+      } else {
+        // Remember the committed version the edit is based on
+        const file = await wikiApp.content.getFileInfo(path);
+        this.baseSha = file ? file.sha : null;
+        this.baseContent = file ? file.content : '';
+      }
+      
+      // Prefer a queued or staged copy of the page over the committed one
+      const staged = wikiApp.changeset ? wikiApp.changeset.get(path) : null;
+      let content = staged && staged.type === 'write' ? staged.content : this.baseContent;
+      if (queued) {
+        content = queued.content;
+      }
       
       if (content) {
-        // Parse front matter
-        const { content: markdownContent, metadata } = this.parseFrontMatter(content);
-        
-        // Set content
-        this.content = markdownContent;
-        this.editorTextarea.value = markdownContent;
-        
-        // Set metadata fields
-        if (metadata) {
-          if (metadata.title && this.titleInput) {
-            this.titleInput.value = metadata.title;
-          }
-          
-          if (metadata.description && this.descriptionInput) {
-            this.descriptionInput.value = metadata.description;
-          }
-          
-          if (metadata.tags && this.tagsInput) {
-            this.tagsInput.value = Array.isArray(metadata.tags) ? metadata.tags.join(', ') : metadata.tags;
-          }
-        }
-        
-        // Update preview
-        this.updatePreview();
+        this.setPageContent(content);
         
         // Clear draft for this path
         this.clearDraft();
       } else {
         // New page
         this.editorTextarea.value = '';
+        this.metadata = {};
+        this.renderCustomFields();
         this.updatePreview();
         
         // Check for draft
@@ -238,6 +304,8 @@ class WikiEditor {
       
       // Reset dirty flag
       this.isDirty = false;
+      
+      this.updateSaveMode();
     } catch (error) {
       console.error(`Failed to load page ${path}:`, error);
       this.showError(`Failed to load the page. ${error.message}`);
@@ -247,106 +315,278 @@ class WikiEditor {
   }
 
   /**
-   * Parse front matter from markdown content
-   * @param {string} content - The markdown content
-   * @returns {Object} - Object containing the content and metadata
+   * Fill the editor and metadata fields from a page file
+   * @param {string} fileContent - The page content including front matter
    */
-  parseFrontMatter(content) {
-    const frontMatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-    const match = content.match(frontMatterRegex);
+  setPageContent(fileContent) {
+    // Parse front matter
+    const { content: markdownContent, metadata, document: frontMatter } = parseFrontMatter(fileContent);
     
-    if (match) {
-      try {
-        // Simple YAML front matter parsing
-        const yamlText = match[1];
-        const metadata = {};
-        
-        // Parse each line
-        yamlText.split('\n').forEach(line => {
-          const keyValue = line.split(':');
-          if (keyValue.length >= 2) {
-            const key = keyValue[0].trim();
-            const value = keyValue.slice(1).join(':').trim();
-            
-            // Handle arrays in the format key: [value1, value2]
-            if (value.startsWith('[') && value.endsWith(']')) {
-              const arrayValues = value.slice(1, -1).split(',');
-              metadata[key] = arrayValues.map(v => v.trim());
-            } else {
-              metadata[key] = value;
-            }
-          }
-        });
-        
-        return {
-          metadata,
-          content: match[2]
-        };
-      } catch (error) {
-        console.warn('Error parsing front matter, treating as regular content:', error);
-        return { content };
-      }
+    // Kept so that saving writes all fields back, unchanged ones as they were
+    this.frontMatter = frontMatter;
+    this.metadata = metadata;
+    
+    // Set content
+    this.content = markdownContent;
+    this.editorTextarea.value = markdownContent;
+    
+    // Set metadata fields
+    if (metadata.title && this.titleInput) {
+      this.titleInput.value = metadata.title;
+    }
+    
+    if (metadata.description && this.descriptionInput) {
+      this.descriptionInput.value = metadata.description;
+    }
+    
+    if (metadata.tags && this.tagsInput) {
+      this.tagsInput.value = Array.isArray(metadata.tags) ? metadata.tags.join(', ') : metadata.tags;
     }
     
-    return { content };
+    this.renderCustomFields();
+    
+    // Update preview
+    this.updatePreview();
   }
 
   /**
-   * Generate front matter from form fields
-   * @returns {string} - The front matter
+   * Collect the front matter fields from the form
+   * @returns {Object} - The front matter fields, including loaded fields the form does not show
    */
-  generateFrontMatter() {
-    const metadata = {};
+  getMetadata() {
+    const metadata = { ...this.metadata };
     
-    // Get title
-    if (this.titleInput && this.titleInput.value) {
-      metadata.title = this.titleInput.value;
-    }
+    // Title, description and tags keep their loaded value unless they were edited
+    const formFields = [
+      ['title', this.titleInput, value => value],
+      ['description', this.descriptionInput, value => value],
+      ['tags', this.tagsInput, value => value.split(',').map(tag => tag.trim()).filter(tag => tag)]
+    ];
     
-    // Get description
-    if (this.descriptionInput && this.descriptionInput.value) {
-      metadata.description = this.descriptionInput.value;
+    for (const [key, input, parse] of formFields) {
+      if (!input) continue;
+      
+      const text = input.value.trim();
+      if (!text) {
+        delete metadata[key];
+      } else if (text !== this.getFormText(key)) {
+        metadata[key] = parse(text);
+      }
     }
     
-    // Get tags
-    if (this.tagsInput && this.tagsInput.value) {
-      const tags = this.tagsInput.value.split(',').map(tag => tag.trim()).filter(tag => tag);
-      if (tags.length > 0) {
-        metadata.tags = tags;
+    // Custom fields come from the panel, which may have removed some
+    for (const key of Object.keys(metadata)) {
+      if (!EDITOR_FIELDS.includes(key)) {
+        delete metadata[key];
       }
     }
+    Object.assign(metadata, this.getCustomFields());
     
-    // Add dates
-    const now = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    // Add dates (today, without the time); pages keep the date they were created
+    const now = new Date(new Date().toISOString().split('T')[0]);
     metadata.updated = now;
     
-    if (!this.currentPath) {
+    if (metadata.created === undefined && !this.baseSha) {
       metadata.created = now;
     }
     
-    // Get user info if available
+    // The author is whoever created the page; editing a page without one does not claim it
     const wikiApp = window.wikiApp || window.parent?.wikiApp;
-    if (wikiApp && wikiApp.auth && wikiApp.auth.isAuthenticated()) {
+    if (metadata.author === undefined && !this.baseSha && wikiApp && wikiApp.auth && wikiApp.auth.isAuthenticated()) {
       const userInfo = wikiApp.auth.getUserInfo();
       if (userInfo && userInfo.login) {
         metadata.author = userInfo.login;
       }
     }
     
-    // Convert to YAML front matter
-    let frontMatter = '---\n';
+    return metadata;
+  }
+
+  /**
+   * Get the text a form field showed for the loaded front matter
+   * @param {string} key - 'title', 'description' or 'tags'
+   * @returns {string} - The text
+   */
+  getFormText(key) {
+    const value = this.metadata[key];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+
+  /**
+   * Collect the fields of the custom fields panel
+   * @returns {Object} - The custom front matter fields
+   */
+  getCustomFields() {
+    const fields = {};
     
-    Object.entries(metadata).forEach(([key, value]) => {
-      if (Array.isArray(value)) {
-        frontMatter += `${key}: [${value.join(', ')}]\n`;
-      } else {
-        frontMatter += `${key}: ${value}\n`;
+    for (const field of this.customFields) {
+      const key = field.keyInput.value.trim();
+      const text = field.valueInput.value.trim();
+      if (!key || !text) continue;
+      
+      if (EDITOR_FIELDS.includes(key)) {
+        throw new Error(`"${key}" is set by the editor and cannot be a custom field`);
       }
-    });
+      if (Object.prototype.hasOwnProperty.call(fields, key)) {
+        throw new Error(`"${key}" is listed twice`);
+      }
+      
+      // Unchanged values are kept as loaded, edited ones are read as YAML
+      if (key === field.key && text === field.text) {
+        fields[key] = field.value;
+        continue;
+      }
+      
+      try {
+        fields[key] = parseFrontMatterValue(text);
+      } catch (error) {
+        throw new Error(`"${key}" is not a valid value: ${text}`);
+      }
+    }
     
-    frontMatter += '---\n\n';
+    return fields;
+  }
+
+  /**
+   * Get the field rules of the wiki's front matter schema
+   * @returns {Object} - Field names mapped to { type, required, values }
+   */
+  getSchemaFields() {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    const schema = wikiApp && wikiApp.config ? wikiApp.config.frontMatter : null;
+    return (schema && schema.fields) || {};
+  }
+
+  /**
+   * Wait until the wiki configuration, which holds the front matter schema, is loaded
+   */
+  async waitForConfig() {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (wikiApp && wikiApp.configReady) {
+      await wikiApp.configReady;
+    }
+  }
+
+  /**
+   * Show the custom fields of the loaded page and the schema fields it does not have yet
+   */
+  renderCustomFields() {
+    if (!this.customFieldList) return;
+    
+    this.customFieldList.innerHTML = '';
+    this.customFields = [];
+    
+    const keys = Object.keys(this.metadata);
+    for (const key of Object.keys(this.getSchemaFields())) {
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
     
-    return frontMatter;
+    keys
+      .filter(key => !EDITOR_FIELDS.includes(key))
+      .forEach(key => this.addCustomField(key, this.metadata[key]));
+  }
+
+  /**
+   * Add a row to the custom fields panel
+   * @param {string} key - The field name, empty for a new field
+   * @param {*} value - The loaded value, undefined if there is none
+   * @returns {Object} - The row
+   */
+  addCustomField(key = '', value = undefined) {
+    const rule = key ? this.getSchemaFields()[key] : null;
+    const field = {
+      key,
+      value,
+      text: value === undefined ? '' : formatFrontMatterValue(value),
+      element: document.createElement('div'),
+      keyInput: document.createElement('input')
+    };
+    
+    field.element.className = 'custom-field';
+    
+    // Fields of the schema keep their name
+    field.keyInput.type = 'text';
+    field.keyInput.className = 'custom-field-key';
+    field.keyInput.placeholder = 'Field';
+    field.keyInput.value = key;
+    field.keyInput.readOnly = !!rule;
+    
+    // Fields with a fixed set of values get a drop-down
+    if (rule && Array.isArray(rule.values) && rule.type !== 'list') {
+      field.valueInput = document.createElement('select');
+      
+      const options = ['', ...rule.values.map(allowed => formatFrontMatterValue(allowed))];
+      if (!options.includes(field.text)) {
+        options.push(field.text);
+      }
+      
+      options.forEach(text => {
+        const option = document.createElement('option');
+        option.value = text;
+        option.textContent = text;
+        field.valueInput.appendChild(option);
+      });
+    } else {
+      field.valueInput = document.createElement('input');
+      field.valueInput.type = 'text';
+      field.valueInput.placeholder = rule && rule.type ? rule.type : 'Value';
+    }
+    
+    field.valueInput.className = 'custom-field-value';
+    field.valueInput.value = field.text;
+    
+    field.element.appendChild(field.keyInput);
+    field.element.appendChild(field.valueInput);
+    
+    if (rule && rule.required) {
+      field.element.classList.add('required');
+      field.keyInput.title = 'Required by this wiki';
+    } else {
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'custom-field-remove';
+      removeButton.title = 'Remove field';
+      removeButton.textContent = '\u00d7';
+      removeButton.addEventListener('click', () => {
+        field.element.remove();
+        this.customFields = this.customFields.filter(other => other !== field);
+        this.isDirty = true;
+      });
+      field.element.appendChild(removeButton);
+    }
+    
+    for (const input of [field.keyInput, field.valueInput]) {
+      input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+        this.isDirty = true;
+      });
+    }
+    
+    this.customFieldList.appendChild(field.element);
+    this.customFields.push(field);
+    
+    return field;
+  }
+
+  /**
+   * Check the front matter against the wiki's schema
+   * @returns {Array} - Error messages, empty if the front matter can be saved
+   */
+  validateMetadata() {
+    let metadata;
+    try {
+      metadata = this.getMetadata();
+    } catch (error) {
+      return [error.message];
+    }
+    
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    return validateFrontMatter(metadata, wikiApp && wikiApp.config ? wikiApp.config.frontMatter : null);
   }
 
   /**
@@ -360,8 +600,12 @@ class WikiEditor {
       return;
     }
     
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (!wikiApp || !wikiApp.markdown) return;
+    
     try {
-      this.previewDiv.innerHTML = marked.parse(this.content);
+      this.previewDiv.innerHTML = wikiApp.markdown.render(this.content, { path: this.currentPath });
+      wikiApp.markdown.loadFiles(this.previewDiv);
     } catch (error) {
       console.error('Error rendering markdown preview:', error);
       this.previewDiv.innerHTML = '<p class="error">Error rendering preview.</p>';
@@ -463,6 +707,18 @@ class WikiEditor {
         selectionEnd = selectionStart + replacement.length;
         break;
         
+      case 'note':
+      case 'tip':
+      case 'warning':
+        // Callouts are blockquotes, which start on a line of their own
+        const calloutPrefix = start === 0 || beforeText.endsWith('\n\n') ? '' : beforeText.endsWith('\n') ? '\n' : '\n\n';
+        const calloutBody = (selectedText || 'Callout text').split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+        
+        replacement = `${calloutPrefix}> [!${action.toUpperCase()}]\n${calloutBody}`;
+        selectionStart = start + calloutPrefix.length + action.length + 8;
+        selectionEnd = start + replacement.length;
+        break;
+        
       default:
         return;
     }
@@ -493,6 +749,12 @@ class WikiEditor {
       return;
     }
     
+    const problems = this.validateMetadata();
+    if (problems.length > 0) {
+      this.showError(`Please fix the page metadata: ${problems.join('; ')}`);
+      return;
+    }
+    
     try {
       this.showLoading(true);
       
@@ -503,35 +765,53 @@ class WikiEditor {
         throw new Error('Wiki application not initialized');
       }
       
-      // Check if user is authenticated
-      if (!wikiApp.auth || !wikiApp.auth.isAuthenticated()) {
+      // Check if user is allowed to save
+      // Determine page path and content
+      const pagePath = this.getPagePath();
+      const content = this.buildPageContent();
+      
+      await wikiApp.content.resolveVersion();
+      if (!wikiApp.content.isEditableVersion(pagePath)) {
+        throw new Error('This version of the wiki is read-only');
+      }
+      if (!wikiApp.content.canWrite(pagePath)) {
         throw new Error('You must be signed in to save pages');
       }
       
-      // Determine page path
-      let pagePath = this.currentPath;
+      // Offline saves go to the outbox and are replayed when the connection is back
+      if (!navigator.onLine && wikiApp.outbox) {
+        this.queueOffline(pagePath, content);
+        return;
+      }
       
-      if (!pagePath) {
-        // Generate path from title
-        const title = this.titleInput.value.trim();
-        pagePath = title
-          .toLowerCase()
-          .replace(/[^\w\s-]/g, '') // Remove special characters
-          .replace(/\s+/g, '-') // Replace spaces with hyphens
-          .replace(/-+/g, '-'); // Replace multiple hyphens with a single one
+      // Without push access (or when the wiki requires review) the edit becomes a pull request
+      // Save file, based on the version that was loaded
+      let result;
+      try {
+        if (await wikiApp.content.shouldProposeChanges(pagePath)) {
+          await this.proposePage(pagePath, content);
+          return;
+        }
         
-        // Add .md extension if not present
-        if (!pagePath.endsWith('.md')) {
-          pagePath += '.md';
+        result = await wikiApp.content.saveFile(pagePath, content, this.getCommitMessage(pagePath), { sha: this.baseSha });
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          await this.resolveConflict(pagePath, content);
+          return;
         }
+        throw error;
       }
       
-      // Prepare content with front matter
-      const frontMatter = this.generateFrontMatter();
-      const content = frontMatter + this.content;
+      this.baseSha = result.sha;
+      this.baseContent = content;
       
-      // Save file
-      await wikiApp.content.saveFile(pagePath, content, `Update ${pagePath}`);
+      // The page is saved, so a staged or queued copy of it is obsolete
+      if (wikiApp.changeset) {
+        wikiApp.changeset.unstage(pagePath);
+      }
+      if (wikiApp.outbox) {
+        wikiApp.outbox.remove(pagePath);
+      }
       
       // Clear draft
       this.clearDraft();
@@ -544,7 +824,7 @@ class WikiEditor {
       
       // Navigate to the saved page
       setTimeout(() => {
-        window.location.href = `/?path=${encodeURIComponent(pagePath.replace('.md', ''))}`;
+        window.location.href = wikiApp.navigation.getPageUrl(pagePath.replace('.md', ''));
       }, 1000);
     } catch (error) {
       console.error('Failed to save page:', error);
@@ -554,6 +834,340 @@ class WikiEditor {
     }
   }
 
+  /**
+   * Queue the edited page in the outbox while offline
+   * @param {string} pagePath - The page path
+   * @param {string} content - The page content
+   */
+  queueOffline(pagePath, content) {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    
+    wikiApp.outbox.enqueue(pagePath, content, {
+      message: this.getCommitMessage(pagePath),
+      sha: this.baseSha,
+      baseContent: this.baseContent
+    });
+    
+    this.clearDraft();
+    this.isDirty = false;
+    
+    this.showSuccess('You are offline. The page was added to the outbox and will be saved once you are back online.');
+  }
+
+  /**
+   * Open a pull request with the edited page instead of committing it
+   * @param {string} pagePath - The page path
+   * @param {string} content - The page content
+   */
+  async proposePage(pagePath, content) {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    
+    const summary = this.summaryInput ? this.summaryInput.value.trim() : '';
+    const pullRequest = await wikiApp.content.proposeChanges(
+      [{ type: 'write', path: pagePath, content, sha: this.baseSha }],
+      { title: `${this.baseSha ? 'Update' : 'Create'} ${pagePath}`, body: summary }
+    );
+    
+    // The edit now lives in the pull request
+    this.clearDraft();
+    this.isDirty = false;
+    
+    wikiApp.ui.showPullRequestDialog(pullRequest);
+  }
+
+  /**
+   * Label the save button according to how edits are saved
+   */
+  async updateSaveMode() {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (!this.saveButton || !wikiApp || !wikiApp.content || !wikiApp.content.canWrite(this.currentPath)) return;
+    
+    try {
+      const propose = await wikiApp.content.shouldProposeChanges(this.currentPath);
+      this.saveButton.textContent = propose ? 'Propose Changes' : 'Save';
+      this.saveButton.title = propose ? 'Open a pull request with your changes for review' : '';
+    } catch (error) {
+      console.warn('Could not determine the save mode:', error);
+    }
+  }
+
+  /**
+   * Build the commit message for a page, preferring the edit summary
+   * @param {string} pagePath - The page path
+   * @returns {string} - The commit message
+   */
+  getCommitMessage(pagePath) {
+    const summary = this.summaryInput ? this.summaryInput.value.trim() : '';
+    return summary || `Update ${pagePath}`;
+  }
+
+  /**
+   * Merge the local edit with a version someone else saved in the meantime
+   * @param {string} pagePath - The page path
+   * @param {string} mine - The local page content that failed to save
+   */
+  async resolveConflict(pagePath, mine) {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    
+    const theirs = await wikiApp.content.getFileInfo(pagePath, { fresh: true });
+    const theirContent = theirs ? theirs.content : '';
+    const merge = mergePage(this.baseContent, theirContent, mine);
+    
+    // Later saves are based on their version
+    const applyMerge = async (mergedContent) => {
+      this.baseSha = theirs ? theirs.sha : null;
+      this.baseContent = theirContent;
+      this.setPageContent(mergedContent);
+      this.isDirty = true;
+      await this.savePage();
+    };
+    
+    if (merge.conflicts === 0) {
+      this.showSuccess('The page was changed by someone else; the changes were merged automatically');
+      await applyMerge(joinPage(merge));
+      return;
+    }
+    
+    this.showMergeDialog(merge, applyMerge);
+  }
+
+  /**
+   * Show the three-way merge view for conflicting hunks
+   * @param {Object} merge - The result of mergePage
+   * @param {Function} onApply - Called with the merged content
+   */
+  showMergeDialog(merge, onApply) {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    const escape = (lines) => this.escapeHtml(lines.join('\n'));
+    
+    const conflicts = merge.chunks.filter(chunk => chunk.type === 'conflict');
+    const autoMerged = merge.chunks.length - conflicts.length;
+    
+    const conflictsHtml = conflicts.map((chunk, index) => `
+      <div class="merge-conflict" data-index="${index}">
+        <div class="merge-columns">
+          <div class="merge-column merge-base"><h5>Base</h5><pre>${escape(chunk.base)}</pre></div>
+          <div class="merge-column merge-theirs"><h5>Theirs</h5><pre>${escape(chunk.theirs)}</pre></div>
+          <div class="merge-column merge-mine"><h5>Mine</h5><pre>${escape(chunk.mine)}</pre></div>
+        </div>
+        <div class="merge-choices">
+          <button class="action-button" data-choice="theirs">Use theirs</button>
+          <button class="action-button" data-choice="mine">Use mine</button>
+          <button class="action-button" data-choice="both">Use both</button>
+        </div>
+        <textarea class="merge-result" rows="${Math.max(chunk.mine.length, 3)}">${escape(chunk.mine)}</textarea>
+      </div>
+    `).join('');
+    
+    const content = `
+      <div class="merge-view">
+        <p class="merge-summary">
+          This page was changed by someone else while you were editing.
+          ${autoMerged} unchanged or non-overlapping section${autoMerged === 1 ? ' was' : 's were'} merged automatically;
+          resolve the ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} below.
+        </p>
+        ${conflictsHtml}
+      </div>
+    `;
+    
+    const dialog = wikiApp.ui.showDialog('Resolve Edit Conflict', content, [
+      {
+        text: 'Cancel',
+        action: 'close'
+      },
+      {
+        text: 'Save Merged Version',
+        action: 'apply',
+        primary: true,
+        handler: () => {
+          const resolutions = Array.from(dialog.querySelectorAll('.merge-result'))
+            .map(textarea => textarea.value.split('\n'));
+          wikiApp.ui.closeDialog();
+          onApply(joinPage(merge, resolutions));
+        }
+      }
+    ]);
+    
+    // Quick choices fill the editable result of each conflict
+    dialog.querySelectorAll('.merge-conflict').forEach(element => {
+      const chunk = conflicts[parseInt(element.getAttribute('data-index'), 10)];
+      const result = element.querySelector('.merge-result');
+      
+      element.querySelectorAll('[data-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+          const choice = button.getAttribute('data-choice');
+          const lines = choice === 'both' ? [...chunk.theirs, ...chunk.mine] : chunk[choice];
+          result.value = lines.join('\n');
+        });
+      });
+    });
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - The text to escape
+   * @returns {string} - The escaped text
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Determine the path of the edited page, deriving it from the title for new pages
+   * @returns {string} - The page path
+   */
+  getPagePath() {
+    if (this.currentPath) {
+      return this.currentPath;
+    }
+    
+    // Generate path from title
+    const title = this.titleInput.value.trim();
+    let pagePath = title
+      .toLowerCase()
+      .replace(/[^\w\s-]/g, '') // Remove special characters
+      .replace(/\s+/g, '-') // Replace spaces with hyphens
+      .replace(/-+/g, '-'); // Replace multiple hyphens with a single one
+    
+    // Add .md extension if not present
+    if (!pagePath.endsWith('.md')) {
+      pagePath += '.md';
+    }
+    
+    return pagePath;
+  }
+
+  /**
+   * Build the full file content with front matter
+   * @returns {string} - The page file content
+   */
+  buildPageContent() {
+    return stringifyFrontMatter(this.getMetadata(), this.content, this.frontMatter);
+  }
+
+  /**
+   * Add the current page to the pending changeset instead of saving it
+   */
+  stagePage() {
+    if (!this.editorTextarea) return;
+    
+    // Validate form
+    if (!this.titleInput || !this.titleInput.value.trim()) {
+      this.showError('Please enter a title for the page');
+      return;
+    }
+    
+    const problems = this.validateMetadata();
+    if (problems.length > 0) {
+      this.showError(`Please fix the page metadata: ${problems.join('; ')}`);
+      return;
+    }
+    
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (!wikiApp || !wikiApp.changeset) {
+      this.showError('Wiki application not initialized');
+      return;
+    }
+    
+    const pagePath = this.getPagePath();
+    wikiApp.changeset.stage(pagePath, this.buildPageContent(), { sha: this.baseSha });
+    
+    // The staged copy supersedes the draft
+    this.clearDraft();
+    this.isDirty = false;
+    
+    this.showSuccess(`${pagePath} added to pending changes`);
+  }
+
+  /**
+   * Render the pending changeset panel
+   * @param {Array} changes - The staged changes
+   */
+  renderChangeset(changes) {
+    const panel = document.getElementById('changeset-panel');
+    const list = document.getElementById('changeset-list');
+    if (!panel || !list) return;
+    
+    panel.classList.toggle('hidden', changes.length === 0);
+    
+    list.innerHTML = '';
+    changes.forEach(change => {
+      const item = document.createElement('li');
+      item.className = `changeset-item changeset-${change.type}`;
+      
+      const label = document.createElement('span');
+      label.textContent = `${change.type === 'delete' ? 'Delete' : 'Write'} ${change.path}`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'changeset-remove';
+      removeButton.title = 'Remove from changeset';
+      removeButton.textContent = '\u00d7';
+      removeButton.addEventListener('click', () => {
+        const wikiApp = window.wikiApp || window.parent?.wikiApp;
+        wikiApp.changeset.unstage(change.path);
+      });
+      
+      item.appendChild(label);
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Commit all pending changes as a single commit
+   */
+  async commitChangeset() {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (!wikiApp || !wikiApp.changeset || wikiApp.changeset.isEmpty()) return;
+    
+    const messageInput = document.getElementById('changeset-message');
+    const changes = wikiApp.changeset.getChanges();
+    const message = (messageInput && messageInput.value.trim()) ||
+      `Update ${changes.map(change => change.path).join(', ')}`;
+    
+    try {
+      this.showLoading(true);
+      
+      const result = await wikiApp.changeset.commit(message);
+      
+      if (messageInput) {
+        messageInput.value = '';
+      }
+      
+      if (result.pullRequest) {
+        wikiApp.ui.showPullRequestDialog(result.pullRequest);
+      } else {
+        this.showSuccess(`Committed ${changes.length} change${changes.length === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Failed to commit changeset:', error);
+      
+      if (error instanceof ConflictError) {
+        this.showError(`${error.path} was changed by someone else after it was staged. Open it in the editor to merge, then stage it again.`);
+      } else {
+        this.showError(`Failed to commit the pending changes. ${error.message}`);
+      }
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Discard all pending changes after confirmation
+   */
+  discardChangeset() {
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    if (!wikiApp || !wikiApp.changeset) return;
+    
+    if (confirm('Discard all pending changes?')) {
+      wikiApp.changeset.discard();
+    }
+  }
+
   /**
    * Save the current draft
    */
@@ -565,6 +1179,7 @@ class WikiEditor {
       title: this.titleInput ? this.titleInput.value : '',
       description: this.descriptionInput ? this.descriptionInput.value : '',
       tags: this.tagsInput ? this.tagsInput.value : '',
+      fields: this.customFields.map(field => ({ key: field.keyInput.value, value: field.valueInput.value })),
       path: this.currentPath,
       timestamp: Date.now()
     };
@@ -619,6 +1234,14 @@ class WikiEditor {
           this.tagsInput.value = draft.tags;
         }
         
+        if (draft.fields && this.customFieldList) {
+          this.customFieldList.innerHTML = '';
+          this.customFields = [];
+          draft.fields.forEach(({ key, value }) => {
+            this.addCustomField(key, this.metadata[key]).valueInput.value = value;
+          });
+        }
+        
         // Update preview
         this.updatePreview();
       } else {
@@ -677,10 +1300,13 @@ class WikiEditor {
    * Navigate away from the editor
    */
   navigateAway() {
-    if (this.currentPath) {
-      window.location.href = `/?path=${encodeURIComponent(this.currentPath.replace('.md', ''))}`;
+    const wikiApp = window.wikiApp || window.parent?.wikiApp;
+    const path = this.currentPath ? this.currentPath.replace('.md', '') : '';
+    
+    if (wikiApp && wikiApp.navigation) {
+      window.location.href = wikiApp.navigation.getPageUrl(path);
     } else {
-      window.location.href = '/';
+      window.location.href = path ? `/?path=${encodeURIComponent(path)}` : '/';
     }
   }
 
@@ -690,7 +1316,15 @@ class WikiEditor {
    */
   showLoading(isLoading) {
     // Implement loading indicator
-    const buttons = [this.saveButton, this.previewButton, this.saveDraftButton, this.cancelButton].filter(Boolean);
+    const buttons = [
+      this.saveButton,
+      this.previewButton,
+      this.saveDraftButton,
+      this.stageButton,
+      this.cancelButton,
+      document.getElementById('changeset-commit-button'),
+      document.getElementById('changeset-discard-button')
+    ].filter(Boolean);
     
     buttons.forEach(button => {
       if (isLoading) {
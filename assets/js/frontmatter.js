@@ -0,0 +1,1118 @@
+/**
+ * Front Matter
+ * 
+ * Reads and writes the YAML front matter at the top of page files. Understands
+ * the part of YAML people write there: quoted and multiline strings, block and
+ * flow lists, nested maps, booleans, numbers, dates and comments. Writing a page
+ * back keeps the original text of every field that did not change.
+ */
+
+// Opening line, YAML lines and closing line ('---' or '...') at the start of a file
+const FRONT_MATTER = /^(---[ \t]*)\r?\n(?:([\s\S]*?)\r?\n)?((?:---|\.\.\.)[ \t]*)(\r?\n|$)/;
+
+// "key:" at the start of a line, with a plain, single- or double-quoted key
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|(?:[^\s'"#\[\]{},|>&*!%@`-]|-(?=\S)).*?)[ \t]*:(?=[ \t]|$)/;
+
+// "- item" at the start of a line
+const SEQUENCE_ITEM = /^-(?=[ \t]|$)/;
+
+// YAML timestamps: a date, optionally followed by a time and a time zone (UTC if missing)
+const TIMESTAMP = /^(\d{4})-(\d\d?)-(\d\d?)(?:(?:[Tt]|[ \t]+)(\d\d?):(\d\d):(\d\d)(?:\.(\d*))?(?:[ \t]*(Z|([-+])(\d\d?)(?::?(\d\d))?))?)?$/;
+
+// Checks for the field types a front matter schema can ask for
+const SCHEMA_TYPES = {
+  string: { label: 'text', check: value => typeof value === 'string' },
+  number: { label: 'a number', check: value => typeof value === 'number' && Number.isFinite(value) },
+  boolean: { label: 'true or false', check: value => typeof value === 'boolean' },
+  date: { label: 'a date', check: value => value instanceof Date && !Number.isNaN(value.getTime()) },
+  list: { label: 'a list', check: value => Array.isArray(value) },
+  map: { label: 'a map', check: value => isPlainObject(value) }
+};
+
+// Escape sequences of double-quoted strings
+const ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+  'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0',
+  'L': '\u2028', 'P': '\u2029'
+};
+
+/**
+ * Split a page file into its front matter fields and markdown content
+ * @param {string} text - The page file content
+ * @returns {Object} - { metadata, content, document } where document describes the
+ *   original front matter for stringifyFrontMatter (null if the page has none)
+ */
+export function parseFrontMatter(text) {
+  const match = text.match(FRONT_MATTER);
+  if (!match) {
+    return { metadata: {}, content: text, document: null };
+  }
+
+  try {
+    const lines = match[2] !== undefined ? match[2].split(/\r?\n/) : [];
+    const { value, entries, indent } = parseLines(lines);
+    
+    if (value !== null && !isPlainObject(value)) {
+      throw new Error('Front matter must be a map of fields');
+    }
+    
+    return {
+      metadata: value || {},
+      content: text.slice(match[0].length),
+      document: {
+        lines,
+        entries,
+        indent,
+        open: match[1],
+        close: match[3],
+        eol: match[0].includes('\r\n') ? '\r\n' : '\n',
+        end: match[4]
+      }
+    };
+  } catch (error) {
+    console.warn('Error parsing front matter, treating as regular content:', error);
+    return { metadata: {}, content: text, document: null };
+  }
+}
+
+/**
+ * Build a page file from front matter fields and markdown content
+ * @param {Object} metadata - The front matter fields; undefined values are left out
+ * @param {string} content - The markdown content
+ * @param {Object} document - The document returned by parseFrontMatter for the page, if
+ *   any; unchanged fields, comments and line endings are then written back as they were
+ * @returns {string} - The page file content
+ */
+export function stringifyFrontMatter(metadata, content, document = null) {
+  const fields = metadata || {};
+  const indent = document ? document.indent : 0;
+  const lines = [];
+  const written = new Set();
+  let cursor = 0;
+
+  // Fields of the original front matter keep their place, and their text if unchanged
+  for (const entry of document ? document.entries : []) {
+    lines.push(...document.lines.slice(cursor, entry.start));
+    cursor = entry.end;
+    
+    const value = Object.prototype.hasOwnProperty.call(fields, entry.key) ? fields[entry.key] : undefined;
+    if (value === undefined) {
+      continue;
+    }
+    
+    written.add(entry.key);
+    lines.push(...(isEqual(value, entry.value)
+      ? document.lines.slice(entry.start, entry.end)
+      : formatEntry(entry.key, value, indent)));
+  }
+
+  // New fields go after the last field, before any trailing comments
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && !written.has(key)) {
+      lines.push(...formatEntry(key, value, indent));
+    }
+  }
+
+  if (document) {
+    lines.push(...document.lines.slice(cursor));
+  }
+
+  if (!lines.some(line => line.trim() !== '')) {
+    return content;
+  }
+
+  const eol = document ? document.eol : '\n';
+  const open = document ? document.open : '---';
+  const close = document ? document.close : '---';
+  const end = document && (document.end || !content) ? document.end : eol;
+
+  // New front matter is separated from the content by a blank line
+  const separator = !document && content && !/^\r?\n/.test(content) ? eol : '';
+
+  return `${open}${eol}${lines.join(eol)}${eol}${close}${end}${separator}${content}`;
+}
+
+/**
+ * Parse a field value written on a single line, as it would follow "key:"
+ * @param {string} text - The value, e.g. 'draft', '[a, b]' or '2024-01-31'
+ * @returns {*} - The parsed value
+ */
+export function parseFrontMatterValue(text) {
+  const { value } = parseLines([`value: ${text.trim()}`]);
+  return value.value;
+}
+
+/**
+ * Format a field value on a single line, the inverse of parseFrontMatterValue
+ * @param {*} value - The value
+ * @returns {string} - The YAML text
+ */
+export function formatFrontMatterValue(value) {
+  return formatInline(value, false);
+}
+
+/**
+ * Check front matter fields against a schema
+ * @param {Object} metadata - The front matter fields
+ * @param {Object} schema - { fields } mapping field names to { type, required, values }, where
+ *   type is one of string, number, boolean, date, list or map and values lists the allowed
+ *   values (of each item, for lists)
+ * @returns {Array} - Error messages, empty if the fields are valid
+ */
+export function validateFrontMatter(metadata, schema = {}) {
+  const errors = [];
+
+  for (const [key, rule] of Object.entries((schema && schema.fields) || {})) {
+    const value = metadata[key];
+    
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      if (rule.required) {
+        errors.push(`"${key}" is required`);
+      }
+      continue;
+    }
+    
+    const type = SCHEMA_TYPES[rule.type];
+    if (type && !type.check(value)) {
+      errors.push(`"${key}" must be ${type.label}`);
+      continue;
+    }
+    
+    if (Array.isArray(rule.values)) {
+      const items = Array.isArray(value) ? value : [value];
+      if (!items.every(item => rule.values.some(allowed => isEqual(allowed, item)))) {
+        errors.push(`"${key}" must be one of: ${rule.values.join(', ')}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the tags of a page from its front matter, written as a list or as a comma-separated string
+ * @param {Object} metadata - The front matter fields
+ * @returns {Array} - The tags, without duplicates
+ */
+export function getPageTags(metadata) {
+  const values = Array.isArray(metadata.tags) ? metadata.tags : String(metadata.tags || '').split(',');
+  const tags = [];
+
+  for (const value of values) {
+    const tag = value === null || typeof value === 'object' ? '' : String(value).trim();
+    if (tag && !tags.some(other => other.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Merge the front matter fields of two edited versions of a page against their common
+ * base. A field changed on one side takes that side's value, `updated` takes the later
+ * date and a field changed differently on both sides keeps the local value.
+ * @param {Object} base - The fields both edits started from
+ * @param {Object} theirs - The fields saved by someone else
+ * @param {Object} mine - The local fields
+ * @returns {Object} - The merged fields
+ */
+export function mergeFrontMatter(base, theirs, mine) {
+  const merged = {};
+  const time = value => (value instanceof Date ? value : new Date(value)).getTime();
+
+  for (const key of new Set([...Object.keys(theirs), ...Object.keys(mine), ...Object.keys(base)])) {
+    let value;
+    if (key === 'updated' && theirs[key] !== undefined && mine[key] !== undefined) {
+      value = time(theirs[key]) > time(mine[key]) ? theirs[key] : mine[key];
+    } else {
+      value = isEqual(mine[key], base[key]) ? theirs[key] : mine[key];
+    }
+
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Parse the lines of a YAML document
+ * @param {Array} rawLines - The lines of the document
+ * @returns {Object} - { value, entries, indent } where entries lists the fields of a
+ *   top-level map with the lines they span ({ key, value, start, end })
+ */
+function parseLines(rawLines) {
+  const state = {
+    lines: rawLines.map((raw, index) => ({
+      raw,
+      number: index + 2, // line number in the page file, after the opening '---'
+      indent: raw.length - raw.replace(/^ +/, '').length,
+      text: raw.trim()
+    })),
+    index: 0
+  };
+  const entries = [];
+
+  let value = null;
+  let indent = 0;
+
+  let index = peekLine(state);
+  if (index !== -1) {
+    const line = state.lines[index];
+    indent = line.indent;
+    
+    if (!SEQUENCE_ITEM.test(line.text) && KEY.test(line.text)) {
+      value = parseMapping(state, indent, entries);
+    } else {
+      value = parseNode(state, indent);
+    }
+  }
+
+  index = peekLine(state);
+  if (index !== -1) {
+    throw syntaxError(state.lines[index], 'Unexpected indentation');
+  }
+
+  return { value, entries, indent };
+}
+
+/**
+ * Find the next line that is not blank or a comment, without consuming it
+ * @param {Object} state - The parser state
+ * @returns {number} - The index of the line or -1 at the end of the document
+ */
+function peekLine(state) {
+  let index = state.index;
+
+  while (index < state.lines.length && (state.lines[index].text === '' || state.lines[index].text.startsWith('#'))) {
+    index++;
+  }
+
+  return index < state.lines.length ? index : -1;
+}
+
+/**
+ * Parse a block node starting at the next line
+ * @param {Object} state - The parser state
+ * @param {number} indent - The indentation of the node
+ * @returns {*} - The parsed value
+ */
+function parseNode(state, indent) {
+  state.index = peekLine(state);
+  const line = state.lines[state.index];
+
+  if (SEQUENCE_ITEM.test(line.text)) {
+    return parseSequence(state, indent);
+  }
+
+  if (KEY.test(line.text)) {
+    return parseMapping(state, indent);
+  }
+
+  // A scalar on lines of its own
+  state.index++;
+  return parseValue(state, line.text, indent - 1, line, false);
+}
+
+/**
+ * Parse a block map
+ * @param {Object} state - The parser state
+ * @param {number} indent - The indentation of the keys
+ * @param {Array} entries - Array to record the fields and their lines in, if wanted
+ * @returns {Object} - The parsed map
+ */
+function parseMapping(state, indent, entries = null) {
+  const map = {};
+
+  for (let index = peekLine(state); index !== -1; index = peekLine(state)) {
+    const line = state.lines[index];
+    if (line.indent < indent) {
+      break;
+    }
+    
+    const match = line.indent === indent ? line.text.match(KEY) : null;
+    if (!match) {
+      throw syntaxError(line, line.indent > indent ? 'Unexpected indentation' : 'Expected "key: value"');
+    }
+    
+    const key = parseKey(match[1]);
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+      throw syntaxError(line, `Duplicate key "${key}"`);
+    }
+    
+    state.index = index + 1;
+    const value = parseValue(state, line.text.slice(match[0].length).trim(), indent, line, true);
+    
+    // Defined rather than assigned, so that a "__proto__" key is an ordinary field
+    Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
+    
+    if (entries) {
+      entries.push({ key, value, start: index, end: state.index });
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Parse a block list
+ * @param {Object} state - The parser state
+ * @param {number} indent - The indentation of the "-" indicators
+ * @returns {Array} - The parsed list
+ */
+function parseSequence(state, indent) {
+  const list = [];
+
+  for (let index = peekLine(state); index !== -1; index = peekLine(state)) {
+    const line = state.lines[index];
+    if (line.indent !== indent || !SEQUENCE_ITEM.test(line.text)) {
+      if (line.indent > indent) {
+        throw syntaxError(line, 'Unexpected indentation');
+      }
+      break;
+    }
+    
+    const rest = line.raw.slice(indent + 1);
+    const text = rest.trim();
+    
+    if (text && !text.startsWith('#') && (SEQUENCE_ITEM.test(text) || KEY.test(text))) {
+      // "- key: value" or "- - item": the item is a collection starting on this line,
+      // indented to where its content starts
+      const itemIndent = indent + 1 + rest.length - rest.trimStart().length;
+      state.lines[index] = { ...line, indent: itemIndent, text };
+      state.index = index;
+      list.push(parseNode(state, itemIndent));
+    } else {
+      state.index = index + 1;
+      list.push(parseValue(state, text, indent, line, false));
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Parse the value following "key:" or "-"
+ * @param {Object} state - The parser state, positioned after the line of the value
+ * @param {string} text - The rest of the line
+ * @param {number} indent - The indentation of the key or "-"; nested lines are indented further
+ * @param {Object} line - The line of the value
+ * @param {boolean} inMapping - Whether the value belongs to a key, which allows a
+ *   list on the following lines at the same indentation
+ * @returns {*} - The parsed value
+ */
+function parseValue(state, text, indent, line, inMapping) {
+  if (text === '' || text.startsWith('#')) {
+    const index = peekLine(state);
+    const next = index !== -1 ? state.lines[index] : null;
+    
+    if (next && next.indent > indent) {
+      return parseNode(state, next.indent);
+    }
+    if (next && inMapping && next.indent === indent && SEQUENCE_ITEM.test(next.text)) {
+      state.index = index;
+      return parseSequence(state, indent);
+    }
+    return null;
+  }
+
+  if (text[0] === '|' || text[0] === '>') {
+    return parseBlockScalar(state, text, indent, line);
+  }
+
+  if (text[0] === '"' || text[0] === '\'') {
+    return parseQuoted(state, text, line);
+  }
+
+  if (text[0] === '[' || text[0] === '{') {
+    return parseFlow(state, text, line);
+  }
+
+  return parsePlain(state, text, indent);
+}
+
+/**
+ * Parse a plain scalar, which may continue on more indented lines
+ * @param {Object} state - The parser state, positioned after the first line
+ * @param {string} text - The scalar text on the first line
+ * @param {number} indent - The indentation of the key or "-"
+ * @returns {*} - The resolved value
+ */
+function parsePlain(state, text, indent) {
+  let value = stripComment(text);
+  let ended = value !== text;
+  let breaks = 0;
+
+  for (let index = state.index; !ended && index < state.lines.length; index++) {
+    const next = state.lines[index];
+    
+    if (next.text === '') {
+      breaks++;
+      continue;
+    }
+    if (next.indent <= indent || next.text.startsWith('#')) {
+      break;
+    }
+    
+    // Line breaks fold to spaces; blank lines stand for line breaks
+    const continuation = stripComment(next.text);
+    value += (breaks ? '\n'.repeat(breaks) : ' ') + continuation;
+    ended = continuation !== next.text;
+    breaks = 0;
+    state.index = index + 1;
+  }
+
+  return resolveScalar(value);
+}
+
+/**
+ * Remove a trailing comment from a plain scalar
+ * @param {string} text - The text
+ * @returns {string} - The text without the comment
+ */
+function stripComment(text) {
+  return text.replace(/[ \t]+#.*$/, '');
+}
+
+/**
+ * Parse a single- or double-quoted string, which may span several lines
+ * @param {Object} state - The parser state, positioned after the first line
+ * @param {string} text - The text on the first line, starting with the quote
+ * @param {Object} line - The first line
+ * @returns {string} - The string
+ */
+function parseQuoted(state, text, line) {
+  let source = text;
+  let end = findClosingQuote(source);
+
+  while (end === -1) {
+    if (state.index >= state.lines.length) {
+      throw syntaxError(line, 'Unterminated quoted string');
+    }
+    source += '\n' + state.lines[state.index++].text;
+    end = findClosingQuote(source);
+  }
+
+  const rest = source.slice(end + 1).trim();
+  if (rest && !rest.startsWith('#')) {
+    throw syntaxError(line, 'Unexpected text after quoted string');
+  }
+
+  return unquote(source.slice(0, end + 1));
+}
+
+/**
+ * Find the closing quote of a quoted string
+ * @param {string} source - The text, starting with the opening quote
+ * @returns {number} - The index of the closing quote or -1 if there is none
+ */
+function findClosingQuote(source) {
+  const quote = source[0];
+
+  for (let i = 1; i < source.length; i++) {
+    if (quote === '"' && source[i] === '\\') {
+      i++;
+    } else if (source[i] === quote) {
+      if (quote === '\'' && source[i + 1] === '\'') {
+        i++;
+        continue;
+      }
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Get the value of a quoted string, folding line breaks and resolving escapes
+ * @param {string} source - The string including its quotes
+ * @returns {string} - The value
+ */
+function unquote(source) {
+  const quote = source[0];
+  const lines = source.slice(1, -1).split('\n');
+
+  let value = lines.length > 1 ? lines[0].trimEnd() : lines[0];
+  let breaks = 0;
+
+  for (let i = 1; i < lines.length; i++) {
+    const text = i < lines.length - 1 ? lines[i].trim() : lines[i].trimStart();
+    
+    if (text === '' && i < lines.length - 1) {
+      breaks++;
+      continue;
+    }
+    
+    // In double quotes, a backslash at the end of a line joins it to the next
+    if (quote === '"' && /(^|[^\\])(\\\\)*\\$/.test(value)) {
+      value = value.slice(0, -1) + '\n'.repeat(breaks) + text;
+    } else {
+      value += (breaks ? '\n'.repeat(breaks) : ' ') + text;
+    }
+    breaks = 0;
+  }
+
+  if (quote === '\'') {
+    return value.replace(/''/g, '\'');
+  }
+
+  return value.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (escape, code) => {
+    if (code.length > 1) {
+      return String.fromCodePoint(parseInt(code.slice(1), 16));
+    }
+    return ESCAPES[code] !== undefined ? ESCAPES[code] : escape;
+  });
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar
+ * @param {Object} state - The parser state, positioned after the header line
+ * @param {string} header - The header, e.g. '|', '>-' or '|2+'
+ * @param {number} indent - The indentation of the key or "-"
+ * @param {Object} line - The header line
+ * @returns {string} - The string
+ */
+function parseBlockScalar(state, header, indent, line) {
+  const match = header.match(/^([|>])(?:([+-])([1-9])?|([1-9])([+-])?)?(?:[ \t]+#.*)?$/);
+  if (!match) {
+    throw syntaxError(line, 'Invalid block scalar header');
+  }
+
+  const folded = match[1] === '>';
+  const chomping = match[2] || match[5] || '';
+  const explicitIndent = match[3] || match[4];
+
+  let contentIndent = explicitIndent ? indent + Number(explicitIndent) : null;
+  const lines = [];
+  let lastContent = state.index;
+
+  for (let index = state.index; index < state.lines.length; index++) {
+    const next = state.lines[index];
+    
+    if (next.text === '') {
+      lines.push(contentIndent !== null ? next.raw.slice(contentIndent) : '');
+      continue;
+    }
+    
+    // The first content line sets the indentation of the block
+    if (contentIndent === null) {
+      if (next.indent <= indent) {
+        break;
+      }
+      contentIndent = next.indent;
+    }
+    if (next.indent < contentIndent) {
+      break;
+    }
+    
+    lines.push(next.raw.slice(contentIndent));
+    lastContent = index + 1;
+  }
+
+  // Trailing blank lines belong to the value only when they are kept
+  const trailing = lines.length - (lastContent - state.index);
+  const body = lines.slice(0, lines.length - trailing);
+  state.index = chomping === '+' ? state.index + lines.length : lastContent;
+
+  if (body.length === 0) {
+    return chomping === '+' ? '\n'.repeat(trailing) : '';
+  }
+
+  const value = folded ? foldLines(body) : body.join('\n');
+
+  if (chomping === '-') {
+    return value;
+  }
+  return chomping === '+' ? value + '\n' + '\n'.repeat(trailing) : value + '\n';
+}
+
+/**
+ * Join the lines of a folded block scalar
+ * @param {Array} lines - The lines, without the block indentation
+ * @returns {string} - The folded text
+ */
+function foldLines(lines) {
+  const first = lines.findIndex(line => line !== '');
+  let value = '\n'.repeat(first) + lines[first];
+  let previous = lines[first];
+  let breaks = 0;
+
+  for (const line of lines.slice(first + 1)) {
+    if (line === '') {
+      breaks++;
+      continue;
+    }
+    
+    // Breaks next to more indented lines are kept; others fold to a space
+    if (/^\s/.test(line) || /^\s/.test(previous)) {
+      value += '\n'.repeat(breaks + 1);
+    } else {
+      value += breaks ? '\n'.repeat(breaks) : ' ';
+    }
+    
+    value += line;
+    previous = line;
+    breaks = 0;
+  }
+
+  return value;
+}
+
+/**
+ * Parse a flow list ([a, b]) or map ({a: 1}), which may span several lines
+ * @param {Object} state - The parser state, positioned after the first line
+ * @param {string} text - The text on the first line, starting with the bracket
+ * @param {Object} line - The first line
+ * @returns {Array|Object} - The parsed collection
+ */
+function parseFlow(state, text, line) {
+  const parser = { source: text, pos: 0, line };
+
+  for (;;) {
+    try {
+      parser.pos = 0;
+      const value = parseFlowValue(parser, ',]}');
+      
+      const rest = parser.source.slice(parser.pos).trim();
+      if (rest && !rest.startsWith('#')) {
+        throw syntaxError(line, 'Unexpected text after flow collection');
+      }
+      
+      return value;
+    } catch (error) {
+      // Ran out of text: the collection continues on the next line
+      if (!error.incomplete || state.index >= state.lines.length) {
+        throw error.incomplete ? syntaxError(line, 'Unterminated flow collection') : error;
+      }
+      parser.source += '\n' + state.lines[state.index++].text;
+    }
+  }
+}
+
+/**
+ * Parse a value inside a flow collection
+ * @param {Object} parser - { source, pos, line }
+ * @param {string} terminators - Characters that end a plain scalar
+ * @returns {*} - The parsed value
+ */
+function parseFlowValue(parser, terminators) {
+  skipFlowSpace(parser);
+  const { source } = parser;
+  const char = source[parser.pos];
+
+  if (char === undefined) {
+    throw incompleteError();
+  }
+
+  if (char === '[') {
+    parser.pos++;
+    const list = [];
+    
+    while (!endFlowCollection(parser, ']', list.length === 0)) {
+      list.push(parseFlowValue(parser, ',]'));
+    }
+    return list;
+  }
+
+  if (char === '{') {
+    parser.pos++;
+    const map = {};
+    let first = true;
+    
+    while (!endFlowCollection(parser, '}', first)) {
+      first = false;
+      const key = parseFlowValue(parser, ',:}');
+      skipFlowSpace(parser);
+      
+      let value = null;
+      if (source[parser.pos] === ':') {
+        parser.pos++;
+        value = parseFlowValue(parser, ',}');
+      }
+      Object.defineProperty(map, String(key), { value, enumerable: true, writable: true, configurable: true });
+    }
+    return map;
+  }
+
+  if (char === '"' || char === '\'') {
+    const end = findClosingQuote(source.slice(parser.pos));
+    if (end === -1) {
+      throw incompleteError();
+    }
+    
+    const value = unquote(source.slice(parser.pos, parser.pos + end + 1));
+    parser.pos += end + 1;
+    return value;
+  }
+
+  // Plain scalar up to a terminator; ':' only ends keys when followed by a space
+  let end = parser.pos;
+  while (end < source.length && !terminators.includes(source[end]) &&
+         !(source[end] === '#' && /\s/.test(source[end - 1]))) {
+    end++;
+  }
+  if (terminators.includes(':')) {
+    const colon = source.slice(parser.pos, end).search(/:(\s|$)/);
+    if (colon !== -1) {
+      end = parser.pos + colon;
+    }
+  }
+
+  const text = source.slice(parser.pos, end).replace(/\s+/g, ' ').trim();
+  parser.pos = end;
+  return resolveScalar(text);
+}
+
+/**
+ * Skip whitespace and comments between flow collection entries
+ * @param {Object} parser - { source, pos, line }
+ */
+function skipFlowSpace(parser) {
+  const { source } = parser;
+
+  while (parser.pos < source.length) {
+    if (/\s/.test(source[parser.pos])) {
+      parser.pos++;
+    } else if (source[parser.pos] === '#' && (parser.pos === 0 || /\s/.test(source[parser.pos - 1]))) {
+      const newline = source.indexOf('\n', parser.pos);
+      parser.pos = newline === -1 ? source.length : newline;
+    } else {
+      break;
+    }
+  }
+}
+
+/**
+ * Step over the separator between flow collection entries
+ * @param {Object} parser - { source, pos, line }
+ * @param {string} closing - The closing bracket of the collection
+ * @param {boolean} first - Whether no entry has been read yet
+ * @returns {boolean} - True if the collection ended
+ */
+function endFlowCollection(parser, closing, first) {
+  skipFlowSpace(parser);
+  const char = parser.source[parser.pos];
+
+  if (char === undefined) {
+    throw incompleteError();
+  }
+  if (char === closing) {
+    parser.pos++;
+    return true;
+  }
+
+  // Entries after the first one are preceded by a comma
+  if (first) {
+    return false;
+  }
+  if (char !== ',') {
+    throw syntaxError(parser.line, `Expected "," or "${closing}"`);
+  }
+
+  parser.pos++;
+  skipFlowSpace(parser);
+  if (parser.source[parser.pos] === closing) {
+    parser.pos++;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Create the error for a flow collection that continues past the available text
+ * @returns {Error} - The error
+ */
+function incompleteError() {
+  const error = new Error('Unterminated flow collection');
+  error.incomplete = true;
+  return error;
+}
+
+/**
+ * Get the text of a map key
+ * @param {string} token - The key as written
+ * @returns {string} - The key
+ */
+function parseKey(token) {
+  return token[0] === '"' || token[0] === '\'' ? unquote(token) : token.trim();
+}
+
+/**
+ * Resolve a plain scalar to null, a boolean, a number, a date or a string
+ * @param {string} text - The scalar text
+ * @returns {*} - The value
+ */
+function resolveScalar(text) {
+  if (/^(?:~|null|Null|NULL)?$/.test(text)) {
+    return null;
+  }
+  if (/^(?:true|True|TRUE|false|False|FALSE)$/.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+
+  if (/^[-+]?[0-9]+$/.test(text)) {
+    // Keep long numbers such as IDs as they were written
+    const number = parseInt(text, 10);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(text)) {
+    return parseInt(text.slice(2), 16);
+  }
+  if (/^0o[0-7]+$/.test(text)) {
+    return parseInt(text.slice(2), 8);
+  }
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) {
+    return text.startsWith('-') ? -Infinity : Infinity;
+  }
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) {
+    return NaN;
+  }
+
+  const timestamp = text.match(TIMESTAMP);
+  if (timestamp) {
+    const [, year, month, day, hour, minute, second, fraction, zone, sign, offsetHours, offsetMinutes] = timestamp;
+    const milliseconds = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+    let time = Date.UTC(Number(year), month - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0), milliseconds);
+    
+    if (zone && zone !== 'Z') {
+      const offset = (Number(offsetHours) * 60 + Number(offsetMinutes || 0)) * 60000;
+      time += sign === '-' ? offset : -offset;
+    }
+    
+    return new Date(time);
+  }
+
+  return text;
+}
+
+/**
+ * Format a field as YAML lines
+ * @param {string} key - The field name
+ * @param {*} value - The value
+ * @param {number} indent - The indentation of the key
+ * @returns {Array} - The lines
+ */
+function formatEntry(key, value, indent) {
+  const prefix = `${' '.repeat(indent)}${formatKey(key)}:`;
+
+  if (isBlockCollection(value)) {
+    return [prefix, ...formatBlock(value, indent + 2)];
+  }
+
+  if (isBlockString(value)) {
+    return formatBlockString(value, `${prefix} `, indent + 2);
+  }
+
+  return [`${prefix} ${formatInline(value, false)}`];
+}
+
+/**
+ * Format a list or map as block YAML lines
+ * @param {Array|Object} value - The collection
+ * @param {number} indent - The indentation of its keys or "-" indicators
+ * @returns {Array} - The lines
+ */
+function formatBlock(value, indent) {
+  if (!Array.isArray(value)) {
+    return Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .flatMap(([key, item]) => formatEntry(key, item, indent));
+  }
+
+  const pad = ' '.repeat(indent);
+
+  return value.flatMap(item => {
+    if (isBlockCollection(item)) {
+      // "- key: value" with the rest of the item indented below the first key
+      const lines = formatBlock(item, indent + 2);
+      return [`${pad}- ${lines[0].trimStart()}`, ...lines.slice(1)];
+    }
+    
+    if (isBlockString(item)) {
+      return formatBlockString(item, `${pad}- `, indent + 2);
+    }
+    
+    return [`${pad}- ${formatInline(item, false)}`];
+  });
+}
+
+/**
+ * Format a multiline string as a literal block scalar
+ * @param {string} value - The string
+ * @param {string} prefix - The text before the header, e.g. 'key: '
+ * @param {number} indent - The indentation of the content
+ * @returns {Array} - The lines
+ */
+function formatBlockString(value, prefix, indent) {
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const lines = (trailing ? value.slice(0, -1) : value).split('\n');
+
+  // Content starting with a space needs the indentation spelled out
+  const first = lines.find(line => line !== '');
+  const indicator = /^\s/.test(first) ? '2' : '';
+
+  const pad = ' '.repeat(indent);
+  return [`${prefix}|${indicator}${chomping}`, ...lines.map(line => line ? pad + line : '')];
+}
+
+/**
+ * Format a value on a single line, in flow style for collections
+ * @param {*} value - The value
+ * @param {boolean} inFlow - Whether the value is inside a flow collection
+ * @returns {string} - The YAML text
+ */
+function formatInline(value, inFlow) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return '.nan';
+    }
+    if (!Number.isFinite(value)) {
+      return value > 0 ? '.inf' : '-.inf';
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return 'null';
+    }
+    
+    // Dates without a time are written as dates
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => formatInline(item, true)).join(', ')}]`;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    return `{${entries.map(([key, item]) => `${formatKey(key)}: ${formatInline(item, true)}`).join(', ')}}`;
+  }
+
+  return formatString(String(value), inFlow);
+}
+
+/**
+ * Format a string, quoting it if it would not read back as the same string
+ * @param {string} value - The string
+ * @param {boolean} inFlow - Whether the string is inside a flow collection
+ * @returns {string} - The YAML text
+ */
+function formatString(value, inFlow) {
+  const plain = value !== '' &&
+    value === value.trim() &&
+    !/[\x00-\x1f\x7f-\x9f\u2028\u2029]/.test(value) &&
+    !/^[-?:,\[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/:(\s|$)|\s#/.test(value) &&
+    !(inFlow && /[,\[\]{}]/.test(value)) &&
+    typeof resolveScalar(value) === 'string';
+
+  if (plain) {
+    return value;
+  }
+
+  // Single quotes unless there are characters only double quotes can escape
+  if (!/[\x00-\x1f\x7f-\x9f\u2028\u2029]/.test(value)) {
+    return `'${value.replace(/'/g, '\'\'')}'`;
+  }
+
+  // JSON string escapes are valid in double-quoted YAML
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a map key
+ * @param {string} key - The key
+ * @returns {string} - The YAML text
+ */
+function formatKey(key) {
+  return formatString(key, true);
+}
+
+/**
+ * Check whether a value is written as a block list or map
+ * @param {*} value - The value
+ * @returns {boolean} - True for maps and for lists holding collections or multiline strings
+ */
+function isBlockCollection(value) {
+  if (Array.isArray(value)) {
+    // Lists of simple values stay on one line, like "tags: [a, b]"
+    return value.some(item => isPlainObject(item) || Array.isArray(item) || isBlockString(item));
+  }
+
+  return isPlainObject(value) && Object.keys(value).length > 0;
+}
+
+/**
+ * Check whether a value is written as a block scalar
+ * @param {*} value - The value
+ * @returns {boolean} - True for multiline strings that are not just whitespace
+ */
+function isBlockString(value) {
+  return typeof value === 'string' &&
+    value.includes('\n') &&
+    value.trim() !== '' &&
+    !/[\x00-\x08\x0b-\x1f\x7f-\x9f\u2028\u2029]/.test(value);
+}
+
+/**
+ * Check whether a value is a plain object (not an array, date or null)
+ * @param {*} value - The value
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Compare two front matter values
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} - True if the values are equal
+ */
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && Object.is(a.getTime(), b.getTime());
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => isEqual(item, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+
+  return Object.is(a, b);
+}
+
+/**
+ * Create an error pointing at a line of the page file
+ * @param {Object} line - The line
+ * @param {string} message - The error message
+ * @returns {Error} - The error
+ */
+function syntaxError(line, message) {
+  return new Error(`${message} (front matter line ${line.number})`);
+}
\ No newline at end of file
@@ -0,0 +1,400 @@
+/**
+ * Wiki Links
+ * 
+ * Finds and rewrites internal links between wiki pages in markdown source
+ */
+
+// [text](target "title") and ![alt](target), with one level of nested brackets in the text
+const INLINE_LINK = /(!?)(\[(?:[^\[\]]|\[[^\]]*\])*\]\(\s*)(<[^>]*>|[^\s)]+)((?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\))/g;
+
+// [label]: target "title"
+const REFERENCE_DEFINITION = /^( {0,3}\[[^\]]+\]:\s*)(<[^>]*>|\S+)(.*)$/;
+
+// Opening or closing line of a fenced code block
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// [[target]], [[target|label]] and [[target#section|label]]
+const WIKI_LINK = /^\[\[([^\[\]|\n]*?)(?:\|([^\[\]\n]*))?\]\]/;
+const WIKI_LINKS = new RegExp(WIKI_LINK.source.substring(1), 'g');
+
+/**
+ * Resolve a link target to the repository path of the page it points to
+ * @param {string} href - The link target as written
+ * @param {string} sourcePath - Repository path of the page containing the link
+ * @returns {string|null} - The page path ('dir/page.md') or null for external and in-page links
+ */
+export function resolvePageLink(href, sourcePath) {
+  const target = resolveLinkTarget(href, sourcePath);
+  return target ? toPagePath(target.path) : null;
+}
+
+/**
+ * Resolve a link or image target to the wiki path it points to
+ * @param {string} href - The link target as written
+ * @param {string} sourcePath - Repository path of the page containing the link
+ * @returns {Object|null} - { path, suffix } with the path as written (without adding .md) and
+ *   the ?query/#fragment, or null for external and in-page links
+ */
+export function resolveLinkTarget(href, sourcePath) {
+  const { path, suffix } = splitHref(href);
+  if (!path || isExternal(href)) {
+    return null;
+  }
+  
+  // ./ and ../ are relative to the page; everything else is relative to the wiki root
+  let segments;
+  if (path.startsWith('./') || path.startsWith('../')) {
+    segments = [...getDirectory(sourcePath).split('/').filter(Boolean), ...path.split('/')];
+  } else {
+    segments = path.split('/');
+  }
+  
+  const resolved = [];
+  for (const segment of segments) {
+    if (segment === '..') {
+      resolved.pop();
+    } else if (segment && segment !== '.') {
+      resolved.push(segment);
+    }
+  }
+  
+  return { path: resolved.join('/'), suffix };
+}
+
+/**
+ * Check whether a wiki path names a page rather than another file
+ * @param {string} path - The path, with or without .md
+ * @returns {boolean} - True for paths ending in .md or without a file extension
+ */
+export function isPagePath(path) {
+  const name = path.substring(path.lastIndexOf('/') + 1);
+  return name.endsWith('.md') || !/\.[a-z0-9]+$/i.test(name);
+}
+
+/**
+ * Read a [[wiki link]] at the start of a string
+ * @param {string} text - The text, starting with '[['
+ * @returns {Object|null} - { raw, target, section, label } or null if there is no wiki link;
+ *   target is the page name or path and may be empty for links within the page
+ */
+export function parseWikiLink(text) {
+  const match = text.match(WIKI_LINK);
+  if (!match) {
+    return null;
+  }
+  
+  const hash = match[1].indexOf('#');
+  const target = (hash === -1 ? match[1] : match[1].substring(0, hash)).trim();
+  const section = hash === -1 ? '' : match[1].substring(hash + 1).trim();
+  if (!target && !section) {
+    return null;
+  }
+  
+  return {
+    raw: match[0],
+    target,
+    section,
+    label: match[2] !== undefined && match[2].trim() ? match[2].trim() : match[1].trim()
+  };
+}
+
+/**
+ * Resolve the target of a wiki link by path or by page name
+ * @param {string} target - The target, e.g. 'ops/deploy', './deploy' or 'Deploy Guide'
+ * @param {string} sourcePath - Repository path of the page containing the link
+ * @param {Array} pagePaths - Paths of all pages ('dir/page.md'), or null if they are not known
+ * @returns {Object|null} - { path, exists } with the page path and whether the page exists
+ *   (null when pagePaths is not known), or null for targets outside the wiki
+ */
+export function resolveWikiLink(target, sourcePath, pagePaths) {
+  // Targets with a slash or .md are paths, like the targets of markdown links
+  if (target.includes('/') || target.endsWith('.md')) {
+    const path = resolvePageLink(target, sourcePath);
+    if (!path) {
+      return null;
+    }
+    
+    const match = pagePaths ? pagePaths.find(page => page.toLowerCase() === path.toLowerCase()) : null;
+    return { path: match || path, exists: pagePaths ? !!match : null };
+  }
+  
+  // Names match file names regardless of case, spaces, hyphens and underscores;
+  // pages in the directory of the linking page win, then the least deeply nested
+  const name = toPageName(target);
+  const directory = getDirectory(sourcePath);
+  const matches = (pagePaths || [])
+    .filter(page => toPageName(page.substring(page.lastIndexOf('/') + 1)) === name)
+    .sort((a, b) => (getDirectory(b) === directory) - (getDirectory(a) === directory) ||
+      a.split('/').length - b.split('/').length ||
+      a.localeCompare(b));
+  
+  if (matches.length > 0) {
+    return { path: matches[0], exists: true };
+  }
+  
+  // New pages are created at the root, named like the editor names pages after their title
+  return { path: toPagePath(slugify(target)), exists: pagePaths ? false : null };
+}
+
+/**
+ * Turn a heading or page name into a URL slug: lower case, without punctuation, with
+ * hyphens between words
+ * @param {string} text - The text
+ * @returns {string} - The slug
+ */
+export function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+/**
+ * Turn heading text into the anchor id GitHub gives the heading: lower case, without
+ * punctuation, with a hyphen for every space
+ * @param {string} text - The heading text
+ * @returns {string} - The id, before repeated headings are numbered
+ */
+export function slugifyHeading(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\s-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Find the internal page links of a markdown document
+ * @param {string} markdown - The markdown source
+ * @param {string} sourcePath - Repository path of the page
+ * @returns {Array} - Array of { href, target } where target is the linked page path
+ */
+export function findPageLinks(markdown, sourcePath) {
+  const links = [];
+  
+  transformLinks(markdown, href => {
+    const target = resolvePageLink(href, sourcePath);
+    if (target) {
+      links.push({ href, target });
+    }
+    return href;
+  });
+  
+  return links;
+}
+
+/**
+ * Rewrite the links of a page after another page (or the page itself) moved.
+ * Links keep their style: leading slash, ./ relative form, .md suffix and #fragment.
+ * Wiki links keep their section and label; links by name that would no longer find
+ * the page become links by path, labelled with the name they showed before.
+ * @param {string} markdown - The markdown source
+ * @param {Object} move - { sourcePath, newSourcePath, from, to, pagePaths } where sourcePath
+ *   is where the page lives now, newSourcePath where it will live (defaults to sourcePath),
+ *   from/to the old and new path of the moved page and pagePaths the paths of all pages
+ *   before the move, used to resolve wiki links by name
+ * @returns {Object} - { content, count } with the number of rewritten links
+ */
+export function rewritePageLinks(markdown, move) {
+  const sourcePath = move.sourcePath;
+  const newSourcePath = move.newSourcePath || sourcePath;
+  const pagePaths = move.pagePaths || null;
+  const newPagePaths = pagePaths ? pagePaths.map(path => path === move.from ? move.to : path) : null;
+  let count = 0;
+  
+  const rewriteWikiLink = (raw, link) => {
+    const resolved = resolveWikiLink(link.target, sourcePath, pagePaths);
+    if (!resolved || resolved.exists === false) {
+      return raw;
+    }
+    
+    const newTarget = resolved.path === move.from ? move.to : resolved.path;
+    const current = resolveWikiLink(link.target, newSourcePath, newPagePaths);
+    if (current && current.path === newTarget) {
+      return raw;
+    }
+    
+    count++;
+    const isPath = link.target.includes('/') || link.target.endsWith('.md');
+    const target = isPath ? formatPageLink(link.target, newTarget, newSourcePath) : newTarget.replace(/\.md$/, '');
+    const section = link.section ? `#${link.section}` : '';
+    const label = raw.includes('|') ? raw.substring(raw.indexOf('|'), raw.length - 2) : isPath ? '' : `|${link.label}`;
+    return `[[${target}${section}${label}]]`;
+  };
+  
+  const content = transformLinks(markdown, href => {
+    const target = resolvePageLink(href, sourcePath);
+    if (!target) {
+      return href;
+    }
+    
+    const newTarget = target === move.from ? move.to : target;
+    const { path } = splitHref(href);
+    const isRelative = path.startsWith('./') || path.startsWith('../');
+    
+    // Relative links only break when the linking page itself moves
+    if (newTarget === target && (!isRelative || newSourcePath === sourcePath)) {
+      return href;
+    }
+    
+    count++;
+    return formatPageLink(href, newTarget, newSourcePath);
+  }, rewriteWikiLink);
+  
+  return { content, count };
+}
+
+/**
+ * Apply a function to every link target in markdown, skipping code blocks and code spans
+ * @param {string} markdown - The markdown source
+ * @param {Function} transform - Called with each link target, returns the replacement
+ * @param {Function} transformWikiLink - Optional, called with the source and the parsed
+ *   parts of each [[wiki link]], returns the replacement
+ * @returns {string} - The transformed markdown
+ */
+function transformLinks(markdown, transform, transformWikiLink = null) {
+  const lines = markdown.split('\n');
+  let fence = null;
+  
+  return lines.map(line => {
+    const fenceMatch = line.match(FENCE);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return line;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return line;
+    }
+    
+    const definition = line.match(REFERENCE_DEFINITION);
+    if (definition) {
+      return definition[1] + transformTarget(definition[2], transform) + definition[3];
+    }
+    
+    // Odd parts are code spans
+    return line.split(/(`+[^`]*`+)/).map((part, index) => {
+      if (index % 2 === 1) {
+        return part;
+      }
+      const linked = part.replace(INLINE_LINK, (match, bang, opening, target, closing) => {
+        // Images point to files, not pages
+        if (bang) {
+          return match;
+        }
+        return opening + transformTarget(target, transform) + closing;
+      });
+      if (!transformWikiLink) {
+        return linked;
+      }
+      
+      return linked.replace(WIKI_LINKS, match => {
+        const link = parseWikiLink(match);
+        return link && link.target ? transformWikiLink(match, link) : match;
+      });
+    }).join('');
+  }).join('\n');
+}
+
+/**
+ * Transform a link target, keeping angle brackets around it
+ * @param {string} target - The target as written
+ * @param {Function} transform - The transform function
+ * @returns {string} - The new target
+ */
+function transformTarget(target, transform) {
+  if (target.startsWith('<') && target.endsWith('>')) {
+    return `<${transform(target.slice(1, -1))}>`;
+  }
+  return transform(target);
+}
+
+/**
+ * Format a link to a page in the style of an existing link
+ * @param {string} href - The existing link target
+ * @param {string} pagePath - The page path to link to ('dir/page.md')
+ * @param {string} sourcePath - Repository path of the linking page
+ * @returns {string} - The new link target
+ */
+function formatPageLink(href, pagePath, sourcePath) {
+  const { path, suffix } = splitHref(href);
+  const target = path.replace(/\/+$/, '').endsWith('.md') ? pagePath : pagePath.replace(/\.md$/, '');
+  
+  if (path.startsWith('./') || path.startsWith('../')) {
+    return relativePath(getDirectory(sourcePath), target) + suffix;
+  }
+  
+  return (path.startsWith('/') ? '/' : '') + target + suffix;
+}
+
+/**
+ * Build a ./ or ../ path from a directory to a file
+ * @param {string} fromDirectory - The directory ('' for the root)
+ * @param {string} toPath - The target path
+ * @returns {string} - The relative path
+ */
+function relativePath(fromDirectory, toPath) {
+  const from = fromDirectory.split('/').filter(Boolean);
+  const to = toPath.split('/');
+  
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  
+  const up = from.length - common;
+  const rest = to.slice(common).join('/');
+  return up === 0 ? `./${rest}` : '../'.repeat(up) + rest;
+}
+
+/**
+ * Split a link target into its path and its ?query/#fragment suffix
+ * @param {string} href - The link target
+ * @returns {Object} - { path, suffix }
+ */
+function splitHref(href) {
+  const index = href.search(/[?#]/);
+  return index === -1
+    ? { path: href, suffix: '' }
+    : { path: href.substring(0, index), suffix: href.substring(index) };
+}
+
+/**
+ * Check whether a link points outside the wiki
+ * @param {string} href - The link target
+ * @returns {boolean} - True for URLs with a scheme, protocol-relative URLs and mail links
+ */
+function isExternal(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+}
+
+/**
+ * Get the directory of a repository path
+ * @param {string} path - The file path
+ * @returns {string} - The directory ('' for the root)
+ */
+function getDirectory(path) {
+  return path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+}
+
+/**
+ * Normalize a page name or file name for comparison
+ * @param {string} name - The name, e.g. 'Deploy Guide' or 'deploy-guide.md'
+ * @returns {string} - The normalized name
+ */
+function toPageName(name) {
+  return name.replace(/\.md$/, '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+/**
+ * Turn a link path into the repository path of a page
+ * @param {string} path - The link path without suffix
+ * @returns {string} - The page path ending in .md
+ */
+function toPagePath(path) {
+  return path.endsWith('.md') ? path : `${path}.md`;
+}
\ No newline at end of file
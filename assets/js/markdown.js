@@ -0,0 +1,737 @@
+/**
+ * Markdown Service
+ * 
+ * Render pipeline for page content: markdown is parsed with marked, extended
+ * with the wiki's own syntax, and the resulting HTML is sanitized before any
+ * view puts it into the page
+ */
+
+import { HtmlSanitizer, USER_ID_PREFIX } from './sanitize.js';
+import { parseWikiLink, resolveWikiLink, resolvePageLink, resolveLinkTarget, isPagePath, slugifyHeading } from './links.js';
+import { parseFrontMatter } from './frontmatter.js';
+import { renderMermaid, renderGraphviz } from './diagrams.js';
+
+// {{> path}} or {{include path}}, optionally with #section, on a line of its own
+const INCLUDE = /^ {0,3}\{\{\s*(?:>|include\s)\s*([^\s{}#]*)(?:#([^{}]*?))?\s*\}\}\s*$/;
+
+// Includes within includes stop at this depth
+const MAX_INCLUDE_DEPTH = 5;
+
+// $$...$$ starting a block; the TeX may span several lines
+const BLOCK_MATH = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/;
+
+// $$...$$ within a paragraph
+const DISPLAY_MATH = /^\$\$((?:\\.|[^\\$])+?)\$\$/;
+
+// $...$ within a line; no space just inside the dollars and no digit after them, so
+// amounts such as $5 and $10 stay text
+const INLINE_MATH = /^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+// > [!NOTE] callouts as on GitHub: the type, + or - to make the callout collapsible (open
+// or closed), an optional title, then the quoted body
+const ALERT = /^ {0,3}> ?\[!(\w+)\]([+-]?)[ \t]*(.*)(?:\n|$)((?: {0,3}>.*(?:\n|$))*)/;
+
+// :::warning containers with the same options, closed by a line of as many colons
+const CONTAINER_START = /^ {0,3}(:{3,})[ \t]*(\w+)([+-]?)[ \t]*(.*)(?:\n|$)/;
+const CONTAINER_END = /^ {0,3}(:{3,})[ \t]*$/;
+
+// Callout types with their default titles, and other names they go by
+const CALLOUT_TYPES = { note: 'Note', tip: 'Tip', important: 'Important', warning: 'Warning', caution: 'Caution' };
+const CALLOUT_ALIASES = { info: 'note', hint: 'tip', danger: 'caution', error: 'caution' };
+
+// Opening or closing line of a fenced code block
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// ATX heading: level and text
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+
+export class MarkdownService {
+  constructor(app) {
+    this.app = app;
+    
+    // Rebuilt when the "sanitizer" section of the configuration changes
+    this.sanitizer = null;
+    this.sanitizerConfig = null;
+    
+    // marked instance with the wiki extensions, created on first use
+    this.parser = null;
+    
+    // Paths of all pages, for resolving wiki links (null until loaded)
+    this.pages = null;
+    
+    // Renderers of fenced code blocks by language, e.g. ```mermaid
+    this.codeRenderers = new Map();
+    this.registerCodeRenderer('mermaid', renderMermaid);
+    this.registerCodeRenderer('dot', renderGraphviz);
+    this.registerCodeRenderer('graphviz', renderGraphviz);
+    
+    // The page being rendered: { path, blocks, files, nonce } where blocks holds the output
+    // of code block renderers until it replaces its placeholder, found by the nonce, and
+    // files the wiki paths of images and file links, loaded once the page is shown
+    this.context = { path: '', blocks: [], files: [], nonce: '' };
+  }
+
+  /**
+   * Render fenced code blocks of a language with a function instead of as code. The
+   * output is trusted and bypasses the sanitizer, so the function must escape the source.
+   * Errors with a line property (1-based, within the block) point at the offending line.
+   * @param {string} language - The language after the opening fence, e.g. 'mermaid'
+   * @param {Function} render - Takes the block source and returns HTML; throws if invalid
+   */
+  registerCodeRenderer(language, render) {
+    this.codeRenderers.set(language.toLowerCase(), render);
+  }
+
+  /**
+   * Load the list of pages that wiki links are resolved against
+   */
+  async loadPages() {
+    try {
+      this.pages = await this.app.tree.getMarkdownFiles();
+    } catch (error) {
+      // Wiki links still work; missing pages are just not marked
+      console.warn('Could not load the page list for wiki links:', error);
+    }
+  }
+
+  /**
+   * Get the marked instance with the wiki extensions
+   * @returns {Object} - The marked instance
+   */
+  getParser() {
+    if (!this.parser) {
+      const service = this;
+      
+      this.parser = new marked.Marked();
+      this.parser.use({
+        extensions: [this.createWikiLinkExtension(), this.createCalloutExtension(), ...this.createMathExtensions()],
+        renderer: {
+          code: token => this.renderCodeBlock(token),
+          link(token) {
+            return service.renderLink(token, this.parser.parseInline(token.tokens));
+          },
+          image(token) {
+            return service.renderImage(token, token.tokens ? this.parser.parseInline(token.tokens, this.parser.textRenderer) : token.text);
+          }
+        }
+      });
+    }
+    
+    return this.parser;
+  }
+
+  /**
+   * Create the marked extension for [[Page Name]], [[path/to/page|label]] and [[page#section]]
+   * @returns {Object} - The inline extension
+   */
+  createWikiLinkExtension() {
+    const service = this;
+    
+    return {
+      name: 'wikiLink',
+      level: 'inline',
+      start: src => src.indexOf('[['),
+      tokenizer(src) {
+        const link = parseWikiLink(src);
+        if (!link) {
+          return undefined;
+        }
+        
+        return {
+          type: 'wikiLink',
+          raw: link.raw,
+          target: link.target,
+          section: link.section,
+          tokens: this.lexer.inlineTokens(link.label)
+        };
+      },
+      renderer(token) {
+        return service.renderWikiLink(token, this.parser.parseInline(token.tokens));
+      }
+    };
+  }
+
+  /**
+   * Create the marked extension for callouts: > [!WARNING] blockquotes and :::warning containers
+   * @returns {Object} - The block extension
+   */
+  createCalloutExtension() {
+    const service = this;
+    
+    return {
+      name: 'callout',
+      level: 'block',
+      start: src => src.match(/^ {0,3}(?:> ?\[!|:{3})/m)?.index,
+      tokenizer(src) {
+        const alert = src.match(ALERT);
+        const match = alert
+          ? { raw: alert[0], name: alert[1], collapse: alert[2], title: alert[3], body: alert[4].replace(/^ {0,3}> ?/gm, '') }
+          : matchContainer(src);
+        const type = match && getCalloutType(match.name);
+        
+        // Other blockquotes and containers are left to the usual rules
+        if (!type) {
+          return undefined;
+        }
+        
+        return {
+          type: 'callout',
+          raw: match.raw,
+          calloutType: type,
+          collapse: match.collapse,
+          title: this.lexer.inlineTokens(match.title.trim()),
+          tokens: this.lexer.blockTokens(match.body, [])
+        };
+      },
+      renderer(token) {
+        return service.renderCallout(token, this.parser.parseInline(token.title), this.parser.parse(token.tokens));
+      }
+    };
+  }
+
+  /**
+   * Render a callout; collapsible callouts are details elements
+   * @param {Object} token - The callout token
+   * @param {string} title - The rendered title, empty for the type's default title
+   * @param {string} body - The rendered body
+   * @returns {string} - The callout HTML
+   */
+  renderCallout(token, title, body) {
+    const className = `callout callout-${token.calloutType}`;
+    const label = title || CALLOUT_TYPES[token.calloutType];
+    
+    if (token.collapse) {
+      const open = token.collapse === '+' ? ' open' : '';
+      return `<details class="${className}"${open}>\n<summary class="callout-title">${label}</summary>\n${body}</details>\n`;
+    }
+    
+    return `<div class="${className}">\n<p class="callout-title">${label}</p>\n${body}</div>\n`;
+  }
+
+  /**
+   * Create the marked extensions for $inline$ and $$display$$ TeX math. The TeX is kept
+   * as text, untouched by emphasis and escapes, and typeset after sanitizing.
+   * @returns {Array} - The block and inline extensions
+   */
+  createMathExtensions() {
+    return [
+      {
+        name: 'mathBlock',
+        level: 'block',
+        start: src => src.match(/^ {0,3}\$\$/m)?.index,
+        tokenizer(src) {
+          const match = src.match(BLOCK_MATH);
+          if (!match) {
+            return undefined;
+          }
+          
+          return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+        },
+        renderer: token => `<div class="math math-display">${escapeHtml(token.text)}</div>\n`
+      },
+      {
+        name: 'math',
+        level: 'inline',
+        start: src => src.indexOf('$'),
+        tokenizer(src) {
+          const display = src.match(DISPLAY_MATH);
+          const match = display || src.match(INLINE_MATH);
+          if (!match) {
+            return undefined;
+          }
+          
+          return { type: 'math', raw: match[0], text: match[1].trim(), display: !!display };
+        },
+        renderer: token => `<span class="math ${token.display ? 'math-display' : 'math-inline'}">${escapeHtml(token.text)}</span>`
+      }
+    ];
+  }
+
+  /**
+   * Render a fenced code block with its language's code renderer, if there is one
+   * @param {Object} token - The code token
+   * @returns {string|false} - The HTML, or false to render the block as code
+   */
+  renderCodeBlock(token) {
+    const language = (token.lang || '').trim().split(/\s+/)[0].toLowerCase();
+    const render = this.codeRenderers.get(language);
+    if (!render) {
+      return false;
+    }
+    
+    const source = token.text.replace(/\n$/, '');
+    
+    try {
+      // The output replaces its placeholder after sanitizing
+      const { blocks, nonce } = this.context;
+      blocks.push(render(source));
+      return `<div class="code-block-output code-block-${escapeHtml(language)}" id="${nonce}-${blocks.length - 1}"></div>\n`;
+    } catch (error) {
+      return renderCodeBlockError(language, source, error);
+    }
+  }
+
+  /**
+   * Render a markdown link. Links to pages and files of the wiki are resolved against the
+   * page being rendered, so ./ and ../ work wherever the page is shown.
+   * @param {Object} token - The link token
+   * @param {string} text - The rendered link text
+   * @returns {string|false} - The link HTML, or false to render external and in-page links as usual
+   */
+  renderLink(token, text) {
+    const target = resolveLinkTarget(token.href, this.context.path);
+    if (!target) {
+      return false;
+    }
+    
+    const path = decodePath(target.path);
+    const title = token.title ? ` title="${escapeHtml(token.title)}"` : '';
+    
+    if (isPagePath(path)) {
+      return `<a href="${escapeHtml(toPageHref(path.replace(/\.md$/, '')) + target.suffix)}"${title}>${text}</a>`;
+    }
+    
+    // Other files of the repository are downloaded like images are shown
+    return `<a id="${this.addFile(path)}"${title}>${text}</a>`;
+  }
+
+  /**
+   * Render a markdown image. Images of the wiki are read from the content repository by
+   * loadFiles() once the page is shown, as the site does not serve them.
+   * @param {Object} token - The image token
+   * @param {string} alt - The alternative text
+   * @returns {string|false} - The image HTML, or false to render external images as usual
+   */
+  renderImage(token, alt) {
+    const target = resolveLinkTarget(token.href, this.context.path);
+    if (!target) {
+      return false;
+    }
+    
+    const title = token.title ? ` title="${escapeHtml(token.title)}"` : '';
+    return `<img alt="${escapeHtml(alt)}"${title} id="${this.addFile(decodePath(target.path))}">`;
+  }
+
+  /**
+   * Note a file of the wiki that the rendered page shows or links to
+   * @param {string} path - The wiki path of the file
+   * @returns {string} - The id of its placeholder element
+   */
+  addFile(path) {
+    const { files, nonce } = this.context;
+    files.push(path);
+    return `${nonce}-file-${files.length - 1}`;
+  }
+
+  /**
+   * Add what the sanitizer would strip to sanitized HTML: math typeset with KaTeX, the
+   * output of code block renderers and the paths of files to load. KaTeX output uses inline
+   * styles and SVG; it is safe as KaTeX escapes the TeX and refuses commands such as \href
+   * unless trusted.
+   * @param {string} html - The sanitized HTML
+   * @returns {string} - The complete HTML
+   */
+  insertTrustedContent(html) {
+    const { blocks, files, nonce } = this.context;
+    const math = window.katex && html.includes('class="math ');
+    if (!math && blocks.length === 0 && files.length === 0 && !html.includes('<img ')) {
+      return html;
+    }
+    
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    
+    if (math) {
+      for (const element of template.content.querySelectorAll('.math')) {
+        element.innerHTML = katex.renderToString(element.textContent, {
+          displayMode: element.classList.contains('math-display'),
+          throwOnError: false
+        });
+      }
+    }
+    
+    // The sanitizer prefixed the placeholder ids like every other id
+    blocks.forEach((block, index) => {
+      const element = template.content.getElementById(`${USER_ID_PREFIX}${nonce}-${index}`);
+      if (element) {
+        element.removeAttribute('id');
+        element.innerHTML = block;
+      }
+    });
+    
+    files.forEach((path, index) => {
+      const element = template.content.getElementById(`${USER_ID_PREFIX}${nonce}-file-${index}`);
+      if (element) {
+        element.removeAttribute('id');
+        element.setAttribute('data-file-path', path);
+      }
+    });
+    
+    // Images written as HTML come from the repository too
+    for (const image of template.content.querySelectorAll('img[src]')) {
+      const target = resolveLinkTarget(image.getAttribute('src'), this.context.path);
+      if (target) {
+        image.removeAttribute('src');
+        image.setAttribute('data-file-path', decodePath(target.path));
+      }
+    }
+    
+    return template.innerHTML;
+  }
+
+  /**
+   * Show the images and file links of rendered HTML, read from the content repository
+   * with the user's token so that private repositories work too
+   * @param {HTMLElement} element - The element the rendered HTML was inserted into
+   * @returns {Promise<void>} - Resolves when every file has loaded or failed to
+   */
+  async loadFiles(element) {
+    await Promise.all(Array.from(element.querySelectorAll('[data-file-path]'), async (fileElement) => {
+      const path = fileElement.getAttribute('data-file-path');
+      fileElement.removeAttribute('data-file-path');
+      
+      let url = null;
+      try {
+        url = await this.app.content.getFileUrl(path, { image: fileElement.tagName === 'IMG' });
+      } catch (error) {
+        console.warn(`Failed to load ${path}:`, error);
+      }
+      
+      if (!url) {
+        fileElement.classList.add('file-missing');
+        fileElement.title = fileElement.title || `${path} could not be loaded`;
+      } else if (fileElement.tagName === 'IMG') {
+        fileElement.src = url;
+      } else {
+        fileElement.href = url;
+        fileElement.download = path.substring(path.lastIndexOf('/') + 1);
+      }
+    }));
+  }
+
+  /**
+   * Render a wiki link; links to pages that do not exist open the editor to create them
+   * @param {Object} token - The wikiLink token
+   * @param {string} label - The rendered link text
+   * @returns {string} - The link HTML
+   */
+  renderWikiLink(token, label) {
+    const fragment = token.section ? `#${encodeURIComponent(slugifyHeading(token.section))}` : '';
+    
+    if (!token.target) {
+      return `<a href="${fragment}" class="wiki-link">${label}</a>`;
+    }
+    
+    const resolved = resolveWikiLink(token.target, this.context.path, this.pages);
+    if (!resolved) {
+      return label;
+    }
+    
+    const path = resolved.path.replace(/\.md$/, '');
+    
+    if (resolved.exists === false) {
+      const editUrl = this.app.navigation.getPageUrl(path, '/edit.html');
+      return `<a href="${escapeHtml(editUrl)}" class="wiki-link wiki-link-new" title="Create this page">${label}</a>`;
+    }
+    
+    return `<a href="${escapeHtml(toPageHref(path))}${fragment}" class="wiki-link">${label}</a>`;
+  }
+
+  /**
+   * Replace include directives with the pages or sections they name. Paths work like
+   * link targets: from the wiki root, or relative to the page with ./ and ../
+   * @param {string} markdown - The markdown source, without front matter
+   * @param {string} path - Path of the page the markdown belongs to
+   * @param {Array} stack - Pages and sections being included, as 'path#section' (for cycle detection)
+   * @returns {Promise<string>} - The markdown with included content
+   */
+  async resolveIncludes(markdown, path, stack = [`${this.app.content.normalizePath(path || '')}#`]) {
+    const output = [];
+    let fence = null;
+    
+    for (const line of markdown.split('\n')) {
+      const inCode = fence;
+      fence = updateFence(line, fence);
+      
+      const match = !inCode && !fence && line.match(INCLUDE);
+      if (match) {
+        output.push(await this.renderInclude(match[1], (match[2] || '').trim(), path, stack));
+      } else {
+        output.push(line);
+      }
+    }
+    
+    return output.join('\n');
+  }
+
+  /**
+   * Get the markdown for one include directive, marked with where it came from
+   * @param {string} target - The page to include, empty for the page itself
+   * @param {string} section - The heading of the section to include, or '' for the whole page
+   * @param {string} sourcePath - Path of the including page
+   * @param {Array} stack - Pages and sections being included
+   * @returns {Promise<string>} - The included markdown, or a notice explaining why there is none
+   */
+  async renderInclude(target, section, sourcePath, stack) {
+    const includePath = target ? resolvePageLink(target, sourcePath) : this.app.content.normalizePath(sourcePath);
+    const name = `${target || sourcePath}${section ? `#${section}` : ''}`;
+    
+    if (!includePath) {
+      return renderIncludeError(`Cannot include ${name}: only wiki pages can be included`);
+    }
+    
+    const key = `${includePath}#${section ? slugifyHeading(section) : ''}`;
+    if (stack.includes(key)) {
+      return renderIncludeError(`Cannot include ${name}: it includes itself`);
+    }
+    if (stack.length > MAX_INCLUDE_DEPTH) {
+      return renderIncludeError(`Cannot include ${name}: includes are nested more than ${MAX_INCLUDE_DEPTH} levels deep`);
+    }
+    
+    let source;
+    try {
+      source = await this.app.content.getFile(includePath);
+    } catch (error) {
+      console.warn(`Failed to include ${includePath}:`, error);
+      return renderIncludeError(`Cannot include ${name}: the page could not be loaded`);
+    }
+    if (source === null) {
+      return renderIncludeError(`Cannot include ${name}: the page does not exist`);
+    }
+    
+    let { content } = parseFrontMatter(source);
+    if (section) {
+      content = extractSection(content, section);
+      if (content === null) {
+        return renderIncludeError(`Cannot include ${name}: the page has no such section`);
+      }
+    }
+    
+    const included = await this.resolveIncludes(content, includePath, [...stack, key]);
+    
+    // Readers who can edit go straight to the editor of the included page
+    const pagePath = includePath.replace(/\.md$/, '');
+    const sourceUrl = this.app.content.canWrite(includePath)
+      ? this.app.navigation.getPageUrl(pagePath, '/edit.html')
+      : toPageHref(pagePath);
+    const label = `${pagePath}${section ? `#${section}` : ''}`;
+    
+    // HTML blocks end at a blank line, so the included markdown between them is still parsed
+    return [
+      '<div class="include">',
+      `<div class="include-source">Included from <a href="${escapeHtml(sourceUrl)}">${escapeHtml(label)}</a></div>`,
+      '',
+      included,
+      '',
+      '</div>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Get the sanitizer for the wiki's allowlist
+   * @returns {HtmlSanitizer} - The sanitizer
+   */
+  getSanitizer() {
+    const config = this.app.config.sanitizer || {};
+    
+    if (!this.sanitizer || this.sanitizerConfig !== config) {
+      this.sanitizer = new HtmlSanitizer(config);
+      this.sanitizerConfig = config;
+    }
+    
+    return this.sanitizer;
+  }
+
+  /**
+   * Render markdown to HTML that is safe to assign to innerHTML; its images and file links
+   * appear once the HTML is passed to loadFiles()
+   * @param {string} markdown - The markdown source
+   * @param {Object} options - { path } of the page, which relative links and images start from
+   * @returns {string} - The sanitized HTML
+   */
+  render(markdown, options = {}) {
+    // Placeholder ids cannot be guessed, so markdown cannot place trusted output itself
+    this.context = { path: options.path || '', blocks: [], files: [], nonce: `code-block-${Math.random().toString(36).slice(2)}` };
+    return this.insertTrustedContent(this.sanitize(this.getParser().parse(markdown)));
+  }
+
+  /**
+   * Sanitize HTML from another source with the wiki's allowlist
+   * @param {string} html - The HTML
+   * @returns {string} - The sanitized HTML
+   */
+  sanitize(html) {
+    return this.getSanitizer().sanitize(html);
+  }
+}
+
+/**
+ * Get the markdown of a section: the lines below its heading, up to the next heading
+ * of the same or a higher level
+ * @param {string} markdown - The markdown source
+ * @param {string} section - The heading text or its slug
+ * @returns {string|null} - The section content or null if there is no such heading
+ */
+function extractSection(markdown, section) {
+  const slug = slugifyHeading(section);
+  const lines = markdown.split('\n');
+  let fence = null;
+  let start = -1;
+  let level = 0;
+  
+  for (let index = 0; index < lines.length; index++) {
+    const inCode = fence;
+    fence = updateFence(lines[index], fence);
+    
+    const heading = !inCode && !fence && lines[index].match(HEADING);
+    if (!heading) continue;
+    
+    if (start === -1) {
+      if (slugifyHeading(heading[2] || '') === slug) {
+        start = index + 1;
+        level = heading[1].length;
+      }
+    } else if (heading[1].length <= level) {
+      return lines.slice(start, index).join('\n');
+    }
+  }
+  
+  return start === -1 ? null : lines.slice(start).join('\n');
+}
+
+/**
+ * Match a :::name container at the start of the source, up to its closing line. Containers
+ * may be nested, and colons within fenced code blocks do not count.
+ * @param {string} src - The markdown source
+ * @returns {Object|null} - { raw, name, collapse, title, body } or null if there is no closed container
+ */
+function matchContainer(src) {
+  const opening = src.match(CONTAINER_START);
+  if (!opening) {
+    return null;
+  }
+  
+  const lines = src.substring(opening[0].length).split('\n');
+  const colons = opening[1].length;
+  let fence = null;
+  let depth = 0;
+  
+  for (let index = 0; index < lines.length; index++) {
+    const inCode = fence;
+    fence = updateFence(lines[index], fence);
+    if (inCode || fence) continue;
+    
+    const nested = lines[index].match(CONTAINER_START);
+    const closing = lines[index].match(CONTAINER_END);
+    if (nested && nested[1].length === colons) {
+      depth++;
+    } else if (closing && closing[1].length === colons && depth-- === 0) {
+      const rest = lines.slice(index + 1).join('\n');
+      return {
+        raw: src.substring(0, src.length - rest.length),
+        name: opening[2],
+        collapse: opening[3],
+        title: opening[4],
+        body: lines.slice(0, index).join('\n')
+      };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the callout type for a name such as NOTE or danger
+ * @param {string} name - The name used in the markdown
+ * @returns {string|null} - The callout type or null if the name is not one
+ */
+function getCalloutType(name) {
+  const type = name.toLowerCase();
+  if (CALLOUT_TYPES[type]) {
+    return type;
+  }
+  
+  return CALLOUT_ALIASES[type] || null;
+}
+
+/**
+ * Track fenced code blocks line by line
+ * @param {string} line - The line
+ * @param {string|null} fence - The fence of the open code block, or null outside code blocks
+ * @returns {string|null} - The fence after the line
+ */
+function updateFence(line, fence) {
+  const match = line.match(FENCE);
+  if (!match) {
+    return fence;
+  }
+  if (!fence) {
+    return match[1];
+  }
+  
+  return match[1][0] === fence[0] && match[1].length >= fence.length ? null : fence;
+}
+
+/**
+ * Build the notice shown in place of an include that failed
+ * @param {string} message - What went wrong
+ * @returns {string} - The notice as an HTML block
+ */
+function renderIncludeError(message) {
+  return `<div class="include-error">${escapeHtml(message)}</div>\n`;
+}
+
+/**
+ * Build the notice shown in place of a code block that could not be rendered, with the
+ * source and the offending line marked
+ * @param {string} language - The code block language
+ * @param {string} source - The code block source
+ * @param {Error} error - The error, with the 1-based line number if known
+ * @returns {string} - The notice HTML
+ */
+function renderCodeBlockError(language, source, error) {
+  const line = Number.isInteger(error.line) ? error.line : null;
+  const code = source.split('\n')
+    .map((text, index) => index + 1 === line ? `<mark>${escapeHtml(text)}</mark>` : escapeHtml(text))
+    .join('\n');
+  const message = `${line ? `Line ${line}: ` : ''}${error.message}`;
+  
+  return [
+    '<div class="code-render-error">',
+    `<p class="code-render-error-message">Cannot render ${escapeHtml(language)} block: ${escapeHtml(message)}</p>`,
+    `<pre><code>${code}</code></pre>`,
+    '</div>\n'
+  ].join('');
+}
+
+/**
+ * Build the URL of a page as wiki links use it
+ * @param {string} path - The page path without .md
+ * @returns {string} - The URL
+ */
+function toPageHref(path) {
+  return `/${encodeURI(path).replace(/[?#]/g, encodeURIComponent)}`;
+}
+
+/**
+ * Decode the percent-encoded characters of a link path, keeping encoded slashes
+ * @param {string} path - The path as written in the link
+ * @returns {string} - The wiki path
+ */
+function decodePath(path) {
+  try {
+    return decodeURI(path);
+  } catch (error) {
+    return path;
+  }
+}
+
+/**
+ * Escape text for HTML content and double-quoted attributes
+ * @param {string} value - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
\ No newline at end of file
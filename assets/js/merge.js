@@ -0,0 +1,240 @@
+/**
+ * Three-way Merge
+ * 
+ * Line-based diff3 merge used to reconcile concurrent edits of a page
+ */
+
+import { parseFrontMatter, stringifyFrontMatter, mergeFrontMatter } from './frontmatter.js';
+
+/**
+ * Merge two edited versions of a page file: the front matter field by field and the
+ * markdown body line by line, so that fields such as `updated` never conflict
+ * @param {string} base - The version both edits started from
+ * @param {string} theirs - The version saved by someone else
+ * @param {string} mine - The local version
+ * @returns {Object} - The mergeText result for the body, plus the merged front matter
+ *   fields (metadata) and the front matter document to write them into; pass it to joinPage
+ */
+export function mergePage(base, theirs, mine) {
+  const basePage = parseFrontMatter(base || '');
+  const theirPage = parseFrontMatter(theirs || '');
+  const myPage = parseFrontMatter(mine || '');
+  
+  return {
+    ...mergeText(basePage.content, theirPage.content, myPage.content),
+    metadata: mergeFrontMatter(basePage.metadata, theirPage.metadata, myPage.metadata),
+    document: theirPage.document || myPage.document
+  };
+}
+
+/**
+ * Join a page merge back into a page file
+ * @param {Object} merge - The result of mergePage
+ * @param {Array} resolutions - For each conflict chunk (in order) an array of lines to use
+ * @returns {string} - The merged page file
+ */
+export function joinPage(merge, resolutions = []) {
+  return stringifyFrontMatter(merge.metadata, joinChunks(merge.chunks, resolutions, merge.eol), merge.document);
+}
+
+/**
+ * Merge two edited versions of a text against their common base
+ * @param {string} base - The version both edits started from
+ * @param {string} theirs - The version saved by someone else
+ * @param {string} mine - The local version
+ * @returns {Object} - { chunks, conflicts, eol } where each chunk is { type: 'ok', lines }
+ *   or { type: 'conflict', base, theirs, mine } (arrays of lines) and eol is the line
+ *   ending of the page, '\r\n' or '\n'
+ */
+export function mergeText(base, theirs, mine) {
+  const baseLines = splitLines(base);
+  const theirLines = splitLines(theirs);
+  const myLines = splitLines(mine);
+  
+  // Collect the changed regions of both sides, ordered by their position in base
+  const hunks = [
+    ...diffHunks(baseLines, theirLines).map(hunk => ({ ...hunk, side: 'theirs' })),
+    ...diffHunks(baseLines, myLines).map(hunk => ({ ...hunk, side: 'mine' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+  
+  const sides = { theirs: theirLines, mine: myLines };
+  const chunks = [];
+  let conflicts = 0;
+  let basePosition = 0;
+  
+  const pushLines = (lines) => {
+    if (lines.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === 'ok') {
+      last.lines.push(...lines);
+    } else {
+      chunks.push({ type: 'ok', lines: [...lines] });
+    }
+  };
+  
+  let index = 0;
+  while (index < hunks.length) {
+    // Group hunks whose base ranges overlap or touch
+    const group = [hunks[index]];
+    let regionStart = hunks[index].baseStart;
+    let regionEnd = hunks[index].baseEnd;
+    index++;
+    
+    while (index < hunks.length && hunks[index].baseStart <= regionEnd) {
+      regionEnd = Math.max(regionEnd, hunks[index].baseEnd);
+      group.push(hunks[index]);
+      index++;
+    }
+    
+    // Unchanged lines before this region
+    pushLines(baseLines.slice(basePosition, regionStart));
+    basePosition = regionEnd;
+    
+    // Content of each side covering the whole region
+    const regionOf = (side) => {
+      const sideHunks = group.filter(hunk => hunk.side === side);
+      if (sideHunks.length === 0) {
+        return null;
+      }
+      const first = sideHunks[0];
+      const last = sideHunks[sideHunks.length - 1];
+      const start = first.sideStart - (first.baseStart - regionStart);
+      const end = last.sideEnd + (regionEnd - last.baseEnd);
+      return sides[side].slice(start, end);
+    };
+    
+    const theirRegion = regionOf('theirs');
+    const myRegion = regionOf('mine');
+    
+    if (!theirRegion) {
+      pushLines(myRegion);
+    } else if (!myRegion || sameLines(theirRegion, myRegion)) {
+      pushLines(theirRegion);
+    } else {
+      chunks.push({
+        type: 'conflict',
+        base: baseLines.slice(regionStart, regionEnd),
+        theirs: theirRegion,
+        mine: myRegion
+      });
+      conflicts++;
+    }
+  }
+  
+  pushLines(baseLines.slice(basePosition));
+  
+  // Keep the line endings of the stored page, or of the local version for new pages
+  const eolSource = [base, mine, theirs].find(text => text && text.includes('\n')) || '';
+  const eol = eolSource.includes('\r\n') ? '\r\n' : '\n';
+  
+  return { chunks, conflicts, eol };
+}
+
+/**
+ * Join merge chunks back into text
+ * @param {Array} chunks - The chunks returned by mergeText
+ * @param {Array} resolutions - For each conflict chunk (in order) an array of lines to use
+ * @param {string} eol - The line ending to join lines with, the eol returned by mergeText
+ * @returns {string} - The merged text
+ */
+export function joinChunks(chunks, resolutions = [], eol = '\n') {
+  let conflictIndex = 0;
+  const lines = [];
+  
+  chunks.forEach(chunk => {
+    if (chunk.type === 'ok') {
+      lines.push(...chunk.lines);
+    } else {
+      lines.push(...(resolutions[conflictIndex] || chunk.mine));
+      conflictIndex++;
+    }
+  });
+  
+  return lines.join(eol);
+}
+
+/**
+ * Split text into lines, accepting both LF and CRLF line endings
+ * @param {string} text - The text
+ * @returns {Array<string>} - The lines
+ */
+function splitLines(text) {
+  return (text || '').split(/\r?\n/);
+}
+
+/**
+ * Compare two arrays of lines
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Compute the regions where two line arrays differ, based on their longest common subsequence
+ * @param {Array<string>} base - The original lines
+ * @param {Array<string>} side - The changed lines
+ * @returns {Array} - Array of { baseStart, baseEnd, sideStart, sideEnd } (end exclusive)
+ */
+function diffHunks(base, side) {
+  // Skip the common prefix and suffix to keep the LCS table small
+  let prefix = 0;
+  while (prefix < base.length && prefix < side.length && base[prefix] === side[prefix]) {
+    prefix++;
+  }
+  
+  let suffix = 0;
+  while (
+    suffix < base.length - prefix &&
+    suffix < side.length - prefix &&
+    base[base.length - 1 - suffix] === side[side.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  
+  const a = base.slice(prefix, base.length - suffix);
+  const b = side.slice(prefix, side.length - suffix);
+  
+  // LCS lengths of every pair of suffixes
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  
+  // Walk the table, emitting a hunk for every run of unmatched lines
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  let hunk = null;
+  
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      if (hunk) {
+        hunks.push(hunk);
+        hunk = null;
+      }
+      i++;
+      j++;
+      continue;
+    }
+    
+    if (!hunk) {
+      hunk = { baseStart: prefix + i, baseEnd: prefix + i, sideStart: prefix + j, sideEnd: prefix + j };
+    }
+    
+    if (j < b.length && (i === a.length || table[i][j + 1] >= table[i + 1][j])) {
+      j++;
+      hunk.sideEnd = prefix + j;
+    } else {
+      i++;
+      hunk.baseEnd = prefix + i;
+    }
+  }
+  
+  if (hunk) {
+    hunks.push(hunk);
+  }
+  
+  return hunks;
+}
\ No newline at end of file
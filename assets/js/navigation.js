@@ -4,11 +4,17 @@
  * Handles wiki navigation, sidebar generation, and URL routing
  */
 
+import { slugifyHeading } from './links.js';
+import { USER_ID_PREFIX } from './sanitize.js';
+
 export class NavigationService {
   constructor(app) {
     this.app = app;
     this.currentPath = '';
     this.sidebarData = null;
+    
+    // Tag whose pages are listed instead of a page, from ?tag= in the URL
+    this.currentTag = '';
   }
 
   /**
@@ -31,12 +37,13 @@ export class NavigationService {
   parseUrl() {
     const url = new URL(window.location.href);
     const pathParam = url.searchParams.get('path');
+    this.currentTag = url.searchParams.get('tag') || '';
     
     if (pathParam) {
       this.currentPath = pathParam;
     } else {
-      // If no path provided, use home.md
-      this.currentPath = 'home';
+      // If no path provided, use home.md unless a tag page is shown
+      this.currentPath = this.currentTag ? '' : 'home';
     }
   }
 
@@ -48,25 +55,105 @@ export class NavigationService {
     return this.currentPath;
   }
 
+  /**
+   * Get the tag whose pages are listed
+   * @returns {string} - The tag, or '' when a page is shown
+   */
+  getCurrentTag() {
+    return this.currentTag;
+  }
+
+  /**
+   * Build the URL of a wiki page, keeping the selected version
+   * @param {string} path - The wiki path; empty for the home page
+   * @param {string} page - The HTML page to open, e.g. '/edit.html'
+   * @returns {string} - The URL
+   */
+  getPageUrl(path, page = '/') {
+    const params = new URLSearchParams();
+    if (path) {
+      params.set('path', path);
+    }
+    
+    const ref = this.app.content.getRef();
+    if (ref) {
+      params.set('ref', ref);
+    }
+    
+    const query = params.toString();
+    return query ? `${page}?${query}` : page;
+  }
+
+  /**
+   * Build the URL of the page listing the pages with a tag, keeping the selected version
+   * @param {string} tag - The tag
+   * @returns {string} - The URL
+   */
+  getTagUrl(tag) {
+    const params = new URLSearchParams({ tag });
+    
+    const ref = this.app.content.getRef();
+    if (ref) {
+      params.set('ref', ref);
+    }
+    
+    return `/?${params.toString()}`;
+  }
+
+  /**
+   * Show the pages with a tag
+   * @param {string} tag - The tag
+   */
+  showTag(tag) {
+    this.currentPath = '';
+    this.currentTag = tag;
+    
+    const url = new URL(this.getTagUrl(tag), window.location.href);
+    if (url.toString() !== window.location.href) {
+      window.history.pushState({}, '', url.toString());
+    }
+    
+    this.updateActiveSidebarItem();
+    this.app.showTagPage(tag);
+  }
+
   /**
    * Set the active path and update URL
    * @param {string} path - The path to navigate to
    * @param {boolean} updateUrl - Whether to update the URL
+   * @param {boolean} replace - Replace the current history entry instead of adding one
+   * @param {string} section - The heading to show, as the URL's #fragment
    */
-  setActivePath(path, updateUrl = true) {
+  setActivePath(path, updateUrl = true, replace = false, section = '') {
     this.currentPath = path;
+    this.currentTag = '';
     
     // Update URL if requested
     if (updateUrl) {
       const url = new URL(window.location.href);
+      const samePage = !url.searchParams.has('tag') && (url.searchParams.get('path') || 'home') === path;
+      url.searchParams.delete('tag');
       if (path === 'home') {
         url.searchParams.delete('path');
       } else {
         url.searchParams.set('path', path);
       }
       
-      // Update URL without reloading the page
-      window.history.pushState({}, '', url.toString());
+      // The section of another page means nothing here
+      if (section) {
+        url.hash = section;
+      } else if (!samePage) {
+        url.hash = '';
+      }
+      
+      // Update URL without reloading the page, unless it is already there (e.g. after going back)
+      if (url.toString() !== window.location.href) {
+        if (replace) {
+          window.history.replaceState({}, '', url.toString());
+        } else {
+          window.history.pushState({}, '', url.toString());
+        }
+      }
     }
     
     // Update active class in sidebar
@@ -99,6 +186,7 @@ export class NavigationService {
       
       if (sidebarContent) {
         // If sidebar.md exists, use it to generate the sidebar
+        await this.app.markdown.loadPages();
         this.renderSidebarFromMarkdown(sidebarContent);
       } else {
         // If sidebar.md doesn't exist, generate sidebar from directory structure
@@ -119,11 +207,12 @@ export class NavigationService {
     const sidebarElement = document.getElementById('sidebar-content');
     if (!sidebarElement) return;
     
-    // Parse markdown to HTML
-    const html = marked.parse(markdownContent);
+    // Parse markdown to sanitized HTML
+    const html = this.app.markdown.render(markdownContent, { path: 'sidebar.md' });
     
     // Set sidebar content
     sidebarElement.innerHTML = html;
+    this.app.markdown.loadFiles(sidebarElement);
     
     // Process links to add data-path attributes and click handlers
     const links = sidebarElement.querySelectorAll('a');
@@ -156,8 +245,8 @@ export class NavigationService {
    */
   async generateSidebarFromStructure() {
     try {
-      // Get root directory contents
-      const rootContents = await this.app.content.getDirectoryContents('');
+      // Get root directory contents from the repository tree
+      const rootContents = await this.app.tree.listDirectory('');
       
       // Build sidebar HTML
       let sidebarHtml = '<h3>Navigation</h3><ul class="sidebar-nav">';
@@ -181,12 +270,13 @@ export class NavigationService {
         
         if (item.type === 'dir') {
           // Add directory
+          const mount = this.app.content.getMountAt(item.path);
           sidebarHtml += `<li class="sidebar-folder">
-            <span class="folder-name">${item.name}</span>
+            <span class="folder-name">${this.app.ui.escapeHtml(mount ? mount.title : item.name)}</span>
             <ul class="sidebar-subnav">`;
           
           // Get directory contents
-          const dirContents = await this.app.content.getDirectoryContents(item.path);
+          const dirContents = await this.app.tree.listDirectory(item.path);
           
           // Sort directory contents
           const sortedDirContents = dirContents.sort((a, b) => a.name.localeCompare(b.name));
@@ -198,7 +288,7 @@ export class NavigationService {
               const path = subItem.path.replace('.md', '');
               
               sidebarHtml += `<li>
-                <a href="javascript:void(0)" data-path="${path}">${name}</a>
+                <a href="javascript:void(0)" data-path="${this.app.ui.escapeHtml(path)}">${this.app.ui.escapeHtml(name)}</a>
               </li>`;
             }
           }
@@ -210,7 +300,7 @@ export class NavigationService {
           const path = item.path.replace('.md', '');
           
           sidebarHtml += `<li>
-            <a href="javascript:void(0)" data-path="${path}">${name}</a>
+            <a href="javascript:void(0)" data-path="${this.app.ui.escapeHtml(path)}">${this.app.ui.escapeHtml(name)}</a>
           </li>`;
         }
       }
@@ -257,14 +347,20 @@ export class NavigationService {
   setupEventListeners() {
     // Handle clicks on any wiki links within the content
     document.addEventListener('click', (e) => {
-      // Check if the click is on a wiki link
-      if (e.target.tagName === 'A') {
-        const href = e.target.getAttribute('href');
+      // Links with their own click handlers have dealt with the click
+      const link = e.target.closest('a');
+      if (link && !e.defaultPrevented) {
+        const href = link.getAttribute('href');
         
-        // Handle internal wiki links but not external links
-        if (href && !href.startsWith('http') && !href.startsWith('#')) {
+        // Handle internal wiki links but not URLs with a scheme (including the object URLs
+        // of files) or other pages such as the editor
+        if (href && !/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(href) && !href.startsWith('#') && !/\.html(?:[?#]|$)/.test(href)) {
           e.preventDefault();
           this.navigateTo(href);
+        } else if (href && href.startsWith('#') && !document.getElementById(decodeLinkPart(href.substring(1)))) {
+          // Section links written before the heading had an id
+          e.preventDefault();
+          this.scrollToSection(href.substring(1));
         }
       }
     });
@@ -275,16 +371,36 @@ export class NavigationService {
    * @param {string} path - The path to navigate to
    */
   navigateTo(path) {
+    // A #section goes into the URL; the page scrolls to it once loaded
+    const [pagePath, section] = path.split('#');
+    
     // Normalize path
-    path = path.replace(/^\/+|\/+$/g, '');
+    path = decodeLinkPart(pagePath).replace(/^\/+|\/+$/g, '');
     
     // Update current path
-    this.setActivePath(path);
+    this.setActivePath(path, true, false, section);
     
     // Load the page content
     this.app.loadPage(path);
   }
 
+  /**
+   * Scroll to a heading of the current page
+   * @param {string} section - The heading id or slug, as in a #fragment; ids written in
+   *   the page are found without their user-content- prefix too
+   */
+  scrollToSection(section) {
+    const id = decodeLinkPart(section);
+    const headings = document.querySelectorAll('#article-content h1, #article-content h2, #article-content h3, #article-content h4, #article-content h5, #article-content h6');
+    const target = document.getElementById(id) ||
+      document.getElementById(USER_ID_PREFIX + id) ||
+      Array.from(headings).find(heading => slugifyHeading(heading.textContent) === id);
+    
+    if (target) {
+      target.scrollIntoView();
+    }
+  }
+
   /**
    * Update breadcrumbs for the current path
    * @param {string} path - The current path
@@ -306,8 +422,9 @@ export class NavigationService {
       // Build cumulative path
       currentPath += (currentPath ? '/' : '') + segment;
       
-      // Remove .md extension if present
-      const displayName = segment.replace('.md', '');
+      // Remove .md extension if present; mounted repositories show their title
+      const mount = this.app.content.getMountAt(currentPath);
+      const displayName = this.app.ui.escapeHtml(mount ? mount.title : segment.replace('.md', ''));
       
       // Add separator
       html += '<span> / </span>';
@@ -316,7 +433,7 @@ export class NavigationService {
       if (i === segments.length - 1) {
         html += `<span>${displayName}</span>`;
       } else {
-        html += `<a href="javascript:void(0)" data-path="${currentPath}">${displayName}</a>`;
+        html += `<a href="javascript:void(0)" data-path="${this.app.ui.escapeHtml(mount ? `${currentPath}/home` : currentPath)}">${displayName}</a>`;
       }
     }
     
@@ -333,4 +450,17 @@ export class NavigationService {
       });
     });
   }
+}
+
+/**
+ * Decode a percent-encoded link path or fragment, leaving malformed ones as they are
+ * @param {string} value - The encoded value
+ * @returns {string} - The decoded value
+ */
+function decodeLinkPart(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
 }
\ No newline at end of file
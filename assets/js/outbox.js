@@ -0,0 +1,197 @@
+/**
+ * Outbox Service
+ * 
+ * Queues page saves made while offline and replays them, with conflict
+ * checks, once the connection is back
+ */
+
+import { mergePage, joinPage } from './merge.js';
+
+export class OutboxService {
+  constructor(app) {
+    this.app = app;
+    this.storageKey = 'wiki_outbox';
+    this.entries = new Map();
+    this.listeners = [];
+    this.isReplaying = false;
+    
+    this.load();
+  }
+
+  /**
+   * Queue a page save
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {Object} options - { message, sha, baseContent } where sha and baseContent
+   *   describe the version the edit is based on (sha null for a new page)
+   */
+  enqueue(path, content, options = {}) {
+    path = this.app.content.normalizePath(path);
+    const previous = this.entries.get(path);
+    
+    this.entries.set(path, {
+      path,
+      content,
+      message: options.message || `Update ${path}`,
+      // Repeated offline edits of a page stay based on the version the first one started from
+      sha: previous ? previous.sha : options.sha,
+      baseContent: previous ? previous.baseContent : (options.baseContent || ''),
+      queuedAt: Date.now(),
+      conflict: false,
+      error: null
+    });
+    this.persist();
+  }
+
+  /**
+   * Get the queued save for a path
+   * @param {string} path - The path to the file
+   * @returns {Object|null} - The queued entry or null
+   */
+  get(path) {
+    return this.entries.get(this.app.content.normalizePath(path)) || null;
+  }
+
+  /**
+   * Get all queued saves
+   * @returns {Array} - Array of { path, content, message, sha, baseContent, queuedAt, conflict, error }
+   */
+  getEntries() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Remove a queued save
+   * @param {string} path - The path to the file
+   */
+  remove(path) {
+    path = this.app.content.normalizePath(path);
+    if (this.entries.delete(path)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Drop all queued saves
+   */
+  discard() {
+    this.entries.clear();
+    this.persist();
+  }
+
+  /**
+   * Save the queued pages. Saves whose page changed in the meantime are merged
+   * automatically when possible, otherwise kept and flagged as conflicts to be
+   * resolved in the editor.
+   * @returns {Promise<Object>} - { saved, conflicts } counts
+   */
+  async replay() {
+    if (this.isReplaying || !navigator.onLine) {
+      return { saved: 0, conflicts: 0 };
+    }
+    
+    this.isReplaying = true;
+    let saved = 0;
+    let conflicts = 0;
+    
+    try {
+      for (const entry of this.getEntries()) {
+        if (entry.conflict) {
+          conflicts++;
+          continue;
+        }
+        
+        try {
+          await this.send(entry);
+          this.entries.delete(entry.path);
+          saved++;
+        } catch (error) {
+          if (error.name === 'ConflictError') {
+            entry.conflict = true;
+            conflicts++;
+          } else if (error instanceof TypeError || error.name === 'OfflineError' || !navigator.onLine) {
+            // Still offline (the service worker answers for the network); try again on the next replay
+            break;
+          } else {
+            console.error(`Failed to replay save of ${entry.path}:`, error);
+            entry.error = error.message;
+          }
+        }
+      }
+    } finally {
+      this.isReplaying = false;
+      this.persist();
+    }
+    
+    return { saved, conflicts };
+  }
+
+  /**
+   * Save one queued page, merging with changes made by others since it was queued
+   * @param {Object} entry - The queued entry
+   * @throws {ConflictError} - If the changes overlap and need manual resolution
+   */
+  async send(entry) {
+    const content = this.app.content;
+    
+    if (await content.shouldProposeChanges(entry.path)) {
+      const result = await content.proposeChanges(
+        [{ type: 'write', path: entry.path, content: entry.content }],
+        { title: entry.message }
+      );
+      this.app.ui.showToast(`Opened pull request #${result.number} for ${entry.path}`, 'success');
+      return;
+    }
+    
+    try {
+      await content.saveFile(entry.path, entry.content, entry.message, { sha: entry.sha });
+    } catch (error) {
+      if (error.name !== 'ConflictError') {
+        throw error;
+      }
+      
+      const theirs = await content.getFileInfo(entry.path, { fresh: true });
+      const merge = mergePage(entry.baseContent, theirs ? theirs.content : '', entry.content);
+      if (merge.conflicts > 0) {
+        throw error;
+      }
+      
+      await content.saveFile(entry.path, joinPage(merge), entry.message, { sha: theirs ? theirs.sha : null });
+    }
+  }
+
+  /**
+   * Register a callback invoked whenever the outbox changes
+   * @param {Function} callback - Called with the array of queued entries
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Save the outbox to localStorage and notify listeners
+   */
+  persist() {
+    if (this.entries.size > 0) {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.getEntries()));
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+    
+    const entries = this.getEntries();
+    this.listeners.forEach(callback => callback(entries));
+  }
+
+  /**
+   * Restore the outbox from localStorage
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      saved.forEach(entry => this.entries.set(entry.path, entry));
+    } catch (error) {
+      console.error('Failed to load outbox:', error);
+      localStorage.removeItem(this.storageKey);
+    }
+  }
+}
\ No newline at end of file
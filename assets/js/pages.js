@@ -0,0 +1,147 @@
+/**
+ * Page Service
+ * 
+ * Page-level operations that touch several files at once, such as moving a
+ * page and rewriting the links that point to it
+ */
+
+import { rewritePageLinks } from './links.js';
+import { stringifyFrontMatter } from './frontmatter.js';
+
+export class PageService {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * Work out the changes for moving a page, without committing anything
+   * @param {string} fromPath - The current page path
+   * @param {string} toPath - The new page path
+   * @param {Object} options - { redirect: true } to leave a redirect stub at the old path
+   * @returns {Promise<Object>} - { from, to, changes, updatedPages } where updatedPages
+   *   lists { path, count } for every other page whose links change
+   */
+  async planMove(fromPath, toPath, options = {}) {
+    const content = this.app.content;
+    const from = content.normalizePath(fromPath);
+    const to = content.normalizePath(toPath);
+    
+    if (!to.endsWith('.md')) {
+      throw new Error('Please enter a page path such as guides/new-page');
+    }
+    if (from === to) {
+      throw new Error('The new path is the same as the current one');
+    }
+    
+    const page = await content.getFileInfo(from, { fresh: true });
+    if (!page) {
+      throw new Error(`${from} does not exist`);
+    }
+    if (await content.getFileInfo(to, { fresh: true })) {
+      throw new Error(`A page already exists at ${to}`);
+    }
+    
+    // The moved page keeps working links to itself and to its neighbours
+    const pagePaths = await this.app.tree.getMarkdownFiles();
+    const moved = rewritePageLinks(page.content, { from, to, pagePaths, sourcePath: from, newSourcePath: to });
+    const changes = [{ type: 'write', path: to, content: moved.content, sha: null }];
+    
+    if (options.redirect) {
+      changes.push({ type: 'write', path: from, content: this.buildRedirectStub(to), sha: page.sha });
+    } else {
+      changes.push({ type: 'delete', path: from, sha: page.sha });
+    }
+    
+    // Rewrite the links in every other page, sidebar.md included
+    const updatedPages = [];
+    for (const path of pagePaths) {
+      if (path === from) continue;
+      
+      const file = await content.getFileInfo(path, { fresh: true });
+      if (!file) continue;
+      
+      const result = rewritePageLinks(file.content, { from, to, pagePaths, sourcePath: path });
+      if (result.count > 0) {
+        changes.push({ type: 'write', path, content: result.content, sha: file.sha });
+        updatedPages.push({ path, count: result.count });
+      }
+    }
+    
+    return { from, to, changes, updatedPages };
+  }
+
+  /**
+   * Move a page as planned by planMove, in a single commit
+   * @param {Object} plan - The result of planMove
+   * @returns {Promise<Object>} - { commit } or { pullRequest } if the move needs review
+   */
+  async movePage(plan) {
+    return this.app.content.submitChanges(plan.changes, `Move ${plan.from} to ${plan.to}`);
+  }
+
+  /**
+   * Find the pages that link to a page
+   * @param {string} pagePath - The page path
+   * @returns {Promise<Array>} - Array of { path, count } of linking pages, sidebar.md included
+   */
+  async findBacklinks(pagePath) {
+    const backlinks = await this.app.backlinks.getBacklinks(pagePath);
+    return backlinks.map(({ path, count }) => ({ path, count }));
+  }
+
+  /**
+   * Delete a page, optionally leaving a tombstone in its place
+   * @param {string} pagePath - The page path
+   * @param {Object} options - { tombstone: true } to replace the page with a notice instead,
+   *   { redirect } page path the tombstone forwards readers to
+   * @returns {Promise<Object>} - { commit } or { pullRequest } if the deletion needs review
+   */
+  async deletePage(pagePath, options = {}) {
+    const content = this.app.content;
+    const path = content.normalizePath(pagePath);
+    
+    const page = await content.getFileInfo(path, { fresh: true });
+    if (!page) {
+      throw new Error(`${path} does not exist`);
+    }
+    
+    let result;
+    if (options.tombstone) {
+      const tombstone = options.redirect
+        ? this.buildRedirectStub(content.normalizePath(options.redirect))
+        : this.buildTombstone(path);
+      const change = { type: 'write', path, content: tombstone, sha: page.sha };
+      result = await content.submitChanges([change], `Replace ${path} with a tombstone`);
+    } else if (await content.shouldProposeChanges(path)) {
+      result = await content.submitChanges([{ type: 'delete', path, sha: page.sha }], `Delete ${path}`);
+    } else {
+      result = await content.deleteFile(path, `Delete ${path}`, { sha: page.sha });
+    }
+    
+    // The old content must not turn up in searches any more
+    if (!result.pullRequest && this.app.search) {
+      this.app.search.removeFile(path);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Build the content of a page that redirects to another page
+   * @param {string} to - The page path to redirect to
+   * @returns {string} - The page content
+   */
+  buildRedirectStub(to) {
+    const target = to.replace(/\.md$/, '');
+    return stringifyFrontMatter({ redirect: target }, `This page has moved to [${target}](/${target}).\n`);
+  }
+
+  /**
+   * Build the content of a tombstone left behind by a deleted page
+   * @param {string} path - The deleted page path
+   * @returns {string} - The page content
+   */
+  buildTombstone(path) {
+    return stringifyFrontMatter({ tombstone: true }, `# Page Deleted\n\nThe page ${path.replace(/\.md$/, '')} has been deleted.\n`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Request Service
+ * 
+ * Shared layer for GitHub API requests: tracks the rate-limit headers, limits
+ * the number of concurrent requests and retries secondary rate limits with backoff
+ */
+
+/**
+ * Raised when the primary rate limit is exhausted
+ */
+export class RateLimitError extends Error {
+  constructor(resetAt) {
+    super(`GitHub API rate limit exceeded${resetAt ? `, resets at ${resetAt.toLocaleTimeString()}` : ''}`);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+export class RequestService {
+  /**
+   * @param {Object} options - { maxConcurrent, maxRetries }
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.maxRetries = options.maxRetries ?? 2;
+    
+    // Concurrency control
+    this.activeRequests = 0;
+    this.waiting = [];
+    
+    // Requests are held back until this time after a secondary rate limit
+    this.pausedUntil = 0;
+    
+    // Last known rate limit state
+    this.rateLimit = {
+      limit: null,
+      remaining: null,
+      used: null,
+      resetAt: null,
+      throttledUntil: null
+    };
+    
+    this.listeners = [];
+  }
+
+  /**
+   * Fetch a GitHub API URL through the queue
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - The response
+   * @throws {RateLimitError} - If the primary rate limit is exhausted
+   */
+  async fetch(url, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      this.checkPrimaryLimit();
+      
+      await this.acquire();
+      let response;
+      try {
+        response = await fetch(url, options);
+      } finally {
+        this.release();
+      }
+      
+      this.updateRateLimit(response.headers);
+      
+      if (response.status !== 403 && response.status !== 429) {
+        return response;
+      }
+      
+      // Primary limit: nothing to gain from retrying before the reset
+      if (this.rateLimit.remaining === 0) {
+        this.notify();
+        throw new RateLimitError(this.rateLimit.resetAt);
+      }
+      
+      // Secondary limit: back off and retry
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      const isSecondaryLimit = !isNaN(retryAfter) || response.status === 429 ||
+        /secondary rate limit/i.test(await response.clone().text().catch(() => ''));
+      
+      if (!isSecondaryLimit || attempt >= this.maxRetries) {
+        return response;
+      }
+      
+      const delay = !isNaN(retryAfter) ? retryAfter * 1000 : 60000 * Math.pow(2, attempt);
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+      this.rateLimit.throttledUntil = new Date(this.pausedUntil);
+      this.notify();
+      
+      console.warn(`GitHub secondary rate limit hit, retrying in ${Math.round(delay / 1000)}s`);
+    }
+  }
+
+  /**
+   * Throw if the last response reported an exhausted primary limit that has not reset yet
+   */
+  checkPrimaryLimit() {
+    const { remaining, resetAt } = this.rateLimit;
+    if (remaining === 0 && resetAt && resetAt.getTime() > Date.now()) {
+      throw new RateLimitError(resetAt);
+    }
+  }
+
+  /**
+   * Wait for a free request slot (and for any backoff pause to end)
+   */
+  async acquire() {
+    while (this.activeRequests >= this.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.activeRequests++;
+    
+    const pause = this.pausedUntil - Date.now();
+    if (pause > 0) {
+      await new Promise(resolve => setTimeout(resolve, pause));
+    }
+    
+    if (this.rateLimit.throttledUntil && this.pausedUntil <= Date.now()) {
+      this.rateLimit.throttledUntil = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Free a request slot
+   */
+  release() {
+    this.activeRequests--;
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  /**
+   * Record the rate limit reported by a response
+   * @param {Headers} headers - The response headers
+   */
+  updateRateLimit(headers) {
+    const remaining = headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return;
+    
+    // Search and other APIs have their own, smaller limits; track the core one
+    const resource = headers.get('X-RateLimit-Resource');
+    if (resource && resource !== 'core') return;
+    
+    this.rateLimit.limit = parseInt(headers.get('X-RateLimit-Limit'), 10);
+    this.rateLimit.remaining = parseInt(remaining, 10);
+    this.rateLimit.used = parseInt(headers.get('X-RateLimit-Used'), 10) || null;
+    
+    const reset = parseInt(headers.get('X-RateLimit-Reset'), 10);
+    this.rateLimit.resetAt = isNaN(reset) ? null : new Date(reset * 1000);
+    
+    this.notify();
+  }
+
+  /**
+   * Get the last known rate limit state
+   * @returns {Object} - { limit, remaining, used, resetAt, throttledUntil }
+   */
+  getRateLimit() {
+    return { ...this.rateLimit };
+  }
+
+  /**
+   * Check whether requests are currently held back
+   * @returns {boolean} - True if rate limited or backing off
+   */
+  isThrottled() {
+    const { remaining, resetAt } = this.rateLimit;
+    return this.pausedUntil > Date.now() ||
+      (remaining === 0 && !!resetAt && resetAt.getTime() > Date.now());
+  }
+
+  /**
+   * Register a callback invoked whenever the rate limit state changes
+   * @param {Function} callback - Called with the rate limit state
+   */
+  onRateLimitChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify listeners of the current rate limit state
+   */
+  notify() {
+    const rateLimit = this.getRateLimit();
+    this.listeners.forEach(callback => callback(rateLimit));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * HTML Sanitizer
+ * 
+ * Allowlist-based cleanup of rendered markdown before it is put into the page.
+ * Anyone who can push to the content repository controls the markdown, so raw
+ * HTML in it must not be able to run script in readers' browsers.
+ */
+
+// Tags, attributes and URL schemes rendered markdown may use
+export const DEFAULT_ALLOWLIST = {
+  tags: [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+    'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub',
+    'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+  ],
+  attributes: {
+    '*': ['id', 'class', 'title', 'lang', 'dir', 'align', 'role', 'aria-label', 'aria-hidden'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start', 'type', 'reversed'],
+    li: ['value'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['datetime'],
+    ins: ['datetime']
+  },
+  protocols: ['http', 'https', 'mailto', 'tel'],
+  // Classes the markdown renderer uses, with their '-' variants (callout-note, language-js);
+  // others go, so that pages cannot borrow the look of the app's own dialogs
+  classes: ['callout', 'code-block', 'code-render-error', 'include', 'language', 'math', 'wiki-link']
+};
+
+// Prefix given to ids (and anchor names) written in pages, as GitHub does, so that they
+// cannot take the place of the app's own elements such as #article-content
+export const USER_ID_PREFIX = 'user-content-';
+
+// Attributes holding URLs, which must use an allowed scheme (or be relative)
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+
+// Disallowed elements removed together with their content instead of being unwrapped
+const DROP_CONTENT_TAGS = [
+  'script', 'style', 'template', 'iframe', 'frame', 'object', 'embed', 'noscript',
+  'noembed', 'title', 'textarea', 'select', 'svg', 'math'
+];
+
+export class HtmlSanitizer {
+  /**
+   * @param {Object} options - { tags, attributes, protocols, classes } allowed in addition to
+   *   DEFAULT_ALLOWLIST; attributes maps a tag (or '*' for all) to attribute names,
+   *   where a trailing '*' allows a prefix (e.g. 'data-*')
+   */
+  constructor(options = {}) {
+    this.tags = new Set([...DEFAULT_ALLOWLIST.tags, ...(options.tags || [])].map(tag => tag.toLowerCase()));
+    this.protocols = new Set([...DEFAULT_ALLOWLIST.protocols, ...(options.protocols || [])].map(scheme => scheme.toLowerCase()));
+    this.classes = [...DEFAULT_ALLOWLIST.classes, ...(options.classes || [])];
+    
+    this.attributes = {};
+    for (const source of [DEFAULT_ALLOWLIST.attributes, options.attributes || {}]) {
+      for (const [tag, names] of Object.entries(source)) {
+        const key = tag.toLowerCase();
+        this.attributes[key] = [...(this.attributes[key] || []), ...names.map(name => name.toLowerCase())];
+      }
+    }
+  }
+
+  /**
+   * Remove everything from an HTML fragment that is not on the allowlist
+   * @param {string} html - The HTML to clean
+   * @returns {string} - The sanitized HTML
+   */
+  sanitize(html) {
+    // Template content is inert: nothing loads or runs while it is inspected
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    
+    this.cleanChildren(template.content);
+    this.linkUserIds(template.content);
+    
+    return template.innerHTML;
+  }
+
+  /**
+   * Point #fragment links at the prefixed ids they were written for. Links to other
+   * fragments, such as the headings the app gives ids later, are left alone.
+   * @param {DocumentFragment} fragment - The cleaned HTML
+   */
+  linkUserIds(fragment) {
+    const ids = new Set(Array.from(fragment.querySelectorAll('[id], a[name]'), element =>
+      element.getAttribute('id') || element.getAttribute('name')));
+    
+    for (const link of fragment.querySelectorAll('a[href^="#"]')) {
+      const href = link.getAttribute('href').substring(1);
+      let id;
+      try {
+        id = decodeURIComponent(href);
+      } catch (error) {
+        id = href;
+      }
+      
+      if (!id.startsWith(USER_ID_PREFIX) && ids.has(USER_ID_PREFIX + id)) {
+        link.setAttribute('href', `#${encodeURIComponent(USER_ID_PREFIX + id)}`);
+      }
+    }
+  }
+
+  /**
+   * Clean the child nodes of a node in place
+   * @param {Node} parent - The parent node
+   */
+  cleanChildren(parent) {
+    for (const node of Array.from(parent.childNodes)) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        continue;
+      }
+      
+      // Comments, processing instructions and CDATA go
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        continue;
+      }
+      
+      const tag = node.nodeName.toLowerCase();
+      
+      if (!this.tags.has(tag)) {
+        if (DROP_CONTENT_TAGS.includes(tag)) {
+          node.remove();
+        } else {
+          // Keep the text of unknown elements, e.g. <center> or <font>
+          this.cleanChildren(node);
+          node.replaceWith(...node.childNodes);
+        }
+        continue;
+      }
+      
+      // Task list checkboxes are the only inputs markdown produces
+      if (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+        node.remove();
+        continue;
+      }
+      
+      this.cleanAttributes(node, tag);
+      this.cleanChildren(node);
+    }
+  }
+
+  /**
+   * Remove disallowed attributes and unsafe URLs from an element
+   * @param {Element} element - The element
+   * @param {string} tag - The lower-case tag name
+   */
+  cleanAttributes(element, tag) {
+    for (const attribute of Array.from(element.attributes)) {
+      const name = attribute.name.toLowerCase();
+      
+      if (!this.isAllowedAttribute(tag, name) ||
+          (URL_ATTRIBUTES.includes(name) && !this.isSafeUrl(attribute.value))) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+    
+    for (const name of ['id', 'name']) {
+      const value = element.getAttribute(name);
+      if (value && !value.startsWith(USER_ID_PREFIX)) {
+        element.setAttribute(name, USER_ID_PREFIX + value);
+      }
+    }
+    
+    const classes = element.getAttribute('class');
+    if (classes !== null) {
+      const kept = classes.split(/\s+/).filter(name => name && this.isAllowedClass(name));
+      if (kept.length > 0) {
+        element.setAttribute('class', kept.join(' '));
+      } else {
+        element.removeAttribute('class');
+      }
+    }
+    
+    if (tag === 'input') {
+      element.setAttribute('disabled', '');
+    }
+    
+    // Pages opened in a new tab must not get a handle on the wiki
+    if (tag === 'a' && element.getAttribute('target')) {
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+
+  /**
+   * Check an attribute against the allowlist of its tag and of all tags
+   * @param {string} tag - The lower-case tag name
+   * @param {string} name - The lower-case attribute name
+   * @returns {boolean} - True if the attribute may stay
+   */
+  isAllowedAttribute(tag, name) {
+    // Event handlers are never allowed, whatever the configuration says
+    if (name.startsWith('on')) {
+      return false;
+    }
+    
+    const allowed = [...(this.attributes['*'] || []), ...(this.attributes[tag] || [])];
+    return allowed.some(pattern => pattern.endsWith('*')
+      ? name.startsWith(pattern.slice(0, -1))
+      : name === pattern);
+  }
+
+  /**
+   * Check a class name against the renderer's classes
+   * @param {string} name - The class name
+   * @returns {boolean} - True if the class may stay
+   */
+  isAllowedClass(name) {
+    return this.classes.some(allowed => name === allowed || name.startsWith(`${allowed}-`));
+  }
+
+  /**
+   * Check that a URL is relative or uses an allowed scheme
+   * @param {string} value - The attribute value
+   * @returns {boolean} - True if the URL is safe
+   */
+  isSafeUrl(value) {
+    // Browsers ignore control characters and whitespace when reading the scheme
+    const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    
+    return !scheme || this.protocols.has(scheme[1].toLowerCase());
+  }
+}
\ No newline at end of file
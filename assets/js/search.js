@@ -4,6 +4,8 @@
  * Handles search functionality for the wiki
  */
 
+import { parseFrontMatter } from './frontmatter.js';
+
 export class SearchService {
   constructor() {
     this.searchIndex = null;
@@ -76,8 +78,17 @@ export class SearchService {
     } catch (error) {
       console.error('Failed to initialize search index:', error);
       
+      if (error.name === 'RateLimitError') {
+        // Start over once the limit resets instead of keeping a partial index
+        this.searchIndex = null;
+        this.indexedFiles.clear();
+      }
+      
       if (window.wikiApp && window.wikiApp.ui) {
-        window.wikiApp.ui.showToast('Failed to build search index', 'error');
+        const message = error.name === 'RateLimitError'
+          ? window.wikiApp.getErrorMessage(error, 'Failed to build search index')
+          : 'Failed to build search index';
+        window.wikiApp.ui.showToast(message, 'error');
       }
     } finally {
       this.isIndexing = false;
@@ -85,31 +96,24 @@ export class SearchService {
   }
 
   /**
-   * Index all files in a directory
+   * Index all markdown files in a directory and its subdirectories
    * @param {string} path - The directory path
    */
   async indexDirectory(path) {
-    if (!window.wikiApp || !window.wikiApp.content) {
-      throw new Error('Wiki app content service not available');
+    if (!window.wikiApp || !window.wikiApp.tree) {
+      throw new Error('Wiki app tree service not available');
     }
     
     try {
-      // Get directory contents
-      const contents = await window.wikiApp.content.getDirectoryContents(path);
+      // The repository tree lists every file without walking directories
+      const files = await window.wikiApp.tree.getMarkdownFiles(path);
       
-      // Process each item
-      for (const item of contents) {
-        if (item.name === '.wiki-config.json' || item.name === 'sidebar.md') {
-          continue; // Skip special files
+      for (const file of files) {
+        if (file === 'sidebar.md' || file.endsWith('/sidebar.md')) {
+          continue; // Skip special files (each mounted repository may have a sidebar)
         }
         
-        if (item.type === 'dir') {
-          // Recursively index subdirectory
-          await this.indexDirectory(item.path);
-        } else if (item.type === 'file' && item.name.endsWith('.md')) {
-          // Index markdown file
-          await this.indexFile(item.path);
-        }
+        await this.indexFile(file);
       }
     } catch (error) {
       console.error(`Failed to index directory ${path}:`, error);
@@ -131,12 +135,12 @@ export class SearchService {
       if (!content) return;
       
       // Remove front matter if present
-      const { content: cleanContent, metadata } = this.parseFrontMatter(content);
+      const { content: cleanContent, metadata } = parseFrontMatter(content);
       
       // Create a document object
       const doc = {
         path,
-        title: metadata?.title || this.getFileTitle(path, cleanContent),
+        title: metadata.title ? String(metadata.title) : this.getFileTitle(path, cleanContent),
         content: cleanContent,
         metadata
       };
@@ -160,53 +164,28 @@ export class SearchService {
       this.indexedFiles.add(path);
     } catch (error) {
       console.error(`Failed to index file ${path}:`, error);
-      // Continue with other files even if one fails
+      
+      // Stop indexing when out of API requests; continue with other files otherwise
+      if (error.name === 'RateLimitError') {
+        throw error;
+      }
     }
   }
 
   /**
-   * Parse front matter from markdown content
-   * @param {string} content - The markdown content
-   * @returns {Object} - Object containing the content and metadata
+   * Remove a file from the search index
+   * @param {string} path - The file path
    */
-  parseFrontMatter(content) {
-    const frontMatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-    const match = content.match(frontMatterRegex);
+  removeFile(path) {
+    this.indexedFiles.delete(path);
+    if (!this.searchIndex) return;
     
-    if (match) {
-      try {
-        // Simple YAML front matter parsing
-        const yamlText = match[1];
-        const metadata = {};
-        
-        // Parse each line
-        yamlText.split('\n').forEach(line => {
-          const keyValue = line.split(':');
-          if (keyValue.length >= 2) {
-            const key = keyValue[0].trim();
-            const value = keyValue.slice(1).join(':').trim();
-            
-            // Handle arrays in the format key: [value1, value2]
-            if (value.startsWith('[') && value.endsWith(']')) {
-              const arrayValues = value.slice(1, -1).split(',');
-              metadata[key] = arrayValues.map(v => v.trim());
-            } else {
-              metadata[key] = value;
-            }
-          }
-        });
-        
-        return {
-          metadata,
-          content: match[2]
-        };
-      } catch (error) {
-        console.warn('Error parsing front matter, treating as regular content:', error);
-        return { content };
+    for (const token of Object.keys(this.searchIndex)) {
+      this.searchIndex[token] = this.searchIndex[token].filter(doc => doc.path !== path);
+      if (this.searchIndex[token].length === 0) {
+        delete this.searchIndex[token];
       }
     }
-    
-    return { content };
   }
 
   /**
@@ -280,8 +259,9 @@ export class SearchService {
       
       for (const doc of matches) {
         // Calculate score based on term frequency
-        const contentOccurrences = (doc.content.toLowerCase().match(new RegExp(term, 'g')) || []).length;
-        const titleOccurrences = (doc.title.toLowerCase().match(new RegExp(term, 'g')) || []).length;
+        const pattern = new RegExp(escapeRegExp(term), 'g');
+        const contentOccurrences = (doc.content.toLowerCase().match(pattern) || []).length;
+        const titleOccurrences = (doc.title.toLowerCase().match(pattern) || []).length;
         
         // Title matches are worth more
         const score = contentOccurrences + (titleOccurrences * 3);
@@ -303,12 +283,8 @@ export class SearchService {
       const doc = termResults[path];
       const score = docScores[path] || 0;
       
-      // Create excerpt with highlighted terms
-      let excerpt = doc.content.substring(0, 200) + '...';
-      
-      for (const term of queryTerms) {
-        excerpt = excerpt.replace(new RegExp(term, 'gi'), match => `<mark>${match}</mark>`);
-      }
+      // Create excerpt with highlighted terms; the page text is escaped, only <mark> is markup
+      const excerpt = this.highlightTerms(doc.content.substring(0, 200) + '...', queryTerms);
       
       return {
         path,
@@ -324,6 +300,24 @@ export class SearchService {
     return results;
   }
 
+  /**
+   * Escape text for HTML and wrap occurrences of the search terms in <mark>
+   * @param {string} text - The plain text
+   * @param {Array} terms - The lower-case search terms
+   * @returns {string} - HTML safe to put into the page
+   */
+  highlightTerms(text, terms) {
+    if (terms.length === 0) {
+      return escapeHtml(text);
+    }
+    
+    // Splitting on a capturing group puts the matches at odd indices
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+      .map((part, index) => index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+      .join('');
+  }
+
   /**
    * Display search results
    * @param {string} query - The search query
@@ -342,7 +336,7 @@ export class SearchService {
     let html = `
       <div class="search-results">
         <h1>Search Results</h1>
-        <p>Results for <strong>${query}</strong> (${results.length} matches)</p>
+        <p>Results for <strong>${escapeHtml(query)}</strong> (${results.length} matches)</p>
     `;
     
     if (results.length === 0) {
@@ -357,8 +351,8 @@ export class SearchService {
       for (const result of results) {
         html += `
           <div class="result-item">
-            <h3><a href="javascript:void(0)" data-path="${result.path}">${result.title}</a></h3>
-            <p class="result-path">${result.path}</p>
+            <h3><a href="javascript:void(0)" data-path="${escapeHtml(result.path)}">${escapeHtml(result.title)}</a></h3>
+            <p class="result-path">${escapeHtml(result.path)}</p>
             <p class="result-excerpt">${result.excerpt}</p>
           </div>
         `;
@@ -383,4 +377,27 @@ export class SearchService {
       });
     });
   }
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
\ No newline at end of file
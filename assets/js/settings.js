@@ -94,8 +94,8 @@ class WikiSettings {
         throw new Error('Wiki application not initialized');
       }
       
-      // Check if user is authenticated
-      if (!wikiApp.auth || !wikiApp.auth.isAuthenticated()) {
+      // Check if user is allowed to write
+      if (!wikiApp.content.canWrite()) {
         throw new Error('You must be signed in to access settings');
       }
       
@@ -183,8 +183,8 @@ class WikiSettings {
         throw new Error('Wiki application not initialized');
       }
       
-      // Check if user is authenticated
-      if (!wikiApp.auth || !wikiApp.auth.isAuthenticated()) {
+      // Check if user is allowed to write
+      if (!wikiApp.content.canWrite()) {
         throw new Error('You must be signed in to save settings');
       }
       
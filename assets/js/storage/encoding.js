@@ -0,0 +1,59 @@
+/**
+ * Storage Encoding Helpers
+ * 
+ * Path and content encoding shared by the REST storage adapters
+ */
+
+/**
+ * Encode each segment of a repository path for use in a URL
+ * @param {string} path - The repository path
+ * @returns {string} - The encoded path
+ */
+export function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Encode a UTF-8 string as Base64
+ * @param {string} text - The text to encode
+ * @returns {string} - The Base64 string
+ */
+export function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode Base64 (as returned by the contents API) to a UTF-8 string
+ * @param {string} base64 - The Base64 string, possibly with line breaks
+ * @returns {string} - The decoded text
+ */
+export function decodeBase64(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Compute the git blob SHA of some content, for backends that do not return it after a write
+ * @param {string} content - The file content; Base64 if encoding is 'base64'
+ * @param {string} encoding - 'utf-8' (default) or 'base64'
+ * @returns {Promise<string>} - The hex SHA-1 of the blob
+ */
+export async function gitBlobSha(content, encoding = 'utf-8') {
+  const body = encoding === 'base64'
+    ? Uint8Array.from(atob(content), c => c.charCodeAt(0))
+    : new TextEncoder().encode(content);
+  const header = new TextEncoder().encode(`blob ${body.length}\0`);
+  
+  const bytes = new Uint8Array(header.length + body.length);
+  bytes.set(header);
+  bytes.set(body, header.length);
+  
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
\ No newline at end of file
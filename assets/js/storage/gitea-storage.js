@@ -0,0 +1,434 @@
+/**
+ * Gitea Storage Adapter
+ * 
+ * Reads and writes wiki content through the Gitea REST API (v1), which also
+ * serves Forgejo instances
+ */
+
+import { StorageAdapter, ConflictError } from './storage-adapter.js';
+import { encodePath, encodeBase64, decodeBase64 } from './encoding.js';
+
+// Entries per page of a recursive tree listing (Gitea's default maximum)
+const TREE_PAGE_SIZE = 1000;
+
+export class GiteaStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { repo: 'owner/repo', branch, getToken, apiUrl, fetch }
+   *   where apiUrl is the instance's API root (e.g. https://gitea.example.com/api/v1)
+   *   and fetch an optional replacement for window.fetch
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.repo = options.repo || '';
+    this.branch = options.branch || 'main';
+    this.apiUrl = (options.apiUrl || '').replace(/\/+$/, '');
+    this.getToken = options.getToken || (() => null);
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.requiresAuth = true;
+    this.hostName = 'Gitea';
+  }
+
+  /**
+   * Get a key identifying the instance, repository and branch
+   * @returns {string} - The storage key
+   */
+  getKey() {
+    return `gitea:${this.apiUrl}/${this.repo}@${this.branch}`;
+  }
+
+  /**
+   * Get the URL of a file in Gitea's web editor
+   * @param {string} path - The path to the file
+   * @returns {string|null} - The URL, or null if no repository is configured
+   */
+  getEditUrl(path) {
+    if (!this.repo || !this.apiUrl) {
+      return null;
+    }
+    
+    return `${this.apiUrl.replace(/\/api\/v1$/, '')}/${this.repo}/_edit/${encodePath(this.branch)}/${encodePath(path)}`;
+  }
+
+  /**
+   * Build a repository API URL
+   * @param {string} endpoint - The endpoint below /repos/{owner}/{repo}
+   * @returns {string} - The API URL
+   */
+  getRepoUrl(endpoint) {
+    if (!this.repo || !this.apiUrl) {
+      throw new Error('Content repository is not configured');
+    }
+    
+    return endpoint ? `${this.apiUrl}/repos/${this.repo}/${endpoint}` : `${this.apiUrl}/repos/${this.repo}`;
+  }
+
+  /**
+   * Build the contents API URL for a path
+   * @param {string} path - The path to the file or directory
+   * @param {string} ref - The branch, tag or commit SHA
+   * @returns {string} - The API URL
+   */
+  getContentsUrl(path, ref = this.branch) {
+    return this.getRepoUrl(`contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+  }
+
+  /**
+   * Make an API request with authentication headers
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - The response
+   */
+  async request(url, options = {}) {
+    const headers = {
+      'Accept': 'application/json',
+      ...(options.headers || {})
+    };
+    
+    // Add authentication if available
+    const token = this.getToken();
+    if (token) {
+      headers['Authorization'] = `token ${token}`;
+    }
+    
+    return this.checkOnline(await this.fetch(url, { ...options, headers }));
+  }
+
+  /**
+   * Make a JSON API request and fail on error responses
+   * @param {string} url - The request URL
+   * @param {Object} options - { method, body } where body is serialized as JSON
+   * @returns {Promise<Object>} - The parsed response
+   */
+  async requestJson(url, options = {}) {
+    const response = await this.request(url, {
+      method: options.method || 'GET',
+      headers: options.body ? { 'Content-Type': 'application/json' } : {},
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Gitea API error: ${response.status} - ${errorData.message}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Read a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Object|null>} - { path, content, sha } or null if not found
+   */
+  async readFile(path) {
+    const response = await this.request(this.getContentsUrl(path));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Gitea API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    if (Array.isArray(data) || data.type !== 'file') {
+      return null;
+    }
+    
+    return {
+      path: data.path,
+      content: decodeBase64(data.content || ''),
+      sha: data.sha
+    };
+  }
+
+  /**
+   * Read a file as binary data, e.g. an image
+   * @param {string} path - The path to the file
+   * @returns {Promise<Blob|null>} - The file data or null if not found
+   */
+  async readBlob(path) {
+    const response = await this.request(this.getRepoUrl(`raw/${encodePath(path)}?ref=${encodeURIComponent(this.branch)}`));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Gitea API error: ${response.status}`);
+    }
+    
+    return response.blob();
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} path - The directory path
+   * @returns {Promise<Array>} - The directory entries
+   */
+  async listDirectory(path) {
+    const response = await this.request(this.getContentsUrl(path));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return [];
+      }
+      throw new Error(`Gitea API error: ${response.status}`);
+    }
+    
+    const contents = await response.json();
+    
+    return (Array.isArray(contents) ? contents : [contents]).map(item => ({
+      name: item.name,
+      path: item.path,
+      type: item.type === 'dir' ? 'dir' : 'file',
+      sha: item.sha,
+      size: item.size
+    }));
+  }
+
+  /**
+   * Get the whole repository tree with a recursive Git Trees listing
+   * @returns {Promise<Object>} - { sha, entries } of the branch's tree
+   */
+  async getTree() {
+    const entries = [];
+    let sha = null;
+    
+    // Large trees are paginated; "truncated" means there are more pages
+    for (let page = 1; ; page++) {
+      const url = this.getRepoUrl(`git/trees/${encodePath(this.branch)}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`);
+      const response = await this.request(url);
+      
+      if (!response.ok) {
+        // 404: the branch does not exist yet (empty repository)
+        if (response.status === 404) {
+          return { sha: null, entries: [] };
+        }
+        throw new Error(`Gitea API error: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      sha = data.sha;
+      
+      for (const item of data.tree || []) {
+        if (item.type === 'blob' || item.type === 'tree') {
+          entries.push({
+            path: item.path,
+            type: item.type === 'tree' ? 'dir' : 'file',
+            sha: item.sha,
+            size: item.size || 0
+          });
+        }
+      }
+      
+      if (!data.truncated) {
+        break;
+      }
+    }
+    
+    return { sha, entries };
+  }
+
+  /**
+   * Create or update a file
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being replaced, if known
+   * @returns {Promise<Object>} - { path, sha, commit }
+   */
+  async writeFile(path, content, message, options = {}) {
+    // Look up the current SHA if the caller did not provide one
+    let sha = options.sha;
+    if (sha === undefined) {
+      const existing = await this.readFile(path);
+      sha = existing ? existing.sha : null;
+    }
+    
+    const requestBody = {
+      message,
+      content: encodeBase64(content),
+      branch: this.branch
+    };
+    
+    // Creating and updating are separate methods; updates need the SHA
+    if (sha) {
+      requestBody.sha = sha;
+    }
+    
+    const response = await this.request(this.getRepoUrl(`contents/${encodePath(path)}`), {
+      method: sha ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+    
+    if (!response.ok) {
+      // 409/422: the SHA is stale, or the file exists but was expected not to
+      if ((response.status === 409 || response.status === 422) && options.sha !== undefined) {
+        throw new ConflictError(path);
+      }
+      
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Gitea API error: ${response.status} - ${errorData.message}`);
+    }
+    
+    const data = await response.json();
+    
+    return {
+      path: data.content.path,
+      sha: data.content.sha,
+      commit: data.commit.sha
+    };
+  }
+
+  /**
+   * Delete a file through the contents API
+   * @param {string} path - The path to the file
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being deleted, if known
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async deleteFile(path, message, options = {}) {
+    // The contents API requires the SHA of the deleted blob
+    let sha = options.sha;
+    if (!sha) {
+      const existing = await this.readFile(path);
+      if (!existing) {
+        throw new Error(`${path} does not exist`);
+      }
+      sha = existing.sha;
+    }
+    
+    const response = await this.request(this.getRepoUrl(`contents/${encodePath(path)}`), {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message, sha, branch: this.branch })
+    });
+    
+    if (!response.ok) {
+      if (response.status === 409 || response.status === 422) {
+        throw new ConflictError(path);
+      }
+      
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Gitea API error: ${response.status} - ${errorData.message}`);
+    }
+    
+    const data = await response.json();
+    
+    return { commit: data.commit.sha };
+  }
+
+  /**
+   * Apply several file changes as a single commit using the multi-file contents API
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding, sha }
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async commitChanges(changes, message) {
+    const files = [];
+    
+    for (const change of changes) {
+      // Updates and deletes need the current SHA; check the staged one at the same time
+      const current = await this.readFile(change.path);
+      if (change.sha !== undefined && (current ? current.sha : null) !== change.sha) {
+        throw new ConflictError(change.path);
+      }
+      
+      if (change.type === 'delete') {
+        if (!current) {
+          throw new Error(`${change.path} does not exist`);
+        }
+        files.push({ operation: 'delete', path: change.path, sha: current.sha });
+        continue;
+      }
+      
+      files.push({
+        operation: current ? 'update' : 'create',
+        path: change.path,
+        content: change.encoding === 'base64' ? change.content : encodeBase64(change.content),
+        ...(current ? { sha: current.sha } : {})
+      });
+    }
+    
+    const data = await this.requestJson(this.getRepoUrl('contents'), {
+      method: 'POST',
+      body: { branch: this.branch, message, files }
+    });
+    
+    return { commit: data.commit.sha };
+  }
+
+  /**
+   * Check whether the signed-in user can push to the content repository
+   * @returns {Promise<boolean>} - True if the user has push access
+   */
+  async canPush() {
+    if (!this.getToken()) {
+      return false;
+    }
+    
+    const repo = await this.requestJson(this.getRepoUrl(''));
+    return !!(repo.permissions && repo.permissions.push);
+  }
+
+  /**
+   * List the branches and tags of the repository
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }
+   */
+  async listRefs() {
+    const [branches, tags] = await Promise.all([
+      this.requestJson(this.getRepoUrl('branches?limit=50')),
+      this.requestJson(this.getRepoUrl('tags?limit=50'))
+    ]);
+    
+    return [
+      ...branches.map(branch => ({ name: branch.name, type: 'branch' })),
+      ...tags.map(tag => ({ name: tag.name, type: 'tag' }))
+    ];
+  }
+
+  /**
+   * Get the commit history of a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Array>} - The normalized commit history
+   */
+  async getHistory(path) {
+    const url = this.getRepoUrl(`commits?path=${encodeURIComponent(path)}&sha=${encodeURIComponent(this.branch)}&limit=50&stat=false`);
+    const commits = await this.requestJson(url);
+    
+    return commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      date: commit.commit.author.date,
+      author: {
+        name: commit.commit.author.name,
+        login: commit.author?.login || '',
+        avatarUrl: commit.author?.avatar_url || ''
+      }
+    }));
+  }
+
+  /**
+   * Read a file as it was at a given revision
+   * @param {string} path - The path to the file
+   * @param {string} revision - The commit SHA, branch or tag
+   * @returns {Promise<string|null>} - The file content or null if it did not exist
+   */
+  async readFileAtRevision(path, revision) {
+    const response = await this.request(this.getRepoUrl(`raw/${encodePath(path)}?ref=${encodeURIComponent(revision)}`));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Gitea API error: ${response.status}`);
+    }
+    
+    return response.text();
+  }
+}
\ No newline at end of file
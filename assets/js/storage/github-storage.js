@@ -0,0 +1,684 @@
+/**
+ * GitHub Storage Adapter
+ * 
+ * Reads and writes wiki content through the GitHub REST API
+ */
+
+import { StorageAdapter, ConflictError } from './storage-adapter.js';
+import { encodePath, encodeBase64, decodeBase64 } from './encoding.js';
+
+// How long to wait for a newly created fork to become usable
+const FORK_POLL_ATTEMPTS = 5;
+const FORK_POLL_INTERVAL = 1000;
+
+export class GitHubStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { repo: 'owner/repo', branch, getToken, apiUrl, cache, fetch }
+   *   where cache is an optional CacheStore for ETag revalidation and fetch an optional
+   *   replacement for window.fetch (e.g. the rate-limited RequestService)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.repo = options.repo || '';
+    this.branch = options.branch || 'main';
+    this.apiUrl = options.apiUrl || 'https://api.github.com';
+    this.getToken = options.getToken || (() => null);
+    this.cache = options.cache || null;
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.requiresAuth = true;
+    this.supportsPullRequests = true;
+    this.hostName = 'GitHub';
+  }
+
+  /**
+   * Get a key identifying the repository and branch
+   * @returns {string} - The storage key
+   */
+  getKey() {
+    return `github:${this.repo}@${this.branch}`;
+  }
+
+  /**
+   * Get the URL of a file in GitHub's web editor
+   * @param {string} path - The path to the file
+   * @returns {string|null} - The URL, or null if no repository is configured
+   */
+  getEditUrl(path) {
+    if (!this.repo) {
+      return null;
+    }
+    
+    // GitHub Enterprise serves its API below /api/v3 of the web interface
+    const webUrl = this.apiUrl === 'https://api.github.com' ? 'https://github.com' : this.apiUrl.replace(/\/api\/v3\/?$/, '');
+    return `${webUrl}/${this.repo}/edit/${encodePath(this.branch)}/${encodePath(path)}`;
+  }
+
+  /**
+   * Build a repository API URL
+   * @param {string} endpoint - The endpoint below /repos/{owner}/{repo}
+   * @param {string} repo - The repository, defaults to the content repository
+   * @returns {string} - The API URL
+   */
+  getRepoUrl(endpoint, repo = this.repo) {
+    if (!repo) {
+      throw new Error('Content repository is not configured');
+    }
+    
+    return `${this.apiUrl}/repos/${repo}/${endpoint}`;
+  }
+
+  /**
+   * Build the contents API URL for a path
+   * @param {string} path - The path to the file or directory
+   * @param {string} ref - The branch, tag or commit SHA
+   * @returns {string} - The API URL
+   */
+  getContentsUrl(path, ref = this.branch) {
+    return this.getRepoUrl(`contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+  }
+
+  /**
+   * Make an API request with authentication headers
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - The response
+   */
+  async request(url, options = {}) {
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      ...(options.headers || {})
+    };
+    
+    // Add authentication if available
+    const token = this.getToken();
+    if (token) {
+      headers['Authorization'] = `token ${token}`;
+    }
+    
+    return this.checkOnline(await this.fetch(url, { ...options, headers }));
+  }
+
+  /**
+   * Make a GET request revalidated against the persistent cache with If-None-Match.
+   * 304 responses are served from the cache and do not count against the rate limit.
+   * @param {string} url - The request URL
+   * @param {string} cacheKey - The cache key for the response
+   * @returns {Promise<Object>} - { status, data } where data is the parsed JSON (null unless ok)
+   */
+  async requestCached(url, cacheKey) {
+    const cached = this.cache ? await this.cache.get(cacheKey) : null;
+    
+    const headers = {};
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    
+    let response;
+    try {
+      response = await this.request(url, { headers });
+    } catch (error) {
+      // Offline, the copy from an earlier visit is better than nothing
+      if (error.name === 'OfflineError' && cached) {
+        return { status: 200, data: cached.data };
+      }
+      throw error;
+    }
+    
+    if (response.status === 304 && cached) {
+      return { status: 200, data: cached.data };
+    }
+    
+    if (!response.ok) {
+      if (response.status === 404 && cached) {
+        await this.cache.delete(cacheKey);
+      }
+      return { status: response.status, data: null };
+    }
+    
+    const data = await response.json();
+    
+    const etag = response.headers.get('ETag');
+    if (this.cache && etag) {
+      await this.cache.set(cacheKey, { etag, data, timestamp: Date.now() });
+    }
+    
+    return { status: response.status, data };
+  }
+
+  /**
+   * Build the persistent cache key for a resource of this repository and branch
+   * @param {string} kind - The resource kind (contents, commits)
+   * @param {string} path - The repository path
+   * @returns {string} - The cache key
+   */
+  getCacheKey(kind, path) {
+    return `${this.getKey()}:${kind}:${path}`;
+  }
+
+  /**
+   * Drop cached data about a file, its directory listing and its history
+   * @param {string} path - The path to the file
+   */
+  async invalidate(path) {
+    if (!this.cache) return;
+    
+    const directory = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+    
+    await Promise.all([
+      this.cache.delete(this.getCacheKey('contents', path)),
+      this.cache.delete(this.getCacheKey('contents', directory)),
+      this.cache.delete(this.getCacheKey('commits', path))
+    ]);
+  }
+
+  /**
+   * Read a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Object|null>} - { path, content, sha } or null if not found
+   */
+  async readFile(path) {
+    const { status, data } = await this.requestCached(this.getContentsUrl(path), this.getCacheKey('contents', path));
+    
+    if (!data) {
+      if (status === 404) {
+        return null;
+      }
+      throw new Error(`GitHub API error: ${status}`);
+    }
+    
+    if (Array.isArray(data) || data.type !== 'file') {
+      return null;
+    }
+    
+    // Files over 1 MB come without inline content
+    let content;
+    if (data.content !== undefined && data.encoding === 'base64') {
+      content = decodeBase64(data.content);
+    } else {
+      content = await this.readFileAtRevision(path, this.branch);
+    }
+    
+    return {
+      path: data.path,
+      content,
+      sha: data.sha
+    };
+  }
+
+  /**
+   * Read a file as binary data, e.g. an image
+   * @param {string} path - The path to the file
+   * @returns {Promise<Blob|null>} - The file data or null if not found
+   */
+  async readBlob(path) {
+    const response = await this.request(this.getContentsUrl(path), {
+      headers: {
+        'Accept': 'application/vnd.github.v3.raw'
+      }
+    });
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+    
+    return response.blob();
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} path - The directory path
+   * @returns {Promise<Array>} - The directory entries
+   */
+  async listDirectory(path) {
+    const { status, data: contents } = await this.requestCached(this.getContentsUrl(path), this.getCacheKey('contents', path));
+    
+    if (!contents) {
+      if (status === 404) {
+        return [];
+      }
+      throw new Error(`GitHub API error: ${status}`);
+    }
+    
+    return (Array.isArray(contents) ? contents : [contents]).map(item => ({
+      name: item.name,
+      path: item.path,
+      type: item.type === 'dir' ? 'dir' : 'file',
+      sha: item.sha,
+      size: item.size
+    }));
+  }
+
+  /**
+   * Get the whole repository tree with one recursive Git Trees request
+   * @returns {Promise<Object>} - { sha, entries } of the branch's tree
+   */
+  async getTree() {
+    const url = this.getRepoUrl(`git/trees/${encodePath(this.branch)}?recursive=1`);
+    const { status, data } = await this.requestCached(url, this.getCacheKey('tree', ''));
+    
+    if (!data) {
+      // 409: the repository is empty
+      if (status === 404 || status === 409) {
+        return { sha: null, entries: [] };
+      }
+      throw new Error(`GitHub API error: ${status}`);
+    }
+    
+    // Very large trees are cut off; fall back to listing directory by directory
+    if (data.truncated) {
+      const tree = await super.getTree();
+      return { ...tree, sha: data.sha };
+    }
+    
+    return {
+      sha: data.sha,
+      entries: data.tree
+        .filter(item => item.type === 'blob' || item.type === 'tree')
+        .map(item => ({
+          path: item.path,
+          type: item.type === 'tree' ? 'dir' : 'file',
+          sha: item.sha,
+          size: item.size || 0
+        }))
+    };
+  }
+
+  /**
+   * Create or update a file
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being replaced, if known
+   * @returns {Promise<Object>} - { path, sha, commit }
+   */
+  async writeFile(path, content, message, options = {}) {
+    const url = this.getContentsUrl(path);
+    
+    // Look up the current SHA if the caller did not provide one
+    let sha = options.sha;
+    if (sha === undefined) {
+      const existing = await this.readFile(path);
+      sha = existing ? existing.sha : null;
+    }
+    
+    const requestBody = {
+      message,
+      content: encodeBase64(content),
+      branch: this.branch
+    };
+    
+    // Include SHA if updating existing file
+    if (sha) {
+      requestBody.sha = sha;
+    }
+    
+    const response = await this.request(url, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+    
+    if (!response.ok) {
+      // 409: the SHA is stale; 422: the file exists but no SHA was sent
+      if (response.status === 409 || (response.status === 422 && options.sha === null)) {
+        throw new ConflictError(path);
+      }
+      
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+    }
+    
+    const data = await response.json();
+    
+    return {
+      path: data.content.path,
+      sha: data.content.sha,
+      commit: data.commit.sha
+    };
+  }
+
+  /**
+   * Delete a file through the contents API
+   * @param {string} path - The path to the file
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being deleted, if known
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async deleteFile(path, message, options = {}) {
+    // The contents API requires the SHA of the deleted blob
+    let sha = options.sha;
+    if (!sha) {
+      const existing = await this.readFile(path);
+      if (!existing) {
+        throw new Error(`${path} does not exist`);
+      }
+      sha = existing.sha;
+    }
+    
+    const response = await this.request(this.getContentsUrl(path), {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message, sha, branch: this.branch })
+    });
+    
+    if (!response.ok) {
+      // 409: the SHA is stale
+      if (response.status === 409) {
+        throw new ConflictError(path);
+      }
+      
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+    }
+    
+    const data = await response.json();
+    
+    return { commit: data.commit.sha };
+  }
+
+  /**
+   * Apply several file changes as a single commit using the Git Data API
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding }
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async commitChanges(changes, message) {
+    await this.checkBaseVersions(changes);
+    
+    const commit = await this.commitToBranch(this.repo, this.branch, changes, message);
+    
+    return { commit };
+  }
+
+  /**
+   * Refuse to overwrite files that changed since the changes were staged or loaded
+   * @param {Array} changes - Array of { path, sha } where sha is the blob SHA the change
+   *   was based on (null for new files, undefined if unknown)
+   * @throws {ConflictError} - If a file on the branch no longer matches its change
+   */
+  async checkBaseVersions(changes) {
+    for (const change of changes) {
+      if (change.sha !== undefined) {
+        const current = await this.readFile(change.path);
+        if ((current ? current.sha : null) !== change.sha) {
+          throw new ConflictError(change.path);
+        }
+      }
+    }
+  }
+
+  /**
+   * Commit file changes on top of the head of a branch
+   * @param {string} repo - The repository ('owner/repo')
+   * @param {string} branch - The branch to move
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding }
+   * @param {string} message - The commit message
+   * @returns {Promise<string>} - SHA of the new commit
+   */
+  async commitToBranch(repo, branch, changes, message) {
+    const refUrl = this.getRepoUrl(`git/refs/heads/${encodePath(branch)}`, repo);
+    
+    // Resolve the current head commit and its tree
+    const ref = await this.requestJson(refUrl);
+    const headCommit = await this.requestJson(this.getRepoUrl(`git/commits/${ref.object.sha}`, repo));
+    
+    // Upload blobs for new and updated files
+    const tree = [];
+    for (const change of changes) {
+      if (change.type === 'delete') {
+        tree.push({ path: change.path, mode: '100644', type: 'blob', sha: null });
+        continue;
+      }
+      
+      const blob = await this.requestJson(this.getRepoUrl('git/blobs', repo), {
+        method: 'POST',
+        body: {
+          content: change.encoding === 'base64' ? change.content : encodeBase64(change.content),
+          encoding: 'base64'
+        }
+      });
+      tree.push({ path: change.path, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+    
+    // Create the new tree and commit on top of the current head
+    const newTree = await this.requestJson(this.getRepoUrl('git/trees', repo), {
+      method: 'POST',
+      body: { base_tree: headCommit.tree.sha, tree }
+    });
+    
+    const newCommit = await this.requestJson(this.getRepoUrl('git/commits', repo), {
+      method: 'POST',
+      body: { message, tree: newTree.sha, parents: [headCommit.sha] }
+    });
+    
+    // Move the branch; fails without force if someone else pushed meanwhile
+    await this.requestJson(refUrl, {
+      method: 'PATCH',
+      body: { sha: newCommit.sha, force: false }
+    });
+    
+    return newCommit.sha;
+  }
+
+  /**
+   * Check whether the signed-in user can push to the content repository
+   * @returns {Promise<boolean>} - True if the user has push access
+   */
+  async canPush() {
+    if (!this.getToken()) {
+      return false;
+    }
+    
+    const { status, data } = await this.requestCached(`${this.apiUrl}/repos/${this.repo}`, this.getCacheKey('repo', ''));
+    if (!data) {
+      throw new Error(`GitHub API error: ${status}`);
+    }
+    
+    return !!(data.permissions && data.permissions.push);
+  }
+
+  /**
+   * Commit changes to an edit branch and open a pull request against the branch.
+   * Users without push access get the branch in their fork, which is created if needed.
+   * An existing edit branch and its open pull request are reused.
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding, sha }
+   *   where sha is the blob SHA the change was based on, if known
+   * @param {Object} options - { title, body } of the pull request; the title is the commit message
+   * @returns {Promise<Object>} - { url, number, branch, commit } of the pull request
+   */
+  async createPullRequest(changes, options = {}) {
+    // The pull request replaces whole files, which would revert edits made since they were loaded
+    await this.checkBaseVersions(changes);
+    
+    const title = options.title || 'Update wiki content';
+    const user = await this.requestJson(`${this.apiUrl}/user`);
+    const headRepo = await this.canPush() ? this.repo : await this.getFork();
+    const branch = getEditBranch(changes, user.login);
+    
+    // Reuse the open pull request of the branch, if any
+    const head = `${headRepo.split('/')[0]}:${branch}`;
+    const openPulls = await this.requestJson(this.getRepoUrl(`pulls?state=open&head=${encodeURIComponent(head)}`));
+    let pull = openPulls[0];
+    
+    // Create the edit branch from the current head unless it already exists; a branch left
+    // over from a merged or closed pull request starts over from the current head
+    const branchUrl = this.getRepoUrl(`git/refs/heads/${encodePath(branch)}`, headRepo);
+    const existing = await this.request(branchUrl);
+    if (existing.status === 404) {
+      const base = await this.requestJson(this.getRepoUrl(`git/refs/heads/${encodePath(this.branch)}`));
+      await this.requestJson(this.getRepoUrl('git/refs', headRepo), {
+        method: 'POST',
+        body: { ref: `refs/heads/${branch}`, sha: base.object.sha }
+      });
+    } else if (!existing.ok) {
+      throw new Error(`GitHub API error: ${existing.status}`);
+    } else if (!pull) {
+      const base = await this.requestJson(this.getRepoUrl(`git/refs/heads/${encodePath(this.branch)}`));
+      await this.requestJson(branchUrl, {
+        method: 'PATCH',
+        body: { sha: base.object.sha, force: true }
+      });
+    }
+    
+    const commit = await this.commitToBranch(headRepo, branch, changes, title);
+    
+    if (!pull) {
+      pull = await this.requestJson(this.getRepoUrl('pulls'), {
+        method: 'POST',
+        body: {
+          title,
+          body: options.body || `Edited on the wiki by @${user.login}.`,
+          head,
+          base: this.branch,
+          maintainer_can_modify: true
+        }
+      });
+    }
+    
+    return {
+      url: pull.html_url,
+      number: pull.number,
+      branch,
+      commit
+    };
+  }
+
+  /**
+   * Get the signed-in user's fork of the content repository, creating it if needed
+   * @returns {Promise<string>} - The fork ('owner/repo')
+   */
+  async getFork() {
+    // Creating a fork returns the existing one if the user already has it
+    const fork = await this.requestJson(this.getRepoUrl('forks'), {
+      method: 'POST',
+      body: { default_branch_only: true }
+    });
+    
+    // Forks are created asynchronously; wait until the branch shows up
+    const refUrl = this.getRepoUrl(`git/refs/heads/${encodePath(this.branch)}`, fork.full_name);
+    for (let attempt = 0; attempt < FORK_POLL_ATTEMPTS; attempt++) {
+      const response = await this.request(refUrl);
+      if (response.ok) {
+        return fork.full_name;
+      }
+      await new Promise(resolve => setTimeout(resolve, FORK_POLL_INTERVAL * (attempt + 1)));
+    }
+    
+    throw new Error(`Your fork ${fork.full_name} is not ready yet, please try again in a minute`);
+  }
+
+  /**
+   * Make an API request with a JSON body and parse the JSON response
+   * @param {string} url - The request URL
+   * @param {Object} options - { method, body }
+   * @returns {Promise<Object>} - The parsed response
+   */
+  async requestJson(url, options = {}) {
+    const response = await this.request(url, {
+      method: options.method || 'GET',
+      headers: options.body ? { 'Content-Type': 'application/json' } : {},
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * List the branches and tags of the repository
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }
+   */
+  async listRefs() {
+    const [branches, tags] = await Promise.all([
+      this.requestJson(this.getRepoUrl('branches?per_page=100')),
+      this.requestJson(this.getRepoUrl('tags?per_page=100'))
+    ]);
+    
+    return [
+      ...branches.map(branch => ({ name: branch.name, type: 'branch' })),
+      ...tags.map(tag => ({ name: tag.name, type: 'tag' }))
+    ];
+  }
+
+  /**
+   * Get the commit history of a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Array>} - The normalized commit history
+   */
+  async getHistory(path) {
+    const url = this.getRepoUrl(`commits?path=${encodeURIComponent(path)}&sha=${encodeURIComponent(this.branch)}`);
+    const { status, data: commits } = await this.requestCached(url, this.getCacheKey('commits', path));
+    
+    if (!commits) {
+      throw new Error(`GitHub API error: ${status}`);
+    }
+    
+    return commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      date: commit.commit.author.date,
+      author: {
+        name: commit.commit.author.name,
+        login: commit.author?.login || '',
+        avatarUrl: commit.author?.avatar_url || ''
+      }
+    }));
+  }
+
+  /**
+   * Read a file as it was at a given revision
+   * @param {string} path - The path to the file
+   * @param {string} revision - The commit SHA, branch or tag
+   * @returns {Promise<string|null>} - The file content or null if it did not exist
+   */
+  async readFileAtRevision(path, revision) {
+    const response = await this.request(this.getContentsUrl(path, revision), {
+      headers: {
+        'Accept': 'application/vnd.github.v3.raw'
+      }
+    });
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+    
+    return response.text();
+  }
+}
+
+/**
+ * Name the branch that holds proposed edits; single-page edits reuse one branch per page
+ * and user, as users who can push share the content repository for their branches
+ * @param {Array} changes - The proposed changes
+ * @param {string} login - The login of the signed-in user
+ * @returns {string} - The branch name
+ */
+function getEditBranch(changes, login) {
+  const user = login.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  
+  if (changes.length === 1) {
+    const slug = changes[0].path
+      .replace(/\.md$/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return `wiki-edit/${user}/${slug || 'page'}`;
+  }
+  
+  return `wiki-edit/${user}/changes-${Date.now()}`;
+}
\ No newline at end of file
@@ -0,0 +1,377 @@
+/**
+ * GitLab Storage Adapter
+ * 
+ * Reads and writes wiki content through the GitLab REST API (v4), on gitlab.com
+ * or a self-managed instance
+ */
+
+import { StorageAdapter, ConflictError } from './storage-adapter.js';
+import { encodePath, encodeBase64, decodeBase64, gitBlobSha } from './encoding.js';
+
+// Developer access is the lowest role allowed to push to unprotected branches
+const DEVELOPER_ACCESS_LEVEL = 30;
+
+export class GitLabStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { repo: 'group/project', branch, getToken, apiUrl, fetch }
+   *   where apiUrl is the instance's API root (e.g. https://gitlab.example.com/api/v4)
+   *   and fetch an optional replacement for window.fetch
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.repo = options.repo || '';
+    this.branch = options.branch || 'main';
+    this.apiUrl = (options.apiUrl || 'https://gitlab.com/api/v4').replace(/\/+$/, '');
+    this.getToken = options.getToken || (() => null);
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.requiresAuth = true;
+    this.hostName = 'GitLab';
+  }
+
+  /**
+   * Get a key identifying the instance, project and branch
+   * @returns {string} - The storage key
+   */
+  getKey() {
+    return `gitlab:${this.apiUrl}/${this.repo}@${this.branch}`;
+  }
+
+  /**
+   * Get the URL of a file in GitLab's web editor
+   * @param {string} path - The path to the file
+   * @returns {string|null} - The URL, or null if no project is configured
+   */
+  getEditUrl(path) {
+    if (!this.repo) {
+      return null;
+    }
+    
+    return `${this.apiUrl.replace(/\/api\/v4$/, '')}/${this.repo}/-/edit/${encodePath(this.branch)}/${encodePath(path)}`;
+  }
+
+  /**
+   * Build a project API URL
+   * @param {string} endpoint - The endpoint below /projects/:id
+   * @returns {string} - The API URL
+   */
+  getProjectUrl(endpoint) {
+    if (!this.repo) {
+      throw new Error('Content repository is not configured');
+    }
+    
+    const projectUrl = `${this.apiUrl}/projects/${encodeURIComponent(this.repo)}`;
+    return endpoint ? `${projectUrl}/${endpoint}` : projectUrl;
+  }
+
+  /**
+   * Build the repository files API URL for a path
+   * @param {string} path - The path to the file
+   * @param {string} ref - The branch, tag or commit SHA
+   * @param {boolean} raw - Whether to get the raw content instead of the JSON description
+   * @returns {string} - The API URL
+   */
+  getFileUrl(path, ref = this.branch, raw = false) {
+    // GitLab expects the whole path as one encoded segment
+    const file = `repository/files/${encodeURIComponent(path)}${raw ? '/raw' : ''}`;
+    return this.getProjectUrl(`${file}?ref=${encodeURIComponent(ref)}`);
+  }
+
+  /**
+   * Make an API request with authentication headers
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - The response
+   */
+  async request(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    
+    // Add authentication if available
+    const token = this.getToken();
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    return this.checkOnline(await this.fetch(url, { ...options, headers }));
+  }
+
+  /**
+   * Make a JSON API request and fail on error responses
+   * @param {string} url - The request URL
+   * @param {Object} options - { method, body } where body is serialized as JSON
+   * @returns {Promise<Object>} - The parsed response
+   */
+  async requestJson(url, options = {}) {
+    const response = await this.request(url, {
+      method: options.method || 'GET',
+      headers: options.body ? { 'Content-Type': 'application/json' } : {},
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`GitLab API error: ${response.status} - ${errorData.message || errorData.error}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Get every page of a paginated list endpoint
+   * @param {string} url - The request URL, with query parameters
+   * @returns {Promise<Array>} - The items of all pages
+   */
+  async requestAll(url) {
+    const items = [];
+    let page = '1';
+    
+    while (page) {
+      const response = await this.request(`${url}${url.includes('?') ? '&' : '?'}per_page=100&page=${page}`);
+      
+      if (!response.ok) {
+        if (response.status === 404) {
+          return items;
+        }
+        throw new Error(`GitLab API error: ${response.status}`);
+      }
+      
+      items.push(...await response.json());
+      page = response.headers.get('X-Next-Page');
+    }
+    
+    return items;
+  }
+
+  /**
+   * Read a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Object|null>} - { path, content, sha } or null if not found
+   */
+  async readFile(path) {
+    const response = await this.request(this.getFileUrl(path));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`GitLab API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    
+    return {
+      path: data.file_path,
+      content: data.encoding === 'base64' ? decodeBase64(data.content) : data.content,
+      sha: data.blob_id
+    };
+  }
+
+  /**
+   * Read a file as binary data, e.g. an image
+   * @param {string} path - The path to the file
+   * @returns {Promise<Blob|null>} - The file data or null if not found
+   */
+  async readBlob(path) {
+    const response = await this.request(this.getFileUrl(path, this.branch, true));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`GitLab API error: ${response.status}`);
+    }
+    
+    return response.blob();
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} path - The directory path
+   * @returns {Promise<Array>} - The directory entries
+   */
+  async listDirectory(path) {
+    const url = this.getProjectUrl(`repository/tree?path=${encodeURIComponent(path)}&ref=${encodeURIComponent(this.branch)}`);
+    const items = await this.requestAll(url);
+    
+    return items.map(item => ({
+      name: item.name,
+      path: item.path,
+      type: item.type === 'tree' ? 'dir' : 'file',
+      sha: item.id,
+      size: 0
+    }));
+  }
+
+  /**
+   * Get the whole repository tree with a recursive tree listing
+   * @returns {Promise<Object>} - { sha, entries } where sha is the head commit of the branch
+   */
+  async getTree() {
+    // The tree listing has no SHA of its own; the head commit changes whenever the tree does
+    const headResponse = await this.request(this.getProjectUrl(`repository/commits/${encodeURIComponent(this.branch)}`));
+    if (!headResponse.ok) {
+      if (headResponse.status === 404) {
+        return { sha: null, entries: [] };
+      }
+      throw new Error(`GitLab API error: ${headResponse.status}`);
+    }
+    const head = await headResponse.json();
+    
+    const url = this.getProjectUrl(`repository/tree?recursive=true&ref=${encodeURIComponent(this.branch)}`);
+    const items = await this.requestAll(url);
+    
+    return {
+      sha: head.id,
+      entries: items
+        .filter(item => item.type === 'blob' || item.type === 'tree')
+        .map(item => ({
+          path: item.path,
+          type: item.type === 'tree' ? 'dir' : 'file',
+          sha: item.id,
+          size: 0
+        }))
+    };
+  }
+
+  /**
+   * Create or update a file
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being replaced, if known
+   * @returns {Promise<Object>} - { path, sha, commit }
+   */
+  async writeFile(path, content, message, options = {}) {
+    const { commit } = await this.commitChanges([
+      { type: 'write', path, content, encoding: 'utf-8', sha: options.sha }
+    ], message);
+    
+    return { path, sha: await gitBlobSha(content), commit };
+  }
+
+  /**
+   * Delete a file
+   * @param {string} path - The path to the file
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being deleted, if known
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async deleteFile(path, message, options = {}) {
+    return this.commitChanges([{ type: 'delete', path, sha: options.sha }], message);
+  }
+
+  /**
+   * Apply several file changes as a single commit using the commits API
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding, sha }
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async commitChanges(changes, message) {
+    const actions = [];
+    
+    for (const change of changes) {
+      // GitLab needs to know whether each file exists; check the staged SHA at the same time
+      const current = await this.readFile(change.path);
+      if (change.sha !== undefined && (current ? current.sha : null) !== change.sha) {
+        throw new ConflictError(change.path);
+      }
+      
+      if (change.type === 'delete') {
+        if (!current) {
+          throw new Error(`${change.path} does not exist`);
+        }
+        actions.push({ action: 'delete', file_path: change.path });
+        continue;
+      }
+      
+      actions.push({
+        action: current ? 'update' : 'create',
+        file_path: change.path,
+        content: change.encoding === 'base64' ? change.content : encodeBase64(change.content),
+        encoding: 'base64'
+      });
+    }
+    
+    const commit = await this.requestJson(this.getProjectUrl('repository/commits'), {
+      method: 'POST',
+      body: { branch: this.branch, commit_message: message, actions }
+    });
+    
+    return { commit: commit.id };
+  }
+
+  /**
+   * Check whether the signed-in user can push to the project
+   * @returns {Promise<boolean>} - True if the user has at least Developer access
+   */
+  async canPush() {
+    if (!this.getToken()) {
+      return false;
+    }
+    
+    const project = await this.requestJson(this.getProjectUrl(''));
+    const permissions = project.permissions || {};
+    const accessLevel = Math.max(
+      permissions.project_access ? permissions.project_access.access_level : 0,
+      permissions.group_access ? permissions.group_access.access_level : 0
+    );
+    
+    return accessLevel >= DEVELOPER_ACCESS_LEVEL;
+  }
+
+  /**
+   * List the branches and tags of the project
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }
+   */
+  async listRefs() {
+    const [branches, tags] = await Promise.all([
+      this.requestAll(this.getProjectUrl('repository/branches')),
+      this.requestAll(this.getProjectUrl('repository/tags'))
+    ]);
+    
+    return [
+      ...branches.map(branch => ({ name: branch.name, type: 'branch' })),
+      ...tags.map(tag => ({ name: tag.name, type: 'tag' }))
+    ];
+  }
+
+  /**
+   * Get the commit history of a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Array>} - The normalized commit history
+   */
+  async getHistory(path) {
+    const url = this.getProjectUrl(`repository/commits?path=${encodeURIComponent(path)}&ref_name=${encodeURIComponent(this.branch)}&per_page=100`);
+    const commits = await this.requestJson(url);
+    
+    return commits.map(commit => ({
+      sha: commit.id,
+      message: commit.message,
+      date: commit.authored_date,
+      author: {
+        name: commit.author_name,
+        login: commit.author_email || '',
+        avatarUrl: ''
+      }
+    }));
+  }
+
+  /**
+   * Read a file as it was at a given revision
+   * @param {string} path - The path to the file
+   * @param {string} revision - The commit SHA, branch or tag
+   * @returns {Promise<string|null>} - The file content or null if it did not exist
+   */
+  async readFileAtRevision(path, revision) {
+    const response = await this.request(this.getFileUrl(path, revision, true));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`GitLab API error: ${response.status}`);
+    }
+    
+    return response.text();
+  }
+}
\ No newline at end of file
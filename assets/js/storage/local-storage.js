@@ -0,0 +1,262 @@
+/**
+ * Local Directory Storage Adapter
+ * 
+ * Reads and writes wiki content in a local directory (optionally a git
+ * working copy) served by proxy/local-content-server.js
+ */
+
+import { StorageAdapter, ConflictError } from './storage-adapter.js';
+
+export class LocalDirectoryStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { baseUrl, ref } of the local content server API, where ref
+   *   is an optional branch or tag to read instead of the working copy (read-only)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    this.baseUrl = (options.baseUrl || '/__content').replace(/\/+$/, '');
+    this.ref = options.ref || null;
+    this.requiresAuth = false;
+    this.readOnly = !!this.ref;
+  }
+
+  /**
+   * Get a key identifying the content directory and version
+   * @returns {string} - The storage key
+   */
+  getKey() {
+    return this.ref ? `local:${this.baseUrl}@${this.ref}` : `local:${this.baseUrl}`;
+  }
+
+  /**
+   * Build a content server URL
+   * @param {string} endpoint - The endpoint (files, dirs, history)
+   * @param {string} path - The repository path
+   * @returns {string} - The URL
+   */
+  getUrl(endpoint, path) {
+    return `${this.baseUrl}/${endpoint}/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Add the selected version to a read URL
+   * @param {string} url - The URL
+   * @returns {string} - The URL reading from the selected ref, if any
+   */
+  withRef(url) {
+    return this.ref ? `${url}?ref=${encodeURIComponent(this.ref)}` : url;
+  }
+
+  /**
+   * Make a request to the content server
+   * @param {string} url - The request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - The response
+   */
+  async request(url, options = {}) {
+    return this.checkOnline(await fetch(url, options));
+  }
+
+  /**
+   * Read a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Object|null>} - { path, content, sha } or null if not found
+   */
+  async readFile(path) {
+    const response = await this.request(this.withRef(this.getUrl('files', path)));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Read a file as binary data, e.g. an image
+   * @param {string} path - The path to the file
+   * @returns {Promise<Blob|null>} - The file data or null if not found
+   */
+  async readBlob(path) {
+    const response = await this.request(this.withRef(this.getUrl('raw', path)));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    return response.blob();
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} path - The directory path
+   * @returns {Promise<Array>} - The directory entries
+   */
+  async listDirectory(path) {
+    const response = await this.request(this.withRef(this.getUrl('dirs', path)));
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return [];
+      }
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Get the whole content tree in one request
+   * @returns {Promise<Object>} - { sha, entries }
+   */
+  async getTree() {
+    const response = await this.request(this.withRef(`${this.baseUrl}/tree`));
+    
+    if (!response.ok) {
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Create or update a file
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being replaced, if known
+   * @returns {Promise<Object>} - { path, sha, commit }
+   */
+  async writeFile(path, content, message, options = {}) {
+    const response = await this.request(this.getUrl('files', path), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ content, message, sha: options.sha })
+    });
+    
+    if (!response.ok) {
+      if (response.status === 409) {
+        throw new ConflictError(path);
+      }
+      
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Local content server error: ${response.status} - ${errorData.message}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Delete a file
+   * @param {string} path - The path to the file
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being deleted, if known
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async deleteFile(path, message, options = {}) {
+    const response = await this.request(this.getUrl('files', path), {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message, sha: options.sha })
+    });
+    
+    if (!response.ok) {
+      if (response.status === 409) {
+        throw new ConflictError(path);
+      }
+      
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Local content server error: ${response.status} - ${errorData.message}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Apply several file changes as a single commit
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding }
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   */
+  async commitChanges(changes, message) {
+    const response = await this.request(`${this.baseUrl}/commit`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ changes, message })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      
+      if (response.status === 409) {
+        throw new ConflictError(errorData.path);
+      }
+      
+      throw new Error(`Local content server error: ${response.status} - ${errorData.message}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * List the branches and tags of the content directory's git repository
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }
+   */
+  async listRefs() {
+    const response = await this.request(`${this.baseUrl}/refs`);
+    
+    if (!response.ok) {
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Get the commit history of a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Array>} - The normalized commit history
+   */
+  async getHistory(path) {
+    const response = await this.request(this.withRef(this.getUrl('history', path)));
+    
+    if (!response.ok) {
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Read a file as it was at a given revision
+   * @param {string} path - The path to the file
+   * @param {string} revision - The commit SHA, branch or tag
+   * @returns {Promise<string|null>} - The file content or null if it did not exist
+   */
+  async readFileAtRevision(path, revision) {
+    const response = await this.request(`${this.getUrl('files', path)}?ref=${encodeURIComponent(revision)}`);
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Local content server error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    return data.content;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * Storage Adapter
+ * 
+ * Base class describing the interface every content storage backend implements.
+ * ContentService talks to storage exclusively through this interface.
+ */
+
+/**
+ * Raised when a write is based on a version of a file that is no longer current
+ */
+export class ConflictError extends Error {
+  constructor(path, message = `${path} was changed by someone else`) {
+    super(message);
+    this.name = 'ConflictError';
+    this.path = path;
+  }
+}
+
+/**
+ * Raised when a request fails because the browser is offline and the service worker
+ * has no cached answer
+ */
+export class OfflineError extends Error {
+  constructor(message = 'You are offline and this has not been cached yet') {
+    super(message);
+    this.name = 'OfflineError';
+  }
+}
+
+export class StorageAdapter {
+  constructor(options = {}) {
+    this.options = options;
+    
+    // Whether writes require a signed-in user
+    this.requiresAuth = true;
+    
+    // Whether changes can be proposed as pull requests instead of committed
+    this.supportsPullRequests = false;
+    
+    // Adapters reading an older version may not be able to write it
+    this.readOnly = false;
+    
+    // Name of the service hosting the repository, for links to it (null if there is none)
+    this.hostName = null;
+  }
+
+  /**
+   * Fail on the answer the service worker (sw.js) gives while offline to requests it has
+   * no cached response for, rather than treating it as an error of the server
+   * @param {Response} response - The response
+   * @returns {Response} - The same response
+   * @throws {OfflineError} - If the response is the service worker's offline answer
+   */
+  checkOnline(response) {
+    if (response.headers.get('X-Wiki-Offline')) {
+      throw new OfflineError();
+    }
+    return response;
+  }
+
+  /**
+   * Get a key identifying the repository and branch this adapter reads from
+   * @returns {string} - The storage key
+   */
+  getKey() {
+    throw new Error('getKey() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Get the URL of a file in the web editor of the hosting service
+   * @param {string} path - The path to the file
+   * @returns {string|null} - The URL, or null if the backend has no web editor
+   */
+  getEditUrl(path) {
+    return null;
+  }
+
+  /**
+   * Read a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Object|null>} - { path, content, sha } or null if the file does not exist
+   */
+  async readFile(path) {
+    throw new Error('readFile() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Read a file as binary data, e.g. an image
+   * @param {string} path - The path to the file
+   * @returns {Promise<Blob|null>} - The file data or null if the file does not exist
+   */
+  async readBlob(path) {
+    throw new Error('readBlob() is not implemented by this storage adapter');
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} path - The directory path
+   * @returns {Promise<Array>} - Array of { name, path, type: 'file'|'dir', sha, size }
+   */
+  async listDirectory(path) {
+    throw new Error('listDirectory() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Get every file and directory of the repository in one listing.
+   * Adapters should override this with a single request where the backend allows;
+   * the default walks the directories one listDirectory call at a time.
+   * @returns {Promise<Object>} - { sha, entries } where sha identifies the tree (null if unknown)
+   *   and entries is an array of { path, type: 'file'|'dir', sha, size }
+   */
+  async getTree() {
+    const entries = [];
+    const walk = async (path) => {
+      for (const item of await this.listDirectory(path)) {
+        entries.push({ path: item.path, type: item.type, sha: item.sha, size: item.size });
+        if (item.type === 'dir') {
+          await walk(item.path);
+        }
+      }
+    };
+    
+    await walk('');
+    
+    return { sha: null, entries };
+  }
+
+  /**
+   * Create or update a file
+   * @param {string} path - The path to the file
+   * @param {string} content - The file content
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being replaced: a SHA to update
+   *   exactly that version, null to only create the file, undefined to overwrite
+   * @returns {Promise<Object>} - { path, sha, commit }
+   * @throws {ConflictError} - If the file no longer matches options.sha
+   */
+  async writeFile(path, content, message, options = {}) {
+    throw new Error('writeFile() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Delete a file
+   * @param {string} path - The path to the file
+   * @param {string} message - The commit message
+   * @param {Object} options - { sha } of the version being deleted; looked up if undefined
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   * @throws {ConflictError} - If the file no longer matches options.sha
+   */
+  async deleteFile(path, message, options = {}) {
+    throw new Error('deleteFile() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Apply several file changes as a single commit
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding: 'utf-8'|'base64', sha }
+   *   where sha, if defined, is the version of the file the change was based on
+   * @param {string} message - The commit message
+   * @returns {Promise<Object>} - { commit } SHA of the new commit
+   * @throws {ConflictError} - If a file no longer matches the sha of its change
+   */
+  async commitChanges(changes, message) {
+    throw new Error('commitChanges() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Check whether the current user can commit to the branch directly
+   * @returns {Promise<boolean>} - True if the user has push access
+   */
+  async canPush() {
+    return true;
+  }
+
+  /**
+   * Commit changes to a separate branch (in a fork if needed) and open a pull request for them
+   * @param {Array} changes - Array of { type: 'write'|'delete', path, content, encoding }
+   * @param {Object} options - { title, body } of the pull request and the commit message
+   * @returns {Promise<Object>} - { url, number, branch, commit } of the pull request
+   */
+  async createPullRequest(changes, options) {
+    throw new Error('Pull requests are not supported by this storage backend');
+  }
+
+  /**
+   * List the branches and tags that can be browsed as versions
+   * @returns {Promise<Array>} - Array of { name, type: 'branch'|'tag' }; empty if not supported
+   */
+  async listRefs() {
+    return [];
+  }
+
+  /**
+   * Get the commit history of a file
+   * @param {string} path - The path to the file
+   * @returns {Promise<Array>} - Array of { sha, message, date, author: { name, login, avatarUrl } }
+   */
+  async getHistory(path) {
+    throw new Error('getHistory() is not implemented by this storage adapter');
+  }
+
+  /**
+   * Drop any cached data about a file, its directory listing and its history
+   * @param {string} path - The path to the file
+   */
+  async invalidate(path) {
+    // Adapters without a cache have nothing to do
+  }
+
+  /**
+   * Read a file as it was at a given revision
+   * @param {string} path - The path to the file
+   * @param {string} revision - The commit SHA, branch or tag
+   * @returns {Promise<string|null>} - The file content or null if it did not exist
+   */
+  async readFileAtRevision(path, revision) {
+    throw new Error('readFileAtRevision() is not implemented by this storage adapter');
+  }
+}
\ No newline at end of file
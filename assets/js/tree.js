@@ -0,0 +1,134 @@
+/**
+ * Tree Service
+ * 
+ * Loads the whole content repository tree in one request and answers
+ * directory listings and existence checks locally
+ */
+
+export class TreeService {
+  constructor(app) {
+    this.app = app;
+    
+    // Indexed tree: { key, sha, byPath, children, timestamp }
+    this.tree = null;
+    this.isStale = false;
+    this.loading = null;
+    
+    // Revalidate after 5 minutes in milliseconds (cheap: unchanged trees answer 304)
+    this.maxAge = 5 * 60 * 1000;
+  }
+
+  /**
+   * Load the tree, reusing the index while the tree SHA is unchanged
+   * @returns {Promise<Object>} - The indexed tree
+   */
+  async load() {
+    const key = this.app.content.getKey();
+    const isFresh = this.tree && this.tree.key === key && !this.isStale &&
+      Date.now() - this.tree.timestamp < this.maxAge;
+    
+    if (isFresh) {
+      return this.tree;
+    }
+    
+    // Share one request between concurrent callers
+    if (!this.loading) {
+      this.loading = this.fetchTree(key).finally(() => {
+        this.loading = null;
+      });
+    }
+    
+    return this.loading;
+  }
+
+  /**
+   * Fetch the tree from storage and index it
+   * @param {string} key - The storage key of the repositories the tree belongs to
+   * @returns {Promise<Object>} - The indexed tree
+   */
+  async fetchTree(key) {
+    const { sha, entries } = await this.app.content.getTree();
+    this.isStale = false;
+    
+    // Same tree as before: keep the index
+    if (this.tree && this.tree.key === key && sha && this.tree.sha === sha) {
+      this.tree.timestamp = Date.now();
+      return this.tree;
+    }
+    
+    const byPath = new Map();
+    const children = new Map([['', []]]);
+    
+    for (const entry of entries) {
+      const slash = entry.path.lastIndexOf('/');
+      const item = {
+        name: entry.path.substring(slash + 1),
+        path: entry.path,
+        type: entry.type,
+        sha: entry.sha,
+        size: entry.size
+      };
+      
+      byPath.set(item.path, item);
+      
+      const parent = slash === -1 ? '' : entry.path.substring(0, slash);
+      if (!children.has(parent)) {
+        children.set(parent, []);
+      }
+      children.get(parent).push(item);
+    }
+    
+    this.tree = { key, sha, byPath, children, timestamp: Date.now() };
+    return this.tree;
+  }
+
+  /**
+   * Mark the tree as outdated, e.g. after a save; the next query revalidates it
+   */
+  invalidate() {
+    this.isStale = true;
+  }
+
+  /**
+   * List the entries of a directory
+   * @param {string} path - The directory path ('' for the root)
+   * @returns {Promise<Array>} - Array of { name, path, type, sha, size }
+   */
+  async listDirectory(path = '') {
+    const tree = await this.load();
+    return [...(tree.children.get(path.replace(/^\/+|\/+$/g, '')) || [])];
+  }
+
+  /**
+   * Check whether a file or directory exists
+   * @param {string} path - The repository path
+   * @returns {Promise<boolean>} - True if it exists
+   */
+  async exists(path) {
+    const tree = await this.load();
+    return tree.byPath.has(path.replace(/^\/+|\/+$/g, ''));
+  }
+
+  /**
+   * Check whether a page exists
+   * @param {string} path - The page path, with or without .md
+   * @returns {Promise<boolean>} - True if the page exists
+   */
+  async pageExists(path) {
+    return this.exists(this.app.content.normalizePath(path));
+  }
+
+  /**
+   * Get all markdown files, optionally below a directory
+   * @param {string} path - The directory path ('' for the whole repository)
+   * @returns {Promise<Array>} - Array of file paths
+   */
+  async getMarkdownFiles(path = '') {
+    const tree = await this.load();
+    const prefix = path ? `${path.replace(/^\/+|\/+$/g, '')}/` : '';
+    
+    return [...tree.byPath.values()]
+      .filter(item => item.type === 'file' && item.path.endsWith('.md') && item.path.startsWith(prefix))
+      .map(item => item.path);
+  }
+}
\ No newline at end of file
@@ -177,6 +177,166 @@ export class UIService {
     }, duration);
   }
 
+  /**
+   * Update the API rate limit indicator in the header
+   * @param {Object} rateLimit - { limit, remaining, resetAt, throttledUntil }
+   */
+  updateRateLimitStatus(rateLimit) {
+    if (rateLimit.remaining === null && !rateLimit.throttledUntil) return;
+    
+    let indicator = document.getElementById('rate-limit-status');
+    if (!indicator) {
+      const userMenu = document.querySelector('.user-menu');
+      if (!userMenu) return;
+      
+      indicator = document.createElement('span');
+      indicator.id = 'rate-limit-status';
+      indicator.className = 'rate-limit-status';
+      userMenu.insertBefore(indicator, userMenu.firstChild);
+    }
+    
+    const resetTime = rateLimit.resetAt ? rateLimit.resetAt.toLocaleTimeString() : 'unknown';
+    const isExhausted = rateLimit.remaining === 0;
+    const isLow = rateLimit.limit && rateLimit.remaining < rateLimit.limit * 0.1;
+    
+    indicator.classList.toggle('rate-limit-low', !!isLow);
+    indicator.classList.toggle('rate-limit-exhausted', isExhausted || !!rateLimit.throttledUntil);
+    
+    if (rateLimit.throttledUntil) {
+      indicator.textContent = 'API throttled';
+      indicator.title = `GitHub asked us to slow down. Requests resume at ${rateLimit.throttledUntil.toLocaleTimeString()}.`;
+    } else if (isExhausted) {
+      indicator.textContent = 'API limit reached';
+      indicator.title = `GitHub API rate limit reached. It resets at ${resetTime}.`;
+    } else {
+      indicator.textContent = `API ${rateLimit.remaining}/${rateLimit.limit}`;
+      indicator.title = `GitHub API requests remaining this hour. The limit resets at ${resetTime}.`;
+    }
+  }
+
+  /**
+   * Show the version switcher in the header
+   * @param {Array} versions - Array of { name, type: 'branch'|'tag' }, the default branch first
+   * @param {string} current - The name of the version being read
+   * @param {Function} onSelect - Called with the name of the selected version
+   */
+  renderVersionSwitcher(versions, current, onSelect) {
+    const userMenu = document.querySelector('.user-menu');
+    if (!userMenu || versions.length === 0) return;
+    
+    // A version opened by URL is listed even if the pattern filters it out
+    if (!versions.some(version => version.name === current)) {
+      versions = [...versions, { name: current, type: 'branch' }];
+    }
+    
+    const select = document.createElement('select');
+    select.id = 'version-select';
+    select.className = 'version-select';
+    select.setAttribute('aria-label', 'Version');
+    select.innerHTML = versions.map(version => `
+      <option value="${this.escapeHtml(version.name)}"${version.name === current ? ' selected' : ''}>
+        ${this.escapeHtml(version.name)}${version.type === 'tag' ? ' (tag)' : ''}
+      </option>
+    `).join('');
+    select.classList.toggle('older-version', current !== versions[0].name);
+    select.addEventListener('change', () => onSelect(select.value));
+    
+    userMenu.insertBefore(select, userMenu.firstChild);
+  }
+
+  /**
+   * Update the offline badge and the outbox counter in the header
+   * @param {boolean} isOnline - Whether the browser is online
+   * @param {Array} entries - The pages queued in the outbox
+   * @param {Function} onClick - Called when the indicator is clicked
+   */
+  updateConnectionStatus(isOnline, entries, onClick) {
+    let indicator = document.getElementById('connection-status');
+    if (!indicator) {
+      const userMenu = document.querySelector('.user-menu');
+      if (!userMenu) return;
+      
+      indicator = document.createElement('button');
+      indicator.id = 'connection-status';
+      indicator.className = 'connection-status';
+      indicator.addEventListener('click', () => onClick());
+      userMenu.insertBefore(indicator, userMenu.firstChild);
+    }
+    
+    const parts = [];
+    if (!isOnline) {
+      parts.push('Offline');
+    }
+    if (entries.length > 0) {
+      parts.push(`${entries.length} pending`);
+    }
+    
+    indicator.textContent = parts.join(', ');
+    indicator.classList.toggle('hidden', parts.length === 0);
+    indicator.classList.toggle('offline', !isOnline);
+    indicator.classList.toggle('has-conflicts', entries.some(entry => entry.conflict));
+    indicator.title = entries.length > 0
+      ? 'Pages saved while offline are waiting to be saved. Click to view.'
+      : 'You are offline. Previously read pages are still available.';
+  }
+
+  /**
+   * Show the pages waiting in the outbox
+   * @param {Array} entries - The queued entries
+   * @param {Object} handlers - { onRetry, onDiscard(path) }
+   */
+  showOutboxDialog(entries, handlers) {
+    const items = entries.map(entry => {
+      const page = entry.path.replace(/\.md$/, '');
+      let status = 'Waiting for connection';
+      if (entry.conflict) {
+        status = `Changed by someone else. <a href="/edit.html?path=${encodeURIComponent(page)}">Open in editor to merge</a>`;
+      } else if (entry.error) {
+        status = `Failed: ${this.escapeHtml(entry.error)}`;
+      }
+      
+      return `
+        <li class="outbox-item${entry.conflict ? ' conflict' : ''}">
+          <div class="outbox-info">
+            <strong>${this.escapeHtml(entry.path)}</strong>
+            <span class="outbox-date">${new Date(entry.queuedAt).toLocaleString()}</span>
+            <div class="outbox-status">${status}</div>
+          </div>
+          <button class="action-button outbox-discard" data-path="${this.escapeHtml(entry.path)}">Discard</button>
+        </li>
+      `;
+    }).join('');
+    
+    const content = entries.length > 0
+      ? `<ul class="outbox-list">${items}</ul>`
+      : '<p>No pages are waiting to be saved.</p>';
+    
+    const dialog = this.showDialog('Outbox', content, [
+      {
+        text: 'Close',
+        action: 'close'
+      },
+      {
+        text: 'Retry Now',
+        action: 'retry',
+        primary: true,
+        handler: () => {
+          this.closeDialog();
+          handlers.onRetry();
+        }
+      }
+    ]);
+    
+    dialog.querySelectorAll('.outbox-discard').forEach(button => {
+      button.addEventListener('click', () => {
+        if (confirm('Discard this queued edit?')) {
+          handlers.onDiscard(button.getAttribute('data-path'));
+          button.closest('.outbox-item').remove();
+        }
+      });
+    });
+  }
+
   /**
    * Show a confirmation dialog
    * @param {string} message - The confirmation message
@@ -199,6 +359,177 @@ export class UIService {
     ]);
   }
 
+  /**
+   * Show the dialog for moving a page, followed by a preview of the link updates
+   * @param {string} path - The current page path
+   * @param {Function} onPreview - Called with (newPath, { redirect }); resolves to the move plan
+   * @param {Function} onConfirm - Called with the plan when the move is confirmed
+   */
+  showMoveDialog(path, onPreview, onConfirm) {
+    const content = `
+      <div class="move-form">
+        <label for="move-path">New path:</label>
+        <input type="text" id="move-path" value="${this.escapeHtml(path)}">
+        <label class="move-redirect">
+          <input type="checkbox" id="move-redirect" checked>
+          Leave a redirect at the old location
+        </label>
+      </div>
+    `;
+    
+    const dialog = this.showDialog('Move Page', content, [
+      {
+        text: 'Cancel',
+        action: 'close'
+      },
+      {
+        text: 'Preview',
+        action: 'preview',
+        primary: true,
+        handler: async () => {
+          const newPath = dialog.querySelector('#move-path').value.trim();
+          const redirect = dialog.querySelector('#move-redirect').checked;
+          
+          try {
+            const plan = await onPreview(newPath, { redirect });
+            this.showMovePreview(plan, onConfirm);
+          } catch (error) {
+            this.showToast(error.message, 'error');
+          }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Show the pages whose links change before a move is committed
+   * @param {Object} plan - { from, to, changes, updatedPages } from PageService.planMove
+   * @param {Function} onConfirm - Called with the plan when the move is confirmed
+   */
+  showMovePreview(plan, onConfirm) {
+    const pageList = plan.updatedPages.length > 0
+      ? `<ul class="move-preview-list">${plan.updatedPages.map(page => `
+          <li>${this.escapeHtml(page.path)} <span class="move-preview-count">${page.count} link${page.count === 1 ? '' : 's'}</span></li>
+        `).join('')}</ul>`
+      : '<p>No other pages link to this page.</p>';
+    
+    const redirect = plan.changes.some(change => change.path === plan.from && change.type === 'write');
+    
+    const content = `
+      <p><strong>${this.escapeHtml(plan.from)}</strong> will be moved to <strong>${this.escapeHtml(plan.to)}</strong>
+        ${redirect ? 'and a redirect will be left at the old location' : ''}.</p>
+      <p>Links will be updated in ${plan.updatedPages.length} page${plan.updatedPages.length === 1 ? '' : 's'}:</p>
+      ${pageList}
+    `;
+    
+    this.showDialog('Confirm Move', content, [
+      {
+        text: 'Cancel',
+        action: 'close'
+      },
+      {
+        text: 'Move Page',
+        action: 'confirm',
+        primary: true,
+        handler: () => {
+          this.closeDialog();
+          onConfirm(plan);
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Show the dialog for deleting a page, warning about the pages that link to it
+   * @param {string} path - The page path
+   * @param {Array} backlinks - Array of { path, count } of pages linking to the page
+   * @param {Function} onDelete - Called with { tombstone, redirect } when the user confirms
+   */
+  showDeleteDialog(path, backlinks, onDelete) {
+    const linkList = backlinks.length > 0
+      ? `<p class="delete-warning">${backlinks.length} page${backlinks.length === 1 ? ' links' : 's link'} to this page and will have broken links:</p>
+        <ul class="move-preview-list">${backlinks.map(page => `
+          <li>${this.escapeHtml(page.path)}${page.path === 'sidebar.md' ? ' (sidebar)' : ''}
+            <span class="move-preview-count">${page.count} link${page.count === 1 ? '' : 's'}</span></li>
+        `).join('')}</ul>`
+      : '<p>No other pages link to this page.</p>';
+    
+    const content = `
+      <p>Delete <strong>${this.escapeHtml(path)}</strong>?</p>
+      ${linkList}
+      <div class="move-form">
+        <label for="tombstone-redirect">A tombstone keeps the page address and can forward readers to (optional):</label>
+        <input type="text" id="tombstone-redirect" placeholder="other/page">
+      </div>
+    `;
+    
+    const dialog = this.showDialog('Delete Page', content, [
+      {
+        text: 'Cancel',
+        action: 'close'
+      },
+      {
+        text: 'Leave Tombstone',
+        action: 'tombstone',
+        handler: () => {
+          const redirect = dialog.querySelector('#tombstone-redirect').value.trim();
+          this.closeDialog();
+          onDelete({ tombstone: true, redirect: redirect || null });
+        }
+      },
+      {
+        text: backlinks.length > 0 ? 'Delete Anyway' : 'Delete',
+        action: 'delete',
+        primary: true,
+        handler: () => {
+          this.closeDialog();
+          onDelete({ tombstone: false });
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Show the link to a pull request that was opened for an edit
+   * @param {Object} pullRequest - { url, number } of the pull request
+   */
+  showPullRequestDialog(pullRequest) {
+    const content = `
+      <p>Your changes were submitted for review as
+        <a href="${this.escapeHtml(pullRequest.url)}" target="_blank" rel="noopener">pull request #${pullRequest.number}</a>.
+        They will appear on the wiki once the pull request is merged.</p>
+    `;
+    
+    this.showDialog('Pull Request Opened', content, [
+      {
+        text: 'Close',
+        action: 'close'
+      },
+      {
+        text: 'View Pull Request',
+        action: 'open',
+        primary: true,
+        handler: () => {
+          window.open(pullRequest.url, '_blank', 'noopener');
+          this.closeDialog();
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - The text to escape
+   * @returns {string} - The escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Show file history dialog
    * @param {Array} history - Array of commit objects
@@ -214,12 +545,12 @@ export class UIService {
       <div class="history-item">
         <div class="history-info">
           <div class="history-author">
-            <img src="${commit.author?.avatar_url || ''}" alt="Avatar" class="history-avatar">
-            <span>${commit.commit.author.name}</span>
+            <img src="${commit.author.avatarUrl || ''}" alt="Avatar" class="history-avatar">
+            <span>${commit.author.name}</span>
           </div>
-          <div class="history-date">${new Date(commit.commit.author.date).toLocaleString()}</div>
+          <div class="history-date">${new Date(commit.date).toLocaleString()}</div>
         </div>
-        <div class="history-message">${commit.commit.message}</div>
+        <div class="history-message">${commit.message}</div>
         <div class="history-actions">
           <button class="history-view-button" data-sha="${commit.sha}" data-path="${path}">View this version</button>
         </div>
@@ -269,27 +600,11 @@ export class UIService {
     if (!window.wikiApp) return;
     
     try {
-      const config = window.wikiApp.config;
-      const url = `https://api.github.com/repos/${config.contentRepo}/contents/${path}?ref=${sha}`;
-      
-      const headers = {
-        'Accept': 'application/vnd.github.v3.raw'
-      };
-      
-      // Add authentication if available
-      const token = window.wikiApp.auth.getToken();
-      if (token) {
-        headers['Authorization'] = `token ${token}`;
+      const content = await window.wikiApp.content.getFileAtRevision(path, sha);
+      if (content === null) {
+        throw new Error(`${path} does not exist at ${sha}`);
       }
       
-      const response = await fetch(url, { headers });
-      
-      if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status}`);
-      }
-      
-      const content = await response.text();
-      
       // Show this content with a header indicating it's a historical version
       const contentElement = document.getElementById('article-content') || document.getElementById('content');
       if (contentElement) {
@@ -312,7 +627,8 @@ export class UIService {
         
         // Add the parsed content
         const contentDiv = document.createElement('div');
-        contentDiv.innerHTML = marked.parse(content);
+        contentDiv.innerHTML = window.wikiApp.markdown.render(content, { path });
+        window.wikiApp.markdown.loadFiles(contentDiv);
         contentElement.appendChild(contentDiv);
         
         // Add event listener to restore current version
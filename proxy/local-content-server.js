@@ -0,0 +1,583 @@
+/**
+ * Local Content Server
+ *
+ * Development server that serves the wiki engine and exposes a content directory
+ * (typically a checked-out content repository) to the local storage backend.
+ * Lets the whole wiki run offline, for development and automated tests.
+ *
+ * Usage:
+ *   node proxy/local-content-server.js <content-dir> [port]
+ *
+ * API (mounted under /__content):
+ *   GET  /files/<path>[?ref=<rev>]  - { path, content, sha } of a file
+ *   GET  /raw/<path>[?ref=<rev>]    - the bytes of a file, e.g. an image
+ *   PUT  /files/<path>              - write { content, message, sha } and commit it
+ *                                     (409 if sha is given and the file does not match)
+ *   DELETE /files/<path>            - delete { message, sha } and commit it
+ *   GET  /dirs/<path>[?ref=<rev>]   - directory entries
+ *   GET  /tree[?ref=<rev>]          - { sha, entries } of every file and directory
+ *   GET  /refs                      - [{ name, type: 'branch'|'tag' }] of the git repository
+ *   GET  /history/<path>[?ref=<rev>] - commit history of a file
+ *   POST /commit                    - apply { changes, message } as one commit
+ *                                     (400 unless changes lists writes and deletes)
+ *
+ * If the content directory is a git working copy, writes are committed and
+ * history/revisions come from git. Otherwise writes only touch the file. A write
+ * whose commit fails leaves the files as they were (422 if there was nothing to commit).
+ *
+ * The API only answers pages served by this server (checked with the Host, Origin and
+ * Sec-Fetch-Site headers), writes must send JSON and nothing under .git is readable
+ * or writable.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+const API_PREFIX = '/__content';
+const SITE_ROOT = path.resolve(__dirname, '..');
+const CONTENT_ROOT = path.resolve(process.argv[2] || process.env.CONTENT_DIR || '.');
+const PORT = parseInt(process.argv[3] || process.env.PORT || '8080', 10);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+// Host names this server answers API requests for
+const LOCAL_HOSTNAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+// git errors caused by the request rather than the server
+const CLIENT_GIT_ERROR = /nothing to commit|nothing added to commit|no changes added to commit|ignored by one of your \.gitignore files/;
+
+// Site configuration injected into every HTML page so the app uses this server
+const SITE_CONFIG = {
+  backend: 'local',
+  localContentUrl: API_PREFIX
+};
+
+/**
+ * Run a git command in the content directory
+ */
+function git(args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: CONTENT_ROOT, maxBuffer: 32 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        // Some failures, such as "nothing to commit", are only explained on stdout
+        reject(new Error(stderr.trim() || stdout.trim() || error.message));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Read a file as it is in a git revision, as bytes
+ */
+function gitShow(ref, repoPath) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['show', '--end-of-options', `${ref}:./${repoPath}`], { cwd: CONTENT_ROOT, encoding: 'buffer', maxBuffer: 32 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(stderr.toString().trim() || error.message));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Compute the git blob SHA of some content (same value GitHub reports)
+ */
+function blobSha(buffer) {
+  return crypto.createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+/**
+ * Resolve a repository path inside a root directory, refusing to escape it
+ */
+function resolveInside(root, relativePath) {
+  const resolved = path.resolve(root, '.' + path.posix.normalize('/' + relativePath));
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    return null;
+  }
+  return resolved;
+}
+
+/**
+ * Check whether a repository path points into git's own files, which the API never exposes
+ * (writing .git/config would let a page run commands on the next git call)
+ */
+function isGitPath(repoPath) {
+  return path.posix.normalize('/' + repoPath).split('/').some(segment => segment.toLowerCase() === '.git');
+}
+
+/**
+ * Check that an API request comes from a page served by this server. The Host header
+ * stops DNS rebinding; Origin and Sec-Fetch-Site stop other sites the developer visits,
+ * and a JSON body cannot be sent cross-site without a CORS preflight, which is never granted
+ */
+function isTrustedRequest(req) {
+  const host = req.headers.host || '';
+  const hostname = host.replace(/:\d+$/, '').toLowerCase();
+  if (!LOCAL_HOSTNAMES.includes(hostname)) {
+    return false;
+  }
+
+  const origin = req.headers.origin;
+  if (origin && origin !== `http://${host}`) {
+    return false;
+  }
+
+  const site = req.headers['sec-fetch-site'];
+  if (site && site !== 'same-origin' && site !== 'none') {
+    return false;
+  }
+
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return req.method === 'GET' || req.method === 'HEAD' || contentType === 'application/json';
+}
+
+/**
+ * Get the blob SHA of a file on disk, or null if it does not exist
+ */
+function currentSha(filePath) {
+  return fs.existsSync(filePath) ? blobSha(fs.readFileSync(filePath)) : null;
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+let isGitRepo = null;
+
+/**
+ * Check that a ?ref= value names a commit. Values starting with "-" are refused, as git
+ * would read them as options (e.g. --output=<file>)
+ */
+async function isCommit(ref) {
+  if (ref.startsWith('-')) {
+    return false;
+  }
+  try {
+    await git(['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function checkGitRepo() {
+  if (isGitRepo === null) {
+    try {
+      isGitRepo = (await git(['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+    } catch (error) {
+      isGitRepo = false;
+    }
+  }
+  return isGitRepo;
+}
+
+async function getFile(res, repoPath, ref) {
+  if (ref) {
+    if (!(await checkGitRepo())) {
+      return sendJson(res, 404, { message: 'Revisions require a git working copy' });
+    }
+    try {
+      const content = await git(['show', '--end-of-options', `${ref}:./${repoPath}`]);
+      return sendJson(res, 200, { path: repoPath, content, sha: blobSha(Buffer.from(content)) });
+    } catch (error) {
+      return sendJson(res, 404, { message: error.message });
+    }
+  }
+
+  const filePath = resolveInside(CONTENT_ROOT, repoPath);
+  if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return sendJson(res, 404, { message: 'Not Found' });
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  sendJson(res, 200, { path: repoPath, content: buffer.toString('utf8'), sha: blobSha(buffer) });
+}
+
+async function getRawFile(res, repoPath, ref) {
+  let buffer;
+  if (ref) {
+    if (!(await checkGitRepo())) {
+      return sendJson(res, 404, { message: 'Revisions require a git working copy' });
+    }
+    try {
+      buffer = await gitShow(ref, repoPath);
+    } catch (error) {
+      return sendJson(res, 404, { message: error.message });
+    }
+  } else {
+    const filePath = resolveInside(CONTENT_ROOT, repoPath);
+    if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return sendJson(res, 404, { message: 'Not Found' });
+    }
+    buffer = fs.readFileSync(filePath);
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(repoPath).toLowerCase()] || 'application/octet-stream' });
+  res.end(buffer);
+}
+
+async function putFile(req, res, repoPath) {
+  const filePath = resolveInside(CONTENT_ROOT, repoPath);
+  if (!filePath || !repoPath) {
+    return sendJson(res, 400, { message: 'Invalid path' });
+  }
+
+  const { content = '', message = `Update ${repoPath}`, sha } = JSON.parse(await readBody(req) || '{}');
+
+  // Reject writes based on a stale version of the file
+  if (sha !== undefined && currentSha(filePath) !== sha) {
+    return sendJson(res, 409, { path: repoPath, message: `${repoPath} does not match ${sha}` });
+  }
+
+  const commit = await applyChanges([{ type: 'write', path: repoPath, filePath, content }], message);
+  sendJson(res, 200, { path: repoPath, sha: blobSha(Buffer.from(content)), commit });
+}
+
+async function deleteFile(req, res, repoPath) {
+  const filePath = resolveInside(CONTENT_ROOT, repoPath);
+  if (!filePath || !repoPath) {
+    return sendJson(res, 400, { message: 'Invalid path' });
+  }
+  if (!fs.existsSync(filePath)) {
+    return sendJson(res, 404, { message: 'Not Found' });
+  }
+
+  const { message = `Delete ${repoPath}`, sha } = JSON.parse(await readBody(req) || '{}');
+
+  if (sha !== undefined && currentSha(filePath) !== sha) {
+    return sendJson(res, 409, { path: repoPath, message: `${repoPath} does not match ${sha}` });
+  }
+
+  const commit = await applyChanges([{ type: 'delete', path: repoPath, filePath }], message);
+  sendJson(res, 200, { commit });
+}
+
+async function commitChanges(req, res) {
+  const { changes = [], message = 'Update files' } = JSON.parse(await readBody(req) || '{}');
+
+  // The request itself was checked by handleApi; its body is checked before anything is written
+  const isChange = change => change && ['write', 'delete'].includes(change.type) && typeof change.path === 'string';
+  if (!Array.isArray(changes) || changes.length === 0 || !changes.every(isChange) || typeof message !== 'string') {
+    return sendJson(res, 400, { message: 'Expected { changes: [{ type, path, content }], message }' });
+  }
+
+  // Validate every path before touching the directory
+  const targets = changes.map(change => ({ ...change, filePath: resolveInside(CONTENT_ROOT, change.path) }));
+  if (targets.some(change => !change.filePath || !change.path || isGitPath(change.path))) {
+    return sendJson(res, 400, { message: 'Invalid path' });
+  }
+
+  // Reject the whole commit if any file changed since its change was staged
+  const stale = targets.find(change => change.sha !== undefined && currentSha(change.filePath) !== change.sha);
+  if (stale) {
+    return sendJson(res, 409, { path: stale.path, message: `${stale.path} does not match ${stale.sha}` });
+  }
+
+  const commit = await applyChanges(targets, message);
+  sendJson(res, 200, { commit });
+}
+
+/**
+ * Write and delete files, and commit them if the content directory is a git working copy.
+ * If the commit fails, the files get their previous content back and are unstaged; the
+ * error carries a 422 statusCode when git refused the request itself
+ */
+async function applyChanges(targets, message) {
+  const previous = targets.map(change => fs.existsSync(change.filePath) ? fs.readFileSync(change.filePath) : null);
+  const createdDirectories = [];
+
+  for (const change of targets) {
+    if (change.type === 'delete') {
+      fs.rmSync(change.filePath, { force: true });
+    } else {
+      const created = fs.mkdirSync(path.dirname(change.filePath), { recursive: true });
+      if (created) {
+        createdDirectories.push(created);
+      }
+      fs.writeFileSync(change.filePath, Buffer.from(change.content || '', change.encoding === 'base64' ? 'base64' : 'utf8'));
+    }
+  }
+
+  if (!(await checkGitRepo())) {
+    return null;
+  }
+
+  const paths = targets.map(change => change.path);
+  try {
+    await git(['add', '--all', '--', ...paths]);
+    await git(['commit', '-m', message, '--', ...paths]);
+  } catch (error) {
+    targets.forEach((change, index) => {
+      if (previous[index] === null) {
+        fs.rmSync(change.filePath, { force: true });
+      } else {
+        fs.mkdirSync(path.dirname(change.filePath), { recursive: true });
+        fs.writeFileSync(change.filePath, previous[index]);
+      }
+    });
+    createdDirectories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    await git(['reset', '--quiet', '--', ...paths]).catch(() => {});
+
+    if (CLIENT_GIT_ERROR.test(error.message)) {
+      error.statusCode = 422;
+    }
+    throw error;
+  }
+
+  return (await git(['rev-parse', 'HEAD'])).trim();
+}
+
+function listDirectory(res, repoPath) {
+  const dirPath = resolveInside(CONTENT_ROOT, repoPath);
+  if (!dirPath || !fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    return sendJson(res, 404, { message: 'Not Found' });
+  }
+
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => entry.name !== '.git')
+    .map(entry => {
+      const entryPath = repoPath ? `${repoPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        return { name: entry.name, path: entryPath, type: 'dir', sha: null, size: 0 };
+      }
+      const buffer = fs.readFileSync(path.join(dirPath, entry.name));
+      return { name: entry.name, path: entryPath, type: 'file', sha: blobSha(buffer), size: buffer.length };
+    });
+
+  sendJson(res, 200, entries);
+}
+
+/**
+ * List the entries of a git tree at a revision, as the /dirs and /tree endpoints return them
+ */
+async function listTreeAt(ref, repoPath, recursive) {
+  const args = ['ls-tree', '-l', '-z', ...(recursive ? ['-r', '-t'] : []), '--end-of-options', ref];
+  if (repoPath) {
+    args.push('--', `${repoPath}/`);
+  }
+
+  const output = await git(args);
+  return output.split('\0').filter(Boolean).map(line => {
+    const [info, entryPath] = line.split('\t');
+    const [, type, sha, size] = info.split(/\s+/);
+    return {
+      name: path.posix.basename(entryPath),
+      path: entryPath,
+      type: type === 'tree' ? 'dir' : 'file',
+      sha: type === 'tree' ? null : sha,
+      size: type === 'tree' ? 0 : parseInt(size, 10)
+    };
+  });
+}
+
+async function listDirectoryAt(res, repoPath, ref) {
+  if (!(await checkGitRepo())) {
+    return sendJson(res, 404, { message: 'Revisions require a git working copy' });
+  }
+
+  try {
+    sendJson(res, 200, await listTreeAt(ref, repoPath, false));
+  } catch (error) {
+    sendJson(res, 404, { message: error.message });
+  }
+}
+
+async function getTreeAt(res, ref) {
+  if (!(await checkGitRepo())) {
+    return sendJson(res, 404, { message: 'Revisions require a git working copy' });
+  }
+
+  try {
+    const sha = (await git(['rev-parse', '--verify', '--end-of-options', `${ref}^{tree}`])).trim();
+    const entries = (await listTreeAt(ref, '', true)).map(({ name, ...entry }) => entry);
+    sendJson(res, 200, { sha, entries });
+  } catch (error) {
+    sendJson(res, 404, { message: error.message });
+  }
+}
+
+async function listRefs(res) {
+  if (!(await checkGitRepo())) {
+    return sendJson(res, 200, []);
+  }
+
+  const output = await git(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/tags']);
+  const refs = output.split('\n').filter(Boolean).map(refName => ({
+    name: refName.replace(/^refs\/(heads|tags)\//, ''),
+    type: refName.startsWith('refs/tags/') ? 'tag' : 'branch'
+  }));
+
+  sendJson(res, 200, refs);
+}
+
+function getTree(res) {
+  const entries = [];
+
+  const walk = (dirPath, repoPath) => {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.name === '.git') continue;
+
+      const entryPath = repoPath ? `${repoPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        entries.push({ path: entryPath, type: 'dir', sha: null, size: 0 });
+        walk(path.join(dirPath, entry.name), entryPath);
+      } else {
+        const buffer = fs.readFileSync(path.join(dirPath, entry.name));
+        entries.push({ path: entryPath, type: 'file', sha: blobSha(buffer), size: buffer.length });
+      }
+    }
+  };
+
+  walk(CONTENT_ROOT, '');
+
+  // Stands in for the git tree SHA: changes whenever any path or content changes
+  const sha = crypto.createHash('sha1')
+    .update(entries.map(entry => `${entry.path} ${entry.sha}`).join('\n'))
+    .digest('hex');
+
+  sendJson(res, 200, { sha, entries });
+}
+
+async function getHistory(res, repoPath, ref) {
+  if (!(await checkGitRepo())) {
+    return sendJson(res, 200, []);
+  }
+
+  const output = await git(['log', '--follow', '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1e', ...(ref ? ['--end-of-options', ref] : []), '--', repoPath]);
+  const commits = output.split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [sha, name, email, date, message] = record.split('\x1f');
+      return {
+        sha,
+        message,
+        date,
+        author: { name, login: email, avatarUrl: '' }
+      };
+    });
+
+  sendJson(res, 200, commits);
+}
+
+async function handleApi(req, res, url) {
+  const [, endpoint, ...rest] = url.pathname.slice(API_PREFIX.length).split('/');
+  const repoPath = rest.map(decodeURIComponent).join('/').replace(/^\/+|\/+$/g, '');
+
+  if (!isTrustedRequest(req)) {
+    return sendJson(res, 403, { message: 'Requests must come from the wiki served by this server' });
+  }
+  if (isGitPath(repoPath)) {
+    return sendJson(res, 404, { message: 'Not Found' });
+  }
+
+  // Revisions are checked before any handler passes them to git
+  const ref = url.searchParams.get('ref');
+  if (ref && (ref.startsWith('-') || ((await checkGitRepo()) && !(await isCommit(ref))))) {
+    return sendJson(res, 404, { message: `Unknown revision: ${ref}` });
+  }
+
+  if (endpoint === 'files' && req.method === 'GET') {
+    return getFile(res, repoPath, ref);
+  }
+  if (endpoint === 'raw' && req.method === 'GET') {
+    return getRawFile(res, repoPath, ref);
+  }
+  if (endpoint === 'files' && req.method === 'PUT') {
+    return putFile(req, res, repoPath);
+  }
+  if (endpoint === 'files' && req.method === 'DELETE') {
+    return deleteFile(req, res, repoPath);
+  }
+  if (endpoint === 'commit' && req.method === 'POST') {
+    return commitChanges(req, res);
+  }
+  if (endpoint === 'dirs' && req.method === 'GET') {
+    return ref ? listDirectoryAt(res, repoPath, ref) : listDirectory(res, repoPath);
+  }
+  if (endpoint === 'tree' && req.method === 'GET') {
+    return ref ? getTreeAt(res, ref) : getTree(res);
+  }
+  if (endpoint === 'refs' && req.method === 'GET') {
+    return listRefs(res);
+  }
+  if (endpoint === 'history' && req.method === 'GET') {
+    return getHistory(res, repoPath, ref);
+  }
+
+  sendJson(res, 404, { message: 'Unknown endpoint' });
+}
+
+function serveStatic(res, url) {
+  const filePath = resolveInside(SITE_ROOT, url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname));
+  if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not Found');
+  }
+
+  const extension = path.extname(filePath);
+  let body = fs.readFileSync(filePath);
+
+  if (extension === '.html') {
+    const script = `<script>window.wikiSiteConfig = ${JSON.stringify(SITE_CONFIG)};</script>`;
+    body = body.toString('utf8').replace('</head>', `    ${script}\n</head>`);
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[extension] || 'application/octet-stream' });
+  res.end(body);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (url.pathname.startsWith(API_PREFIX + '/')) {
+      await handleApi(req, res, url);
+    } else {
+      serveStatic(res, url);
+    }
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Local content server error:', error);
+    }
+    sendJson(res, error.statusCode || 500, { message: error.message });
+  }
+});
+
+// Writes are not authenticated, so only this machine may connect
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Serving wiki at http://127.0.0.1:${PORT}/ with content from ${CONTENT_ROOT}`);
+});
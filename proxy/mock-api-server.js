@@ -0,0 +1,550 @@
+/**
+ * Mock Git Hosting API Server
+ *
+ * Development server that mimics the parts of the GitLab (v4) or Gitea (v1) REST API
+ * the wiki uses, including the OAuth login, so the GitLab and Gitea backends can be
+ * tested without an instance. The content directory is loaded into memory as the
+ * repository "wiki/content" (branch "main"); saves create in-memory commits and are
+ * lost when the server stops.
+ *
+ * Usage:
+ *   node proxy/mock-api-server.js <gitlab|gitea> <content-dir> [port]
+ *
+ * The wiki is served at http://localhost:<port>/ configured for the mocked backend.
+ * Any token is accepted, but writes without one are rejected with 401.
+ *
+ * GitLab API (under /api/v4):
+ *   GET  /user, /projects/:id
+ *   GET  /projects/:id/repository/files/:path[/raw]?ref=
+ *   GET  /projects/:id/repository/tree?path=&ref=&recursive=
+ *   GET  /projects/:id/repository/commits[/:ref]?path=&ref_name=
+ *   POST /projects/:id/repository/commits
+ *   GET  /projects/:id/repository/branches, /projects/:id/repository/tags
+ *   OAuth: GET /oauth/authorize, POST /oauth/token
+ *
+ * Gitea API (under /api/v1):
+ *   GET  /user, /repos/:owner/:repo
+ *   GET  /repos/:owner/:repo/contents/:path?ref=, /repos/:owner/:repo/raw/:path?ref=
+ *   POST/PUT/DELETE /repos/:owner/:repo/contents/:path
+ *   POST /repos/:owner/:repo/contents
+ *   GET  /repos/:owner/:repo/git/trees/:ref?recursive=&page=
+ *   GET  /repos/:owner/:repo/commits?path=&sha=
+ *   GET  /repos/:owner/:repo/branches, /repos/:owner/:repo/tags
+ *   OAuth: GET /login/oauth/authorize, POST /login/oauth/access_token
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FLAVOR = process.argv[2];
+const SITE_ROOT = path.resolve(__dirname, '..');
+const CONTENT_ROOT = path.resolve(process.argv[3] || '.');
+const PORT = parseInt(process.argv[4] || process.env.PORT || '8080', 10);
+
+const REPO = 'wiki/content';
+const BRANCH = 'main';
+const PAGE_SIZE = 100;
+const MOCK_USER = { id: 1, login: 'mock-user', username: 'mock-user', name: 'Mock User', avatar_url: '' };
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+if (FLAVOR !== 'gitlab' && FLAVOR !== 'gitea') {
+  console.error('Usage: node proxy/mock-api-server.js <gitlab|gitea> <content-dir> [port]');
+  process.exit(1);
+}
+
+/**
+ * Compute the git blob SHA of some content
+ */
+function blobSha(buffer) {
+  return crypto.createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Commits from oldest to newest, each with a snapshot of every file
+const commits = [];
+
+function addCommit(files, message, author = MOCK_USER) {
+  const parent = commits[commits.length - 1];
+  const date = new Date().toISOString();
+  commits.push({
+    sha: sha1(`${parent ? parent.sha : ''}\n${message}\n${date}\n${commits.length}`),
+    parent,
+    message,
+    date,
+    author,
+    files
+  });
+  return commits[commits.length - 1];
+}
+
+function loadContent() {
+  const files = new Map();
+
+  const walk = (dirPath, repoPath) => {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.name === '.git') continue;
+
+      const entryPath = repoPath ? `${repoPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(dirPath, entry.name), entryPath);
+      } else {
+        files.set(entryPath, fs.readFileSync(path.join(dirPath, entry.name)));
+      }
+    }
+  };
+
+  walk(CONTENT_ROOT, '');
+  addCommit(files, 'Initial content');
+}
+
+/**
+ * Find the commit a branch name or commit SHA points to
+ */
+function resolveRef(ref) {
+  if (!ref || ref === BRANCH) {
+    return commits[commits.length - 1];
+  }
+  return commits.find(commit => commit.sha === ref || (ref.length >= 7 && commit.sha.startsWith(ref))) || null;
+}
+
+/**
+ * List the files and directories of a snapshot below a directory
+ */
+function listEntries(files, dir, recursive) {
+  const prefix = dir ? `${dir}/` : '';
+  const entries = new Map();
+
+  for (const [filePath, buffer] of files) {
+    if (!filePath.startsWith(prefix)) continue;
+
+    const parts = filePath.substring(prefix.length).split('/');
+    const depth = recursive ? parts.length : 1;
+    for (let i = 1; i <= depth; i++) {
+      const entryPath = prefix + parts.slice(0, i).join('/');
+      if (i < parts.length) {
+        entries.set(entryPath, { path: entryPath, name: parts[i - 1], type: 'dir', sha: treeSha(files, entryPath), size: 0 });
+      } else {
+        entries.set(entryPath, { path: entryPath, name: parts[i - 1], type: 'file', sha: blobSha(buffer), size: buffer.length });
+      }
+    }
+  }
+
+  return Array.from(entries.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Stand-in for a git tree SHA: changes whenever a path or content below the directory changes
+ */
+function treeSha(files, dir) {
+  const prefix = dir ? `${dir}/` : '';
+  const lines = Array.from(files)
+    .filter(([filePath]) => filePath.startsWith(prefix))
+    .map(([filePath, buffer]) => `${filePath} ${blobSha(buffer)}`)
+    .sort();
+  return sha1(lines.join('\n'));
+}
+
+/**
+ * Get the commits that changed a file, newest first
+ */
+function fileHistory(head, filePath) {
+  const history = [];
+  for (let commit = head; commit; commit = commit.parent) {
+    const before = commit.parent ? commit.parent.files.get(filePath) : undefined;
+    const after = commit.files.get(filePath);
+    if ((before ? blobSha(before) : null) !== (after ? blobSha(after) : null)) {
+      history.push(commit);
+    }
+  }
+  return history;
+}
+
+function sendJson(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': MIME_TYPES['.json'], ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function sendText(res, statusCode, text) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Answer the OAuth authorization and token requests of both flavors
+ */
+async function handleOAuth(req, res, url) {
+  if (req.method === 'GET') {
+    // Skip the consent screen and send the user straight back with a code
+    const redirect = new URL(url.searchParams.get('redirect_uri'));
+    redirect.searchParams.set('code', 'mock-code');
+    if (url.searchParams.get('state')) {
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+    }
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  await readBody(req);
+  sendJson(res, 200, { access_token: `mock-${FLAVOR}-token`, token_type: 'bearer', scope: 'api' });
+}
+
+/**
+ * GitLab API (v4)
+ */
+async function handleGitLab(req, res, url, segments) {
+  if (segments[0] === 'user') {
+    return sendJson(res, 200, MOCK_USER);
+  }
+
+  // /projects/:id/... where :id is the URL-encoded project path
+  if (segments[0] !== 'projects' || decodeURIComponent(segments[1] || '') !== REPO) {
+    return sendJson(res, 404, { message: '404 Project Not Found' });
+  }
+
+  const [resource, ...rest] = segments.slice(2);
+  const params = url.searchParams;
+
+  if (!resource) {
+    return sendJson(res, 200, {
+      id: 1,
+      path_with_namespace: REPO,
+      default_branch: BRANCH,
+      permissions: { project_access: { access_level: 40 }, group_access: null }
+    });
+  }
+  if (resource !== 'repository') {
+    return sendJson(res, 404, { message: '404 Not Found' });
+  }
+
+  const [kind, ...args] = rest;
+
+  if (kind === 'files' && req.method === 'GET') {
+    const commit = resolveRef(params.get('ref'));
+    const filePath = decodeURIComponent(args[0] || '');
+    const buffer = commit ? commit.files.get(filePath) : undefined;
+    if (!buffer) {
+      return sendJson(res, 404, { message: '404 File Not Found' });
+    }
+    if (args[1] === 'raw') {
+      return sendText(res, 200, buffer.toString('utf8'));
+    }
+    return sendJson(res, 200, {
+      file_name: path.posix.basename(filePath),
+      file_path: filePath,
+      size: buffer.length,
+      encoding: 'base64',
+      content: buffer.toString('base64'),
+      ref: params.get('ref'),
+      blob_id: blobSha(buffer),
+      commit_id: commit.sha,
+      last_commit_id: fileHistory(commit, filePath)[0].sha
+    });
+  }
+
+  if (kind === 'tree') {
+    const commit = resolveRef(params.get('ref'));
+    if (!commit) {
+      return sendJson(res, 404, { message: '404 Tree Not Found' });
+    }
+    const entries = listEntries(commit.files, params.get('path') || '', params.get('recursive') === 'true');
+    const page = parseInt(params.get('page') || '1', 10);
+    const perPage = parseInt(params.get('per_page') || String(PAGE_SIZE), 10);
+    const items = entries.slice((page - 1) * perPage, page * perPage).map(entry => ({
+      id: entry.sha,
+      name: entry.name,
+      type: entry.type === 'dir' ? 'tree' : 'blob',
+      path: entry.path,
+      mode: entry.type === 'dir' ? '040000' : '100644'
+    }));
+    const hasNext = page * perPage < entries.length;
+    return sendJson(res, 200, items, { 'X-Next-Page': hasNext ? String(page + 1) : '' });
+  }
+
+  if (kind === 'commits' && req.method === 'GET') {
+    const toGitLab = commit => ({
+      id: commit.sha,
+      short_id: commit.sha.substring(0, 8),
+      title: commit.message.split('\n')[0],
+      message: commit.message,
+      author_name: commit.author.name,
+      author_email: `${commit.author.login}@example.com`,
+      authored_date: commit.date
+    });
+
+    if (args[0]) {
+      const commit = resolveRef(decodeURIComponent(args[0]));
+      return commit ? sendJson(res, 200, toGitLab(commit)) : sendJson(res, 404, { message: '404 Commit Not Found' });
+    }
+
+    const head = resolveRef(params.get('ref_name'));
+    const history = params.get('path') ? fileHistory(head, params.get('path')) : [];
+    return sendJson(res, 200, history.map(toGitLab));
+  }
+
+  if (kind === 'commits' && req.method === 'POST') {
+    const { branch, commit_message: message, actions = [] } = JSON.parse(await readBody(req) || '{}');
+    if (branch !== BRANCH) {
+      return sendJson(res, 400, { message: 'You can only create or edit files when you are on a branch' });
+    }
+
+    const files = new Map(resolveRef(BRANCH).files);
+    for (const action of actions) {
+      const exists = files.has(action.file_path);
+      if (action.action === 'create' && exists) {
+        return sendJson(res, 400, { message: 'A file with this name already exists' });
+      }
+      if ((action.action === 'update' || action.action === 'delete') && !exists) {
+        return sendJson(res, 400, { message: "A file with this name doesn't exist" });
+      }
+
+      if (action.action === 'delete') {
+        files.delete(action.file_path);
+      } else {
+        files.set(action.file_path, Buffer.from(action.content || '', action.encoding === 'base64' ? 'base64' : 'utf8'));
+      }
+    }
+
+    const commit = addCommit(files, message);
+    return sendJson(res, 201, { id: commit.sha, message: commit.message, authored_date: commit.date });
+  }
+
+  if (kind === 'branches') {
+    return sendJson(res, 200, [{ name: BRANCH, default: true, commit: { id: resolveRef(BRANCH).sha } }]);
+  }
+  if (kind === 'tags') {
+    return sendJson(res, 200, []);
+  }
+
+  sendJson(res, 404, { message: '404 Not Found' });
+}
+
+/**
+ * Gitea API (v1)
+ */
+async function handleGitea(req, res, url, segments) {
+  if (segments[0] === 'user') {
+    return sendJson(res, 200, MOCK_USER);
+  }
+
+  if (segments[0] !== 'repos' || `${segments[1]}/${segments[2]}` !== REPO) {
+    return sendJson(res, 404, { message: 'repository does not exist' });
+  }
+
+  const [kind, ...args] = segments.slice(3);
+  const params = url.searchParams;
+  const filePath = args.map(decodeURIComponent).join('/');
+
+  if (!kind) {
+    return sendJson(res, 200, {
+      full_name: REPO,
+      default_branch: BRANCH,
+      permissions: { admin: true, push: true, pull: true }
+    });
+  }
+
+  if (kind === 'contents' && req.method === 'GET') {
+    const commit = resolveRef(params.get('ref'));
+    if (!commit) {
+      return sendJson(res, 404, { message: 'object does not exist' });
+    }
+    const buffer = commit.files.get(filePath);
+    if (buffer) {
+      return sendJson(res, 200, {
+        name: path.posix.basename(filePath),
+        path: filePath,
+        sha: blobSha(buffer),
+        type: 'file',
+        size: buffer.length,
+        encoding: 'base64',
+        content: buffer.toString('base64')
+      });
+    }
+    const entries = listEntries(commit.files, filePath, false);
+    if (entries.length === 0) {
+      return sendJson(res, 404, { message: 'object does not exist' });
+    }
+    return sendJson(res, 200, entries.map(({ name, path: entryPath, type, sha, size }) => ({ name, path: entryPath, type, sha, size })));
+  }
+
+  if (kind === 'contents') {
+    const body = JSON.parse(await readBody(req) || '{}');
+    if ((body.branch || BRANCH) !== BRANCH) {
+      return sendJson(res, 404, { message: 'branch does not exist' });
+    }
+
+    // POST /contents applies several operations in one commit
+    const operations = filePath
+      ? [{ operation: { POST: 'create', PUT: 'update', DELETE: 'delete' }[req.method], path: filePath, content: body.content, sha: body.sha }]
+      : body.files || [];
+
+    const files = new Map(resolveRef(BRANCH).files);
+    for (const operation of operations) {
+      const current = files.get(operation.path);
+      if (operation.operation === 'create' && current) {
+        return sendJson(res, 422, { message: `repository file already exists [path: ${operation.path}]` });
+      }
+      if (operation.operation !== 'create' && !current) {
+        return sendJson(res, 404, { message: `file does not exist [path: ${operation.path}]` });
+      }
+      if (operation.operation !== 'create' && blobSha(current) !== operation.sha) {
+        return sendJson(res, 422, { message: `sha does not match [given: ${operation.sha}, expected: ${blobSha(current)}]` });
+      }
+
+      if (operation.operation === 'delete') {
+        files.delete(operation.path);
+      } else {
+        files.set(operation.path, Buffer.from(operation.content || '', 'base64'));
+      }
+    }
+
+    const commit = addCommit(files, body.message || 'Update files');
+    const toContent = operation => operation.operation === 'delete' ? null : {
+      name: path.posix.basename(operation.path),
+      path: operation.path,
+      sha: blobSha(files.get(operation.path)),
+      type: 'file'
+    };
+
+    if (!filePath) {
+      return sendJson(res, 201, { files: operations.map(toContent), commit: { sha: commit.sha, message: commit.message } });
+    }
+    return sendJson(res, req.method === 'POST' ? 201 : 200, { content: toContent(operations[0]), commit: { sha: commit.sha, message: commit.message } });
+  }
+
+  if (kind === 'raw') {
+    const commit = resolveRef(params.get('ref'));
+    const buffer = commit ? commit.files.get(filePath) : undefined;
+    return buffer ? sendText(res, 200, buffer.toString('utf8')) : sendJson(res, 404, { message: 'object does not exist' });
+  }
+
+  if (kind === 'git' && args[0] === 'trees') {
+    const commit = resolveRef(decodeURIComponent(args[1] || ''));
+    if (!commit) {
+      return sendJson(res, 404, { message: 'sha not found' });
+    }
+    const entries = listEntries(commit.files, '', params.get('recursive') === 'true');
+    const page = parseInt(params.get('page') || '1', 10);
+    const perPage = parseInt(params.get('per_page') || String(PAGE_SIZE), 10);
+    return sendJson(res, 200, {
+      sha: treeSha(commit.files, ''),
+      tree: entries.slice((page - 1) * perPage, page * perPage).map(entry => ({
+        path: entry.path,
+        mode: entry.type === 'dir' ? '040000' : '100644',
+        type: entry.type === 'dir' ? 'tree' : 'blob',
+        size: entry.size,
+        sha: entry.sha
+      })),
+      truncated: page * perPage < entries.length,
+      page,
+      total_count: entries.length
+    });
+  }
+
+  if (kind === 'commits') {
+    const head = resolveRef(params.get('sha'));
+    const history = head ? (params.get('path') ? fileHistory(head, params.get('path')) : []) : [];
+    return sendJson(res, 200, history.map(commit => ({
+      sha: commit.sha,
+      commit: {
+        message: commit.message,
+        author: { name: commit.author.name, email: `${commit.author.login}@example.com`, date: commit.date }
+      },
+      author: { login: commit.author.login, avatar_url: commit.author.avatar_url }
+    })));
+  }
+
+  if (kind === 'branches') {
+    return sendJson(res, 200, [{ name: BRANCH, commit: { id: resolveRef(BRANCH).sha } }]);
+  }
+  if (kind === 'tags') {
+    return sendJson(res, 200, []);
+  }
+
+  sendJson(res, 404, { message: 'Not Found' });
+}
+
+function serveStatic(req, res, url) {
+  const filePath = path.resolve(SITE_ROOT, '.' + path.posix.normalize('/' + (url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname))));
+  if (!filePath.startsWith(SITE_ROOT + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return sendText(res, 404, 'Not Found');
+  }
+
+  const extension = path.extname(filePath);
+  let body = fs.readFileSync(filePath);
+
+  // Point the wiki at this server
+  if (extension === '.html') {
+    const config = { backend: FLAVOR, serverUrl: `http://${req.headers.host}`, contentRepo: REPO, defaultBranch: BRANCH };
+    const script = `<script>window.wikiSiteConfig = ${JSON.stringify(config)};</script>`;
+    body = body.toString('utf8').replace('</head>', `    ${script}\n</head>`);
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[extension] || 'application/octet-stream' });
+  res.end(body);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const apiPrefix = FLAVOR === 'gitlab' ? '/api/v4/' : '/api/v1/';
+  const oauthPaths = FLAVOR === 'gitlab'
+    ? ['/oauth/authorize', '/oauth/token']
+    : ['/login/oauth/authorize', '/login/oauth/access_token'];
+
+  try {
+    if (oauthPaths.includes(url.pathname)) {
+      await handleOAuth(req, res, url);
+    } else if (url.pathname.startsWith(apiPrefix)) {
+      if (req.method !== 'GET' && !req.headers.authorization) {
+        return sendJson(res, 401, { message: '401 Unauthorized' });
+      }
+
+      // Keep segments encoded so GitLab's encoded project and file paths stay one segment
+      const segments = url.pathname.substring(apiPrefix.length).split('/').filter(Boolean);
+      if (FLAVOR === 'gitlab') {
+        await handleGitLab(req, res, url, segments);
+      } else {
+        await handleGitea(req, res, url, segments);
+      }
+    } else {
+      serveStatic(req, res, url);
+    }
+  } catch (error) {
+    console.error('Mock API server error:', error);
+    sendJson(res, 500, { message: error.message });
+  }
+});
+
+loadContent();
+
+server.listen(PORT, () => {
+  console.log(`Serving wiki at http://localhost:${PORT}/ with a mock ${FLAVOR} API for content from ${CONTENT_ROOT}`);
+});
\ No newline at end of file
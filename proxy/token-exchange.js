@@ -1,5 +1,5 @@
 /**
- * GitHub OAuth Token Exchange Proxy
+ * OAuth Token Exchange Proxy
  * 
  * This is a simple proxy service that handles the exchange of an OAuth code for a token.
  * It should be deployed separately from the main GitHub Pages site, such as on a serverless
@@ -8,8 +8,31 @@
  * Environment variables required:
  * - GITHUB_CLIENT_ID: Your GitHub OAuth App client ID
  * - GITHUB_CLIENT_SECRET: Your GitHub OAuth App client secret
+ * 
+ * For GitLab or Gitea backends (selected by the "provider" field of the request):
+ * - GITLAB_URL, GITLAB_CLIENT_ID, GITLAB_CLIENT_SECRET: Your GitLab instance and application
+ * - GITEA_URL, GITEA_CLIENT_ID, GITEA_CLIENT_SECRET: Your Gitea instance and OAuth2 application
  */
 
+// Token endpoints; the instance URLs come from the environment, never from the request
+const PROVIDERS = {
+  github: {
+    tokenUrl: () => 'https://github.com/login/oauth/access_token',
+    clientId: () => process.env.GITHUB_CLIENT_ID,
+    clientSecret: () => process.env.GITHUB_CLIENT_SECRET
+  },
+  gitlab: {
+    tokenUrl: () => `${process.env.GITLAB_URL || 'https://gitlab.com'}/oauth/token`,
+    clientId: () => process.env.GITLAB_CLIENT_ID,
+    clientSecret: () => process.env.GITLAB_CLIENT_SECRET
+  },
+  gitea: {
+    tokenUrl: () => `${process.env.GITEA_URL}/login/oauth/access_token`,
+    clientId: () => process.env.GITEA_CLIENT_ID,
+    clientSecret: () => process.env.GITEA_CLIENT_SECRET
+  }
+};
+
 // This is an example for Netlify Functions or Vercel Serverless Functions
 exports.handler = async function(event, context) {
   // Enable CORS
@@ -41,19 +64,27 @@ exports.handler = async function(event, context) {
     // Parse request body
     const requestBody = JSON.parse(event.body);
     const code = requestBody.code;
+    const provider = PROVIDERS[requestBody.provider || 'github'];
 
     if (!code) {
       throw new Error('No code provided');
     }
+    if (!provider) {
+      throw new Error(`Unknown provider: ${requestBody.provider}`);
+    }
 
-    // Prepare request to GitHub
+    // Prepare request to the provider; GitLab and Gitea require the grant type and redirect URI
     const params = new URLSearchParams();
-    params.append('client_id', process.env.GITHUB_CLIENT_ID);
-    params.append('client_secret', process.env.GITHUB_CLIENT_SECRET);
+    params.append('client_id', provider.clientId());
+    params.append('client_secret', provider.clientSecret());
     params.append('code', code);
+    if (requestBody.provider && requestBody.provider !== 'github') {
+      params.append('grant_type', 'authorization_code');
+      params.append('redirect_uri', requestBody.redirect_uri || '');
+    }
 
     // Exchange code for token
-    const response = await fetch('https://github.com/login/oauth/access_token', {
+    const response = await fetch(provider.tokenUrl(), {
       method: 'POST',
       headers: {
         'Accept': 'application/json',
@@ -65,7 +96,7 @@ exports.handler = async function(event, context) {
     const data = await response.json();
 
     if (data.error) {
-      throw new Error(`GitHub error: ${data.error}`);
+      throw new Error(`OAuth error: ${data.error}`);
     }
 
     // Return token without exposing client secret
@@ -0,0 +1,154 @@
+/**
+ * Service Worker
+ * 
+ * Caches the app shell and previously fetched content so the wiki can be read
+ * offline. Requests go to the network first and fall back to the cache.
+ */
+
+const SHELL_CACHE = 'wiki-shell-v1';
+// Cleared by AuthService.logout, which repeats the name
+const CONTENT_CACHE = 'wiki-content-v1';
+
+// Files needed to start the app; other same-origin files are cached when first used
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/article.html',
+  '/edit.html',
+  '/settings.html',
+  '/assets/css/style.css',
+  '/assets/css/markdown.css',
+  '/assets/css/editor.css',
+  '/assets/css/dark-theme.css',
+  '/assets/img/logo.svg',
+  '/assets/lib/marked.min.js',
+  '/assets/lib/katex/katex.min.js',
+  '/assets/lib/katex/katex.min.css',
+  '/assets/js/app.js',
+  '/assets/js/auth.js',
+  '/assets/js/backlinks.js',
+  '/assets/js/cache.js',
+  '/assets/js/changeset.js',
+  '/assets/js/content.js',
+  '/assets/js/diagrams.js',
+  '/assets/js/editor.js',
+  '/assets/js/frontmatter.js',
+  '/assets/js/links.js',
+  '/assets/js/markdown.js',
+  '/assets/js/merge.js',
+  '/assets/js/navigation.js',
+  '/assets/js/outbox.js',
+  '/assets/js/pages.js',
+  '/assets/js/request.js',
+  '/assets/js/sanitize.js',
+  '/assets/js/search.js',
+  '/assets/js/settings.js',
+  '/assets/js/tree.js',
+  '/assets/js/ui.js',
+  '/assets/js/storage/storage-adapter.js',
+  '/assets/js/storage/encoding.js',
+  '/assets/js/storage/github-storage.js',
+  '/assets/js/storage/gitlab-storage.js',
+  '/assets/js/storage/gitea-storage.js',
+  '/assets/js/storage/local-storage.js'
+];
+
+// Who the user is and what they may do in the repository: never cached, so that a new
+// token or changed permissions take effect at once
+const IDENTITY_REQUESTS = [
+  /^\/user$/, // GitHub user
+  /^\/repos\/[^/]+\/[^/]+$/, // GitHub repository, with the user's permissions
+  /\/api\/v4\/user$/, // GitLab user
+  /\/api\/v4\/projects\/[^/]+$/, // GitLab project, with the user's permissions
+  /\/api\/v1\/user$/, // Gitea user
+  /\/api\/v1\/repos\/[^/]+\/[^/]+$/ // Gitea repository, with the user's permissions
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => Promise.all(
+      // One missing file must not prevent the others from being cached
+      APP_SHELL.map(url => cache.add(url).catch(error => {
+        console.warn(`Could not cache ${url}:`, error);
+      }))
+    )).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys
+        .filter(key => key !== SHELL_CACHE && key !== CONTENT_CACHE)
+        .map(key => caches.delete(key))
+    )).then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  
+  // Writes always go to the network; offline saves are queued by the app
+  if (request.method !== 'GET') {
+    return;
+  }
+  
+  const url = new URL(request.url);
+  
+  if (IDENTITY_REQUESTS.some(pattern => pattern.test(url.pathname))) {
+    return;
+  }
+  
+  if (isContentRequest(url)) {
+    event.respondWith(networkFirst(request, CONTENT_CACHE, {}));
+  } else if (url.origin === self.location.origin) {
+    // Pages are cached without their query string (?path=...)
+    const isPage = request.mode === 'navigate';
+    event.respondWith(networkFirst(request, SHELL_CACHE, { ignoreSearch: isPage }));
+  }
+});
+
+/**
+ * Check whether a request reads wiki content (GitHub, GitLab or Gitea API, or local content server)
+ * @param {URL} url - The request URL
+ * @returns {boolean} - True for content requests
+ */
+function isContentRequest(url) {
+  return url.hostname === 'api.github.com' ||
+    url.pathname.includes('/api/v4/projects/') ||
+    url.pathname.includes('/api/v1/repos/') ||
+    (url.origin === self.location.origin && url.pathname.startsWith('/__content/'));
+}
+
+/**
+ * Fetch from the network, caching successful responses, and fall back to the cache
+ * @param {Request} request - The request
+ * @param {string} cacheName - The cache to use
+ * @param {Object} matchOptions - Options for cache.match
+ * @returns {Promise<Response>} - The response
+ */
+async function networkFirst(request, cacheName, matchOptions) {
+  const cache = await caches.open(cacheName);
+  
+  try {
+    const response = await fetch(request);
+    
+    // 304 answers to conditional requests carry no body worth keeping
+    if (response.ok) {
+      const key = matchOptions.ignoreSearch ? request.url.split('?')[0] : request;
+      cache.put(key, response.clone());
+    }
+    
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, matchOptions);
+    if (cached) {
+      return cached;
+    }
+    
+    return new Response(JSON.stringify({ message: 'You are offline and this has not been cached yet' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json', 'X-Wiki-Offline': '1' }
+    });
+  }
+}
\ No newline at end of file